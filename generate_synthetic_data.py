@@ -19,6 +19,7 @@ covering the period July 2024 - July 2025. The generated data includes:
 - without requiring real patient data.'''
 
 import os
+import json
 import random
 import pandas as pd
 import numpy as np
@@ -789,6 +790,10 @@ for i in range(1, 101):
         df.insert(0, 'Patient_ID', patient_id)
         all_patients_df = pd.concat([all_patients_df, df], ignore_index=True)
 
+# Write the patient manifest the dashboard uses to list available patients
+with open("public/synthetic_patients/index.json", "w") as manifest_file:
+    json.dump([f"Patient_{i:03d}" for i in range(1, 101)], manifest_file, indent=2)
+
 # Save all data to a single CSV in both locations with error handling
 def save_csv_with_retry(df, filepath, max_retries=3):
     """Save CSV file with retry logic for permission errors"""
@@ -3,46 +3,165 @@
  
  This is the root component that provides the main application structure.
  It manages the role toggle between Patient and Physician views, patient selection,
- and provides the main routing structure for the dashboard.
+ and provides the main routing structure for the dashboard. Role, patient, physician tab,
+ expanded chart and chart periods are kept in the URL hash (useHashRoute), so every view
+ can be bookmarked, shared and reloaded, and browser back/forward work.
  
  Features:
  - Role toggle between Patient and Physician views
- - Patient selection from 100 synthetic patients
+ - Patient selection from the configured data source's patient list
+ - Upload of local patient CSV files for the current session
+ - Refresh action reloading the selected patient past every cache
+ - Physician tabs switching between the patient dashboard and the cohort overview
+ - Cohort filters narrowing the physician patient selector, shown on both physician tabs
  - Unified dashboard routing with lazy loading
+ - Hash routes such as #/physician/Patient_042/glucose?week=2025-05-04 and #/cohort
  - Error boundary and loading state management
  - Header with application title and controls
  
  Component Structure:
  - Header: Contains title, role toggle, and patient selector
+ - Tab navigation (physician view): Patient Dashboard / Cohort Overview
  - Main: Contains the dashboard with error boundary and loading states
  - Dashboard: Renders either PatientDashboard or PhysicianDashboard based on role
+ - CohortDashboard: Sortable, filterable table of every patient (physician view)
  
  State Management:
- - selectedPatient: Currently selected patient ID
- - currentRole: Current view mode ('patient' or 'physician')
+ - route: Current URL route; selectedPatient, currentRole and physicianTab are read from it
+ - patients: Patient IDs listed by the configured data source
+ - uploadedPatients: Patient IDs loaded from uploaded CSV files
+ - refreshing: Whether a refresh of the selected patient is in progress
+ - cohortFilters: Condition / medication category filters of the cohort overview
+ - cohortRequested: Whether the cohort has been opened or filtered; the cohort is only loaded after that
  */
 
-import React, { useState, Suspense } from 'react';
+import React, { useState, useEffect, useMemo, Suspense } from 'react';
 import PatientSelector from './PatientSelector';
+import CsvUploadPanel from './components/CsvUploadPanel';
 import LoadingSpinner from './components/ui/LoadingSpinner';
 import ErrorBoundary from './components/ErrorBoundary';
+import CohortFilters from './components/CohortFilters';
 import Switch from './components/ui/Switch';
-import { PATIENTS } from './constants/index';
+import DataService from './services/dataService';
+import { refreshPatient } from './services/patientStore';
+import useCohort from './hooks/useCohort';
+import useHashRoute from './hooks/useHashRoute';
+import usePatientData from './hooks/usePatientData';
+import {
+  EMPTY_COHORT_FILTERS,
+  hasActiveCohortFilters,
+  matchesCohortFilters,
+  getCohortFilterOptions,
+  getPatientFilterValues
+} from './analytics/cohortSummary';
 import './App.css';
 
   // Lazy load the unified dashboard component for better performance
   const Dashboard = React.lazy(() => import('./components/Dashboard'));
+  const CohortDashboard = React.lazy(() => import('./CohortDashboard'));
 
   /*
    Main Health Dashboard Application
    Features both Patient and Physician views with role toggle
    */
 function App() {
-  const [selectedPatient, setSelectedPatient] = useState('Patient_001');
-  const [currentRole, setCurrentRole] = useState('patient'); // 'patient' or 'physician'
+  const [route, navigate] = useHashRoute();
+  const [uploadedPatients, setUploadedPatients] = useState([]);
+  const [patients, setPatients] = useState([]);
+  const [refreshing, setRefreshing] = useState(false);
+  const [cohortFilters, setCohortFilters] = useState(EMPTY_COHORT_FILTERS);
+  const [cohortRequested, setCohortRequested] = useState(false);
+
+  const selectedPatient = route.patientId;
+  const currentRole = route.role; // 'patient' or 'physician'
+  const physicianTab = route.view === 'cohort' ? 'cohort' : 'patient';
+
+  const cohort = useCohort(patients, cohortRequested);
+  const showCohort = currentRole === 'physician' && physicianTab === 'cohort';
+  const filtersActive = hasActiveCohortFilters(cohortFilters);
+
+  // Shared with the dashboard through the patient store, so this loads nothing extra
+  const { data: selectedPatientData } = usePatientData(selectedPatient);
+
+  // The cohort is loaded the first time it is shown (also when opened from a link)
+  // or filtered, since the filters need every patient's conditions and medications
+  useEffect(() => {
+    if (showCohort || filtersActive) setCohortRequested(true);
+  }, [showCohort, filtersActive]);
+
+  // Filter values of the cohort, plus the selected patient's before the cohort is loaded
+  const patientFilterOptions = useMemo(() => getCohortFilterOptions([
+    ...cohort.rows,
+    ...(selectedPatientData ? [getPatientFilterValues(selectedPatientData.patientInfo)] : [])
+  ]), [cohort.rows, selectedPatientData]);
+
+  // Physicians only see patients matching the cohort filters (once their rows are loaded)
+  const selectablePatients = useMemo(() => {
+    if (currentRole !== 'physician' || !filtersActive) {
+      return patients;
+    }
+    const matchingIds = new Set(cohort.rows
+      .filter(row => matchesCohortFilters(row, cohortFilters))
+      .map(row => row.patientId));
+    return patients.filter(patientId => matchingIds.has(patientId) || patientId === selectedPatient);
+  }, [patients, currentRole, filtersActive, cohortFilters, cohort.rows, selectedPatient]);
+
+  // Load the patient list from the configured data source
+  useEffect(() => {
+    let cancelled = false;
+
+    DataService.listPatients()
+      .then(patientIds => {
+        if (!cancelled) setPatients(patientIds);
+      })
+      .catch(error => {
+        console.error('Error loading patient list:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Patients keep the expanded chart and chart periods; role changes start from a fresh dashboard
+  const setSelectedPatient = (patientId) => {
+    navigate({ ...route, patientId });
+  };
 
   const toggleRole = () => {
-    setCurrentRole(prev => prev === 'patient' ? 'physician' : 'patient');
+    navigate({
+      view: 'dashboard',
+      role: currentRole === 'patient' ? 'physician' : 'patient',
+      patientId: selectedPatient,
+      chart: null,
+      periods: {}
+    });
+  };
+
+  // Reload the selected patient from its source; every chart receives the new data
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    try {
+      await refreshPatient(selectedPatient);
+    } catch (error) {
+      console.error(`Error refreshing ${selectedPatient}:`, error);
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const openPhysicianTab = (tab) => {
+    navigate({ ...route, view: tab === 'cohort' ? 'cohort' : 'dashboard' });
+  };
+
+  // Open a patient picked in the cohort overview
+  const handleCohortPatientSelect = (patientId) => {
+    navigate({ view: 'dashboard', role: 'physician', patientId, chart: null, periods: {} });
+  };
+
+  const handlePatientsUploaded = (patientIds) => {
+    setUploadedPatients(prev => [...prev, ...patientIds.filter(id => !prev.includes(id))]);
+    setSelectedPatient(patientIds[0]);
   };
 
   return (
@@ -66,21 +185,74 @@ function App() {
             <label htmlFor="patient-select">Select Patient:</label>
             <PatientSelector
               id="patient-select"
-              patients={PATIENTS}
+              patients={selectablePatients}
+              uploadedPatients={uploadedPatients}
               value={selectedPatient}
               onChange={setSelectedPatient}
             />
+            <button
+              className="refresh-button"
+              onClick={handleRefresh}
+              disabled={!selectedPatient || refreshing}
+              title="Reload the selected patient, bypassing cached data"
+            >
+              {refreshing ? 'Refreshing...' : 'Refresh'}
+            </button>
           </div>
+
+          {/* Local CSV Upload */}
+          <CsvUploadPanel onPatientsLoaded={handlePatientsUploaded} />
         </div>
       </header>
 
+      {/* Physician Tabs */}
+      {currentRole === 'physician' && (
+        <nav className="tab-navigation">
+          <button
+            className={`tab-button ${physicianTab === 'patient' ? 'active' : ''}`}
+            onClick={() => openPhysicianTab('patient')}
+          >
+            Patient Dashboard
+          </button>
+          <button
+            className={`tab-button ${physicianTab === 'cohort' ? 'active' : ''}`}
+            onClick={() => openPhysicianTab('cohort')}
+          >
+            Cohort Overview
+          </button>
+        </nav>
+      )}
+
+      {/* Patient filters (physician patient tab; the cohort overview has its own) */}
+      {currentRole === 'physician' && !showCohort && (
+        <div className="patient-filters">
+          <CohortFilters options={patientFilterOptions} filters={cohortFilters} onChange={setCohortFilters} />
+          {filtersActive && cohort.loading && (
+            <p className="patient-filters-status">
+              Matching patients... {Math.round(cohort.progress * 100)}% checked
+            </p>
+          )}
+        </div>
+      )}
+
       <main className="app-main">
         <ErrorBoundary>
           <Suspense fallback={<LoadingSpinner message="Loading dashboard..." />}>
-            <Dashboard 
-              patientId={selectedPatient} 
-              viewMode={currentRole}
-            />
+            {showCohort ? (
+              <CohortDashboard
+                cohort={cohort}
+                filters={cohortFilters}
+                onFiltersChange={setCohortFilters}
+                onSelectPatient={handleCohortPatientSelect}
+              />
+            ) : (
+              <Dashboard 
+                patientId={selectedPatient} 
+                viewMode={currentRole}
+                route={route}
+                onRouteChange={navigate}
+              />
+            )}
           </Suspense>
         </ErrorBoundary>
       </main>
@@ -0,0 +1,133 @@
+/*
+ CohortDashboard.js - Physician Cohort Overview
+
+ This component renders every patient of the data source as one row of headline
+ figures so physicians can triage the cohort before opening a single patient.
+
+ Features:
+ - Triage worklist of the clinical alerts of the filtered patients, most severe first
+ - Condition and medication category filters (CohortFilters), shared with the
+   physician patient selector
+ - Sortable columns: click a header to sort, click again to reverse the order
+ - Averages over each patient's last three months of data (analytics/cohortSummary.js)
+ - Row click opens the patient in the physician dashboard
+ - Progress bar while the cohort is being loaded; rows appear as patients load
+
+ Props:
+ - cohort: Result of useCohort ({ rows, loading, progress, errors })
+ - filters: Selected cohort filters
+ - onFiltersChange: Called with new filters
+ - onSelectPatient: Called with the patient ID of a clicked row
+ */
+
+import React, { useState, useMemo } from 'react';
+import CohortFilters from './components/CohortFilters';
+import TriageList from './components/TriageList';
+import LoadingSpinner from './components/ui/LoadingSpinner';
+import { getCohortFilterOptions, matchesCohortFilters } from './analytics/cohortSummary';
+import './CohortDashboard.css';
+
+// --- Helper Functions ---
+const formatNumber = (digits) => (value) => (value == null ? '–' : value.toFixed(digits));
+
+// Sorts rows by a column; patients without a value always go last
+const sortRows = (rows, column, direction) => {
+  const getValue = column.sortValue || ((row) => row[column.key]);
+  const factor = direction === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    if (valueA == null || valueB == null) {
+      return (valueA == null) - (valueB == null);
+    }
+    if (typeof valueA === 'string') {
+      return valueA.localeCompare(valueB) * factor;
+    }
+    return (valueA - valueB) * factor;
+  });
+};
+
+// --- Constants ---
+const COLUMNS = [
+  { key: 'patientId', label: 'Patient', format: (value) => value },
+  { key: 'age', label: 'Age', format: (value) => (value == null ? '–' : value) },
+  { key: 'gender', label: 'Gender', format: (value) => value || '–' },
+  { key: 'conditions', label: 'Conditions', sortValue: (row) => row.conditions.length, format: (value) => value.join(', ') || '–' },
+  { key: 'medicationCount', label: 'Medications', format: (value) => value },
+  { key: 'avgGlucose', label: 'Glucose (mmol/L)', format: formatNumber(1) },
+  { key: 'glucoseInRange', label: 'Time in Range (%)', format: formatNumber(0) },
+  { key: 'avgSystolic', label: 'BP (mmHg)', format: (value, row) => (value == null ? '–' : `${Math.round(value)}/${Math.round(row.avgDiastolic)}`) },
+  { key: 'avgSleepHours', label: 'Sleep (h)', format: formatNumber(1) },
+  { key: 'weeklyExerciseMinutes', label: 'Exercise (min/wk)', format: formatNumber(0) },
+  { key: 'avgPain', label: 'Pain (0-10)', format: formatNumber(1) },
+  { key: 'alerts', label: 'Alerts', sortValue: (row) => row.alerts.length, format: (value) => value.length }
+];
+
+// --- Main Component ---
+const CohortDashboard = ({ cohort, filters, onFiltersChange, onSelectPatient }) => {
+  const [sort, setSort] = useState({ key: 'patientId', direction: 'asc' });
+  const { rows, loading, progress, errors } = cohort;
+
+  const options = useMemo(() => getCohortFilterOptions(rows), [rows]);
+  const matchingRows = useMemo(() => rows.filter(row => matchesCohortFilters(row, filters)), [rows, filters]);
+  const visibleRows = useMemo(() => {
+    const column = COLUMNS.find(item => item.key === sort.key);
+    return sortRows(matchingRows, column, sort.direction);
+  }, [matchingRows, sort]);
+
+  const handleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  return (
+    <div className="cohort-dashboard">
+      <h1>Cohort Overview</h1>
+
+      <CohortFilters options={options} filters={filters} onChange={onFiltersChange} />
+
+      {loading && (
+        <LoadingSpinner message={`Loading patients (${rows.length + errors.length} loaded)...`} progress={progress} />
+      )}
+
+      <TriageList rows={matchingRows} onSelectPatient={onSelectPatient} />
+
+      <p className="cohort-count">
+        {visibleRows.length} of {rows.length} patients
+        {errors.length > 0 && ` (${errors.length} could not be loaded)`}
+      </p>
+
+      <div className="cohort-table-wrapper">
+        <table className="cohort-table">
+          <thead>
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  className={sort.key === column.key ? `sorted ${sort.direction}` : ''}
+                  aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                  onClick={() => handleSort(column.key)}
+                >
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visibleRows.map(row => (
+              <tr key={row.patientId} onClick={() => onSelectPatient(row.patientId)} title={`Open ${row.patientId}`}>
+                {COLUMNS.map(column => (
+                  <td key={column.key}>{column.format(row[column.key], row)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CohortDashboard;
@@ -12,13 +12,16 @@
  - Handles loading and error states gracefully
  
  Custom Hooks Used:
- - usePatientData: Manages patient data fetching and caching
+ - usePatientDataContext: Reads the patient data shared by PatientDataProvider
+ - usePatientAlerts: Evaluates the clinical alert rules shown as chart badges
  - useVisualizations: Handles visualization configuration and availability
  - useVisualizationHelpers: Provides chart expansion and rendering utilities
  - useChartNavigation: Manages time-based navigation for each chart type
+ - useDashboardRoute: Keeps the expanded chart and chart periods in the URL
  
  Component Structure:
  - PatientInfoCard: Displays patient demographics and medication information
+ - HealthGoalsCard: The patient's health goals with streaks, weekly completion and the self-report
  - DashboardGrid: Renders the chart grid with navigation and expansion controls
  - Individual chart components for each health metric
  
@@ -26,19 +29,24 @@
  - Uses custom hooks for centralized state management
  - Handles chart expansion state through useVisualizationHelpers
  - Manages navigation state for each chart type independently
+ - Expanded chart and chart periods follow the URL route (useDashboardRoute)
  */
 
 import React from 'react';
-import usePatientData from './hooks/usePatientData';
+import { usePatientDataContext, usePatientAlerts } from './context/PatientDataContext';
 import useVisualizations from './hooks/useVisualizations';
 import useVisualizationHelpers from './hooks/useVisualizationHelpers';
 import useChartNavigation from './hooks/useChartNavigation';
+import useDashboardRoute from './hooks/useDashboardRoute';
 import PatientInfoCard from './components/PatientInfoCard';
+import HealthGoalsCard from './components/HealthGoalsCard';
 import DashboardGrid from './components/DashboardGrid';
+import LoadingSpinner from './components/ui/LoadingSpinner';
 import './PatientDashboard.css';
 
-const PatientDashboard = ({ patientId }) => {
-  const { data, loading, error } = usePatientData(patientId);
+const PatientDashboard = ({ patientId, route, onRouteChange }) => {
+  const { data, loading, error, progress } = usePatientDataContext();
+  const { alertsByChart } = usePatientAlerts();
   const { 
     allVisualizations, 
     availableVisualizations, 
@@ -46,7 +54,7 @@ const PatientDashboard = ({ patientId }) => {
     handleVisualizationChange 
   } = useVisualizations('patient', data);
   
-  const { expandedItem, handleExpand, renderVisualization } = useVisualizationHelpers(
+  const { expandedItem, setExpandedItem } = useVisualizationHelpers(
     patientId, 
     allVisualizations, 
     selectedVisualizations
@@ -60,16 +68,25 @@ const PatientDashboard = ({ patientId }) => {
   const painNavigation = useChartNavigation('pain');
   const moodNavigation = useChartNavigation('mood');
   const mealContentsNavigation = useChartNavigation('mealContents');
+  const continenceNavigation = useChartNavigation('continence');
 
-  const chartNavigation = {
-    glucose: glucoseNavigation,
-    bloodPressure: bloodPressureNavigation,
-    exercise: exerciseNavigation,
-    sleep: sleepNavigation,
-    pain: painNavigation,
-    mood: moodNavigation,
-    mealContents: mealContentsNavigation
-  };
+  const { chartNavigation, handleExpand } = useDashboardRoute({
+    route,
+    onRouteChange,
+    chartNavigation: {
+      glucose: glucoseNavigation,
+      bloodPressure: bloodPressureNavigation,
+      exercise: exerciseNavigation,
+      sleep: sleepNavigation,
+      pain: painNavigation,
+      mood: moodNavigation,
+      mealContents: mealContentsNavigation,
+      continence: continenceNavigation
+    },
+    selectedVisualizations,
+    expandedItem,
+    setExpandedItem
+  });
 
   // Override renderVisualization to set correct viewMode
   const renderVisualizationWithMode = (visualizationType, boxId) => {
@@ -91,7 +108,15 @@ const PatientDashboard = ({ patientId }) => {
 
   const patientInfo = data?.patientInfo;
 
-  if (loading) return <div className="loading-screen">Loading patient data...</div>;
+  if (loading) {
+    return (
+      <LoadingSpinner
+        message={progress?.stage === 'processing' ? 'Processing patient data...' : 'Loading patient data...'}
+        size="large"
+        progress={progress?.overall}
+      />
+    );
+  }
   if (error) return <div className="error-screen">Error: {error}</div>;
 
   return (
@@ -103,6 +128,8 @@ const PatientDashboard = ({ patientId }) => {
         variant="patient"
       />
 
+      <HealthGoalsCard patientId={patientId} patientData={data} variant="patient" />
+
       <DashboardGrid
         viewMode="patient"
         selectedVisualizations={selectedVisualizations}
@@ -113,6 +140,9 @@ const PatientDashboard = ({ patientId }) => {
         expandedItem={expandedItem}
         renderVisualization={renderVisualizationWithMode}
         chartNavigation={chartNavigation}
+        chartAlerts={alertsByChart}
+        patientId={patientId}
+        patientData={data}
       />
     </div>
   );
@@ -3,6 +3,7 @@
  
  A simple dropdown component that allows users to select from available patients.
  Displays patient IDs in a formatted list and handles selection changes.
+ Patients uploaded from local CSV files are listed in their own group at the top.
  Used in the main app header for switching between different patient datasets.
  */
 
@@ -23,7 +24,7 @@ const selectStyle = {
   padding: '6px 12px'
 };
 
-const PatientSelector = ({ patients, value, onChange }) => (
+const PatientSelector = ({ patients, uploadedPatients = [], value, onChange }) => (
   <div style={containerStyle}>
     <label htmlFor="patient-select" style={labelStyle}>
       Patient ID #:
@@ -35,7 +36,14 @@ const PatientSelector = ({ patients, value, onChange }) => (
       style={selectStyle}
     >
       <option value="">-- Select Patient --</option>
-      {patients.map(pid => (
+      {uploadedPatients.length > 0 && (
+        <optgroup label="Uploaded">
+          {uploadedPatients.map(pid => (
+            <option key={`uploaded-${pid}`} value={pid}>{pid}</option>
+          ))}
+        </optgroup>
+      )}
+      {patients.filter(pid => !uploadedPatients.includes(pid)).map(pid => (
         <option key={pid} value={pid}>{pid}</option>
       ))}
     </select>
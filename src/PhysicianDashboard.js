@@ -12,15 +12,20 @@
  - Handles patient selection and data validation
  
  Custom Hooks Used:
- - usePatientData: Manages patient data fetching and caching
+ - usePatientDataContext: Reads the patient data shared by PatientDataProvider
+ - usePatientAlerts: Evaluates the clinical alert rules shown as chart badges
  - useVisualizations: Handles visualization configuration and availability
  - useVisualizationHelpers: Provides chart expansion and rendering utilities
  - useChartNavigation: Manages time-based navigation for each chart type
+ - useDashboardRoute: Keeps the expanded chart and chart periods in the URL
+ - usePatientNotes: Physician notes and date annotations of the selected patient
  
  Component Structure:
  - Physician header with clinical context
  - PatientInfoCard: Displays patient demographics and medical information
- - DashboardGrid: Renders the chart grid with clinical summaries
+ - DataQualityPanel: Lists CSV validation issues for the loaded patient
+ - HealthGoalsCard: The patient's goals, with the days their own report disagrees with the data
+ - DashboardGrid: Renders the chart grid with clinical summaries and a notes panel per chart
  - Individual chart components with physician-specific features
  
  State Management:
@@ -28,27 +33,44 @@
  - Uses custom hooks for centralized state management
  - Handles chart expansion state through useVisualizationHelpers
  - Manages navigation state for each chart type independently
+ - Expanded chart and chart periods follow the URL route (useDashboardRoute)
  
  Clinical Features:
  - Summary statistics for each health metric
+ - Clinical alert badges on charts with concerning data
  - Trend analysis and pattern recognition
+ - Medication timeline aligned with the vitals to relate dose changes to trends
  - Professional medical interface design
  - Comprehensive data visualization for clinical decision making
+ - Free-text notes per chart and annotations pinned to dates, stored locally per patient
+ - Export of the loaded patient (with notes and annotations) as a FHIR R4 Bundle for EHR tooling
+ - Printable clinical report (ClinicalReport) with the charts, summaries, alerts and notes of a chosen period
  */
 
 import React, { useState } from 'react';
-import usePatientData from './hooks/usePatientData';
+import { usePatientDataContext, usePatientAlerts } from './context/PatientDataContext';
 import useVisualizations from './hooks/useVisualizations';
 import useVisualizationHelpers from './hooks/useVisualizationHelpers';
 import useChartNavigation from './hooks/useChartNavigation';
+import useDashboardRoute from './hooks/useDashboardRoute';
+import usePatientNotes from './hooks/usePatientNotes';
 import PatientInfoCard from './components/PatientInfoCard';
 import DashboardGrid from './components/DashboardGrid';
+import DataQualityPanel from './components/DataQualityPanel';
+import HealthGoalsCard from './components/HealthGoalsCard';
+import ClinicalReport from './components/ClinicalReport';
+import LoadingSpinner from './components/ui/LoadingSpinner';
 import Placeholder from './components/ui/Placeholder';
+import { exportFhirBundle } from './services/fhir/fhirExporter';
+import { downloadFile } from './utils/downloadFile';
 import './PhysicianDashboard.css';
 
-const PhysicianDashboard = ({ patientId: initialPatientId }) => {
+const PhysicianDashboard = ({ patientId: initialPatientId, route, onRouteChange }) => {
   const [selectedPatientId, setSelectedPatientId] = useState(initialPatientId || '');
-  const { data, loading, error } = usePatientData(selectedPatientId);
+  const { data, loading, error, progress } = usePatientDataContext();
+  const { alerts, alertsByChart } = usePatientAlerts();
+  const [showReport, setShowReport] = useState(false);
+  const { chartNotes, annotations, setChartNote, addAnnotation, removeAnnotation } = usePatientNotes(selectedPatientId);
   
   // Update selected patient if prop changes
   React.useEffect(() => {
@@ -64,7 +86,7 @@ const PhysicianDashboard = ({ patientId: initialPatientId }) => {
     handleVisualizationChange 
   } = useVisualizations('physician', data);
 
-  const { expandedItem, handleExpand, renderVisualization } = useVisualizationHelpers(
+  const { expandedItem, setExpandedItem } = useVisualizationHelpers(
     selectedPatientId, 
     allVisualizations, 
     selectedVisualizations
@@ -72,22 +94,37 @@ const PhysicianDashboard = ({ patientId: initialPatientId }) => {
 
   // Create universal navigation for each chart type
   const glucoseNavigation = useChartNavigation('glucose');
+  const agpNavigation = useChartNavigation('agp');
   const bloodPressureNavigation = useChartNavigation('bloodPressure');
+  const medicationsNavigation = useChartNavigation('medications');
   const exerciseNavigation = useChartNavigation('exercise');
   const sleepNavigation = useChartNavigation('sleep');
   const painNavigation = useChartNavigation('pain');
   const moodNavigation = useChartNavigation('mood');
   const mealContentsNavigation = useChartNavigation('mealContents');
+  const continenceNavigation = useChartNavigation('continence');
+  const correlationNavigation = useChartNavigation('correlation');
 
-  const chartNavigation = {
-    glucose: glucoseNavigation,
-    bloodPressure: bloodPressureNavigation,
-    exercise: exerciseNavigation,
-    sleep: sleepNavigation,
-    pain: painNavigation,
-    mood: moodNavigation,
-    mealContents: mealContentsNavigation
-  };
+  const { chartNavigation, handleExpand } = useDashboardRoute({
+    route,
+    onRouteChange,
+    chartNavigation: {
+      glucose: glucoseNavigation,
+      agp: agpNavigation,
+      bloodPressure: bloodPressureNavigation,
+      medications: medicationsNavigation,
+      exercise: exerciseNavigation,
+      sleep: sleepNavigation,
+      pain: painNavigation,
+      mood: moodNavigation,
+      mealContents: mealContentsNavigation,
+      continence: continenceNavigation,
+      correlation: correlationNavigation
+    },
+    selectedVisualizations,
+    expandedItem,
+    setExpandedItem
+  });
 
   // Override renderVisualization to set correct viewMode and handle no patient case
   const renderVisualizationWithMode = (visualizationType, windowId) => {
@@ -113,35 +150,85 @@ const PhysicianDashboard = ({ patientId: initialPatientId }) => {
 
   const patientInfo = data?.patientInfo;
 
+  // Download the loaded patient as a FHIR R4 Bundle, including the physician notes
+  const handleFhirExport = () => {
+    const bundle = exportFhirBundle(data, { notes: { chartNotes, annotations } });
+    downloadFile(JSON.stringify(bundle, null, 2), `${patientInfo.patientId}.json`, 'application/fhir+json');
+  };
+
   return (
     <div className="physician-dashboard">
       <div className="physician-header">
         <h1>Physician Dashboard</h1>
+        {data && !loading && (
+          <div className="physician-actions">
+            <button className="export-button" onClick={() => setShowReport(true)}>
+              Generate Report
+            </button>
+            <button className="export-button" onClick={handleFhirExport}>
+              Export FHIR
+            </button>
+          </div>
+        )}
       </div>
 
+      {showReport && data && !loading && (
+        <ClinicalReport
+          patientId={selectedPatientId}
+          patientInfo={patientInfo}
+          visualizations={availableVisualizations}
+          alerts={alerts}
+          chartNotes={chartNotes}
+          annotations={annotations}
+          initialDate={glucoseNavigation.currentDate}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+
       {selectedPatientId && (
         <div className="dashboard-content">
-          <PatientInfoCard 
-            patientInfo={patientInfo}
-            loading={loading}
-            error={error}
-            variant="physician"
-            className="patient-info-card-physician"
-          />
+          <div className="physician-sidebar">
+            <PatientInfoCard 
+              patientInfo={patientInfo}
+              loading={loading}
+              error={error}
+              variant="physician"
+              className="patient-info-card-physician"
+            />
+            {!loading && <DataQualityPanel dataQuality={data?.dataQuality} />}
+            {!loading && data && <HealthGoalsCard patientId={selectedPatientId} patientData={data} variant="physician" />}
+          </div>
 
-          <DashboardGrid
-            viewMode="physician"
-            selectedVisualizations={selectedVisualizations}
-            availableVisualizations={availableVisualizations}
-            allVisualizations={allVisualizations}
-            onVisualizationChange={handleVisualizationChange}
-            onExpand={handleExpand}
-            expandedItem={expandedItem}
-            renderVisualization={renderVisualizationWithMode}
-            chartNavigation={chartNavigation}
-            disabled={Object.keys(availableVisualizations).length === 0}
-            placeholderText="No data available for this patient."
-          />
+          {loading ? (
+            <LoadingSpinner
+              message={progress?.stage === 'processing' ? 'Processing patient data...' : 'Loading patient data...'}
+              size="large"
+              progress={progress?.overall}
+            />
+          ) : (
+            <DashboardGrid
+              viewMode="physician"
+              selectedVisualizations={selectedVisualizations}
+              availableVisualizations={availableVisualizations}
+              allVisualizations={allVisualizations}
+              onVisualizationChange={handleVisualizationChange}
+              onExpand={handleExpand}
+              expandedItem={expandedItem}
+              renderVisualization={renderVisualizationWithMode}
+              chartNavigation={chartNavigation}
+              chartAlerts={alertsByChart}
+              patientId={selectedPatientId}
+              patientData={data}
+              showSummaries
+              summaryTexts={chartNotes}
+              onSummaryChange={setChartNote}
+              annotations={annotations}
+              onAnnotationAdd={addAnnotation}
+              onAnnotationRemove={removeAnnotation}
+              disabled={Object.keys(availableVisualizations).length === 0}
+              placeholderText="No data available for this patient."
+            />
+          )}
         </div>
       )}
     </div>
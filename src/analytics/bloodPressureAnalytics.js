@@ -0,0 +1,178 @@
+/*
+ bloodPressureAnalytics.js - Blood Pressure Staging and Load Metrics
+
+ Classifies readings from their systolic/diastolic values rather than the CSV's
+ Systolic_Type_N/Diastolic_Type_N strings (whose vocabulary differs between the
+ multi-column and legacy formats), and computes:
+ - ACC/AHA 2017 stage of each reading (normal, elevated, stage 1, stage 2, crisis)
+ - Stage distribution and weekly staging trend
+ - Mean arterial pressure (MAP) and pulse pressure
+ - BP load: percentage of readings at or above the load thresholds
+ - Morning vs evening averages from the reading times (BP_Time_N)
+
+ Thresholds default to BLOOD_PRESSURE_THRESHOLDS and can be overridden per call.
+ */
+
+import { BLOOD_PRESSURE_THRESHOLDS } from '../constants';
+
+// ACC/AHA 2017 stages from lowest to highest
+export const BP_STAGES = [
+  { key: 'normal', label: 'Normal' },
+  { key: 'elevated', label: 'Elevated' },
+  { key: 'stage1', label: 'Stage 1' },
+  { key: 'stage2', label: 'Stage 2' },
+  { key: 'crisis', label: 'Crisis' }
+];
+
+// --- Helper Functions ---
+
+const isValidReading = (reading) => reading?.systolic > 0 && reading?.diastolic > 0;
+
+const average = (values) => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+const toPercentage = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+
+const reachesThreshold = (reading, threshold) =>
+  (threshold.systolic != null && reading.systolic >= threshold.systolic) ||
+  (threshold.diastolic != null && reading.diastolic >= threshold.diastolic);
+
+const isWithinHours = (date, [startHour, endHour]) => {
+  const hour = date.getHours();
+  return hour >= startHour && hour < endHour;
+};
+
+const getPeriodAverages = (readings) => (readings.length > 0
+  ? {
+    count: readings.length,
+    systolic: average(readings.map(reading => reading.systolic)),
+    diastolic: average(readings.map(reading => reading.diastolic))
+  }
+  : null);
+
+const getWeekStart = (date) => {
+  const weekStart = new Date(date);
+  weekStart.setDate(weekStart.getDate() - weekStart.getDay());
+  weekStart.setHours(0, 0, 0, 0);
+  return weekStart;
+};
+
+/*
+ Returns the ACC/AHA 2017 stage of a reading
+
+ - @param {number} systolic - Systolic pressure in mmHg
+ - @param {number} diastolic - Diastolic pressure in mmHg
+ - @param {Object} stageThresholds - Optional overrides of BLOOD_PRESSURE_THRESHOLDS.stages
+ - @returns {string} Stage key (see BP_STAGES)
+ */
+export const classifyBloodPressure = (systolic, diastolic, stageThresholds = BLOOD_PRESSURE_THRESHOLDS.stages) => {
+  const reading = { systolic, diastolic };
+  const stage = [...BP_STAGES]
+    .reverse()
+    .find(({ key }) => stageThresholds[key] && reachesThreshold(reading, stageThresholds[key]));
+  return stage ? stage.key : 'normal';
+};
+
+/*
+ Mean arterial pressure, estimated as diastolic + one third of the pulse pressure
+
+ - @param {number} systolic - Systolic pressure in mmHg
+ - @param {number} diastolic - Diastolic pressure in mmHg
+ - @returns {number} MAP in mmHg
+ */
+export const calculateMeanArterialPressure = (systolic, diastolic) => diastolic + (systolic - diastolic) / 3;
+
+/*
+ Pulse pressure (systolic minus diastolic)
+
+ - @param {number} systolic - Systolic pressure in mmHg
+ - @param {number} diastolic - Diastolic pressure in mmHg
+ - @returns {number} Pulse pressure in mmHg
+ */
+export const calculatePulsePressure = (systolic, diastolic) => systolic - diastolic;
+
+/*
+ Computes staging and load metrics for a set of readings
+
+ - @param {Array} readings - Blood pressure readings ({ date, systolic, diastolic })
+ - @param {Object} thresholds - Optional overrides of BLOOD_PRESSURE_THRESHOLDS
+ - @returns {Object|null} {
+     count, avgSystolic, avgDiastolic, meanArterialPressure, pulsePressure,
+     load: { systolic, diastolic, either } (% of readings),
+     stageCounts, stageDistribution (% per stage key),
+     morning, evening ({ count, systolic, diastolic } or null)
+   }; null when there are no valid readings
+ */
+export const calculateBloodPressureMetrics = (readings, thresholds = {}) => {
+  const validReadings = (readings || []).filter(isValidReading);
+  if (validReadings.length === 0) return null;
+
+  const limits = { ...BLOOD_PRESSURE_THRESHOLDS, ...thresholds };
+  const count = validReadings.length;
+
+  const stageCounts = BP_STAGES.reduce((counts, { key }) => ({ ...counts, [key]: 0 }), {});
+  validReadings.forEach(reading => {
+    stageCounts[classifyBloodPressure(reading.systolic, reading.diastolic, limits.stages)] += 1;
+  });
+  const stageDistribution = BP_STAGES.reduce((distribution, { key }) => ({
+    ...distribution,
+    [key]: toPercentage(stageCounts[key], count)
+  }), {});
+
+  const systolicLoad = validReadings.filter(reading => reading.systolic >= limits.load.systolic).length;
+  const diastolicLoad = validReadings.filter(reading => reading.diastolic >= limits.load.diastolic).length;
+  const eitherLoad = validReadings.filter(reading => reachesThreshold(reading, limits.load)).length;
+
+  const timedReadings = validReadings.filter(reading => reading.date instanceof Date);
+
+  return {
+    count,
+    avgSystolic: average(validReadings.map(reading => reading.systolic)),
+    avgDiastolic: average(validReadings.map(reading => reading.diastolic)),
+    meanArterialPressure: average(validReadings.map(reading =>
+      calculateMeanArterialPressure(reading.systolic, reading.diastolic))),
+    pulsePressure: average(validReadings.map(reading =>
+      calculatePulsePressure(reading.systolic, reading.diastolic))),
+    load: {
+      systolic: toPercentage(systolicLoad, count),
+      diastolic: toPercentage(diastolicLoad, count),
+      either: toPercentage(eitherLoad, count)
+    },
+    stageCounts,
+    stageDistribution,
+    morning: getPeriodAverages(timedReadings.filter(reading => isWithinHours(reading.date, limits.morning))),
+    evening: getPeriodAverages(timedReadings.filter(reading => isWithinHours(reading.date, limits.evening)))
+  };
+};
+
+/*
+ Weekly staging trend between two dates (weeks start on Sunday, like the charts)
+
+ - @param {Array} readings - Blood pressure readings ({ date, systolic, diastolic })
+ - @param {Date} start - First day of the range
+ - @param {Date} end - Last day of the range
+ - @param {Object} thresholds - Optional overrides of BLOOD_PRESSURE_THRESHOLDS
+ - @returns {Array} Weeks in order: { weekStart, count, stageDistribution, avgSystolic, avgDiastolic };
+   weeks without readings have count 0 and stageDistribution null
+ */
+export const calculateStageTrend = (readings, start, end, thresholds = {}) => {
+  const weeks = [];
+  for (let weekStart = getWeekStart(start); weekStart <= end; weekStart.setDate(weekStart.getDate() + 7)) {
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 7);
+
+    const weekReadings = (readings || []).filter(reading =>
+      reading.date >= weekStart && reading.date < weekEnd && reading.date >= start && reading.date <= end);
+    const metrics = calculateBloodPressureMetrics(weekReadings, thresholds);
+
+    weeks.push({
+      weekStart: new Date(weekStart),
+      count: metrics ? metrics.count : 0,
+      stageDistribution: metrics ? metrics.stageDistribution : null,
+      avgSystolic: metrics ? metrics.avgSystolic : null,
+      avgDiastolic: metrics ? metrics.avgDiastolic : null
+    });
+  }
+  return weeks;
+};
@@ -0,0 +1,208 @@
+/*
+ clinicalAlerts.js - Rule-Based Clinical Alerts
+
+ Evaluates processed patient data against alert rules and returns the alerts that
+ fire, most severe first. Each rule looks at the days before the patient's latest
+ record (ALERT_THRESHOLDS.lookbackDays) and reports its most recent occurrence.
+
+ Default rules (thresholds in ALERT_THRESHOLDS):
+ - bloodPressureCrisis: any reading at or above 180/120 mmHg
+ - lowGlucose: 2 or more readings below range within 7 days
+ - severePain: pain level 8 or more on 3 consecutive days
+ - shortSleep: under 5 hours of sleep on 4 consecutive nights
+ - inactivity: no exercise recorded for 14 consecutive days
+
+ Rules are plain objects ({ id, chartType, severity, title, evaluate }), so
+ callers can pass their own rule list or thresholds to evaluateAlerts.
+ */
+
+import { ALERT_THRESHOLDS } from '../constants';
+import { buildDailySeries, getLastRecordedDay, shiftDateKey, toDateKey } from './dailySeries';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Alert severities, most severe first
+export const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+
+// --- Helper Functions ---
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const parseDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const inWindow = (entries, window) => (entries || []).filter(entry => {
+  if (!(entry.date instanceof Date)) return false;
+  const dateKey = toDateKey(entry.date);
+  return dateKey >= window.startKey && dateKey <= window.endKey;
+});
+
+/*
+ Finds the latest run of consecutive days matching a predicate
+
+ - @param {Map<string, number>} dailyValues - Value per date key
+ - @param {Object} window - { startKey, endKey }
+ - @param {Function} matches - Called with each day's value (undefined without data)
+ - @param {number} minDays - Minimum run length
+ - @returns {Object|null} { startKey, endKey, days } of the latest run reaching minDays
+ */
+const findLatestRun = (dailyValues, window, matches, minDays) => {
+  let latest = null;
+  let runStart = null;
+  let runDays = 0;
+
+  for (let day = window.startKey; day <= window.endKey; day = shiftDateKey(day, 1)) {
+    if (matches(dailyValues.get(day))) {
+      runStart = runDays === 0 ? day : runStart;
+      runDays++;
+      if (runDays >= minDays) {
+        latest = { startKey: runStart, endKey: day, days: runDays };
+      }
+    } else {
+      runDays = 0;
+    }
+  }
+  return latest;
+};
+
+// --- Default Rules ---
+
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'bloodPressureCrisis',
+    chartType: 'bloodPressure',
+    severity: 'critical',
+    title: 'Hypertensive crisis range',
+    evaluate: (patientData, window, { systolic, diastolic }) => {
+      const readings = inWindow(patientData.bloodPressureData, window)
+        .filter(reading => reading.systolic >= systolic || reading.diastolic >= diastolic);
+      if (readings.length === 0) return null;
+
+      const latest = readings.reduce((a, b) => (b.date > a.date ? b : a));
+      return {
+        date: latest.date,
+        message: `${readings.length} reading${readings.length > 1 ? 's' : ''} at or above ${systolic}/${diastolic} mmHg, latest ${latest.systolic}/${latest.diastolic} on ${formatDate(latest.date)}`
+      };
+    }
+  },
+  {
+    id: 'lowGlucose',
+    chartType: 'glucose',
+    severity: 'warning',
+    title: 'Repeated low glucose',
+    evaluate: (patientData, window, { value, count, windowDays }) => {
+      const lows = inWindow(patientData.glucoseData, window)
+        .filter(reading => reading.value > 0 && reading.value < value)
+        .sort((a, b) => a.date - b.date);
+
+      // Latest reading with enough low readings in the windowDays before it
+      for (let i = lows.length - 1; i >= count - 1; i--) {
+        const since = lows[i].date.getTime() - windowDays * MS_PER_DAY;
+        const recent = lows.slice(0, i + 1).filter(reading => reading.date.getTime() > since);
+        if (recent.length >= count) {
+          const lowest = Math.min(...recent.map(reading => reading.value));
+          return {
+            date: lows[i].date,
+            message: `${recent.length} readings below ${value} mmol/L within ${windowDays} days up to ${formatDate(lows[i].date)} (lowest ${lowest.toFixed(1)})`
+          };
+        }
+      }
+      return null;
+    }
+  },
+  {
+    id: 'severePain',
+    chartType: 'pain',
+    severity: 'warning',
+    title: 'Persistent severe pain',
+    evaluate: (patientData, window, { level, days }) => {
+      const run = findLatestRun(buildDailySeries(patientData, 'painLevel'), window, value => value >= level, days);
+      return run && {
+        date: parseDateKey(run.endKey),
+        message: `Pain level ${level} or higher for ${run.days} consecutive days up to ${formatDate(parseDateKey(run.endKey))}`
+      };
+    }
+  },
+  {
+    id: 'shortSleep',
+    chartType: 'sleep',
+    severity: 'info',
+    title: 'Short sleep',
+    evaluate: (patientData, window, { hours, nights }) => {
+      const run = findLatestRun(buildDailySeries(patientData, 'sleepHours'), window, value => value < hours, nights);
+      return run && {
+        date: parseDateKey(run.endKey),
+        message: `Under ${hours} hours of sleep for ${run.days} consecutive nights up to ${formatDate(parseDateKey(run.endKey))}`
+      };
+    }
+  },
+  {
+    id: 'inactivity',
+    chartType: 'exercise',
+    severity: 'info',
+    title: 'No exercise',
+    evaluate: (patientData, window, { days }) => {
+      // Days without exercise count as 0 minutes, so patients who don't track exercise are skipped
+      if (!patientData?.exerciseData?.length) return null;
+
+      const run = findLatestRun(buildDailySeries(patientData, 'exerciseMinutes'), window, minutes => !minutes, days);
+      return run && {
+        date: parseDateKey(run.endKey),
+        message: `No exercise recorded for ${run.days} days up to ${formatDate(parseDateKey(run.endKey))}`
+      };
+    }
+  }
+];
+
+// --- Evaluation ---
+
+/*
+ Orders alerts by severity, then most recent first
+
+ - @param {Object} a - Alert
+ - @param {Object} b - Alert
+ - @returns {number} Sort order
+ */
+export const compareAlerts = (a, b) =>
+  ALERT_SEVERITIES.indexOf(a.severity) - ALERT_SEVERITIES.indexOf(b.severity) || b.date - a.date;
+
+/*
+ Evaluates alert rules against one patient
+
+ - @param {Object} patientData - Processed patient data
+ - @param {Object} options - { rules, thresholds } (defaults: DEFAULT_ALERT_RULES, ALERT_THRESHOLDS)
+ - @returns {Array} Alerts { ruleId, chartType, severity, title, message, date }, sorted with compareAlerts
+ */
+export const evaluateAlerts = (patientData, { rules = DEFAULT_ALERT_RULES, thresholds = ALERT_THRESHOLDS } = {}) => {
+  const endKey = patientData && getLastRecordedDay(patientData);
+  if (!endKey) return [];
+
+  const window = { startKey: shiftDateKey(endKey, 1 - thresholds.lookbackDays), endKey };
+
+  return rules
+    .map(rule => {
+      const result = rule.evaluate(patientData, window, thresholds[rule.id] || {});
+      return result && {
+        ruleId: rule.id,
+        chartType: rule.chartType,
+        severity: rule.severity,
+        title: rule.title,
+        ...result
+      };
+    })
+    .filter(Boolean)
+    .sort(compareAlerts);
+};
+
+/*
+ Groups alerts by the chart they belong to
+
+ - @param {Array} alerts - Alerts from evaluateAlerts
+ - @returns {Object} Alerts per chart type
+ */
+export const groupAlertsByChart = (alerts) => alerts.reduce((groups, alert) => {
+  (groups[alert.chartType] = groups[alert.chartType] || []).push(alert);
+  return groups;
+}, {});
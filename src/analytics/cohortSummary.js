@@ -0,0 +1,135 @@
+/*
+ cohortSummary.js - Per-Patient Summary Rows for the Cohort Overview
+
+ Reduces each processed patient to one row of headline figures so physicians can
+ compare the whole cohort in a table. Averages cover the last three months of
+ each patient's data (ending at their latest record), matching the 3-month
+ summaries of the charts.
+
+ Also provides the condition / medication category filters shared by the cohort
+ table and the physician patient selector.
+ */
+
+import { calculateGlucoseMetrics } from './glucoseAnalytics';
+import { getLastRecordedDay } from './dailySeries';
+import { evaluateAlerts } from './clinicalAlerts';
+
+const SUMMARY_MONTHS = 3;
+const DAYS_PER_WEEK = 7;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Filters that match every patient
+export const EMPTY_COHORT_FILTERS = { conditions: [], medicationCategories: [] };
+
+// --- Helper Functions ---
+
+const average = (values) => {
+  const finite = values.filter(Number.isFinite);
+  return finite.length > 0 ? finite.reduce((sum, value) => sum + value, 0) / finite.length : null;
+};
+
+const uniqueSorted = (values) => Array.from(new Set(values.filter(Boolean))).sort();
+
+// End of the patient's last recorded day
+const getPeriodEnd = (patientData) => {
+  const lastDay = getLastRecordedDay(patientData);
+  if (!lastDay) return null;
+  const [year, month, day] = lastDay.split('-').map(Number);
+  return new Date(year, month - 1, day, 23, 59, 59, 999);
+};
+
+/*
+ Condition and medication category filter values of one patient, from the patient
+ information alone (e.g. for the selected patient before the cohort is loaded)
+
+ - @param {Object} patientInfo - patientInfo of the processed patient data
+ - @returns {Object} { conditions, medicationCategories }
+ */
+export const getPatientFilterValues = (patientInfo = {}) => ({
+  conditions: patientInfo.conditions || [],
+  medicationCategories: uniqueSorted((patientInfo.detailedMedications || []).map(medication => medication.category))
+});
+
+/*
+ Summarizes one processed patient for the cohort table
+
+ - @param {Object} patientData - Processed patient data
+ - @returns {Object} {
+     patientId, name, age, gender, conditions, medicationCount, medicationCategories,
+     periodStart, periodEnd, avgGlucose, glucoseInRange (% TIR), avgSystolic, avgDiastolic,
+     avgSleepHours, weeklyExerciseMinutes, avgPain, alerts
+   }; averages are null when the patient has no data for them
+ */
+export const summarizePatient = (patientData) => {
+  const { patientInfo = {} } = patientData;
+  const medications = patientInfo.detailedMedications || [];
+  const periodEnd = getPeriodEnd(patientData);
+  const periodStart = periodEnd ? new Date(periodEnd) : null;
+  if (periodStart) {
+    periodStart.setMonth(periodStart.getMonth() - SUMMARY_MONTHS);
+  }
+
+  const inPeriod = (entries) => (periodEnd
+    ? (entries || []).filter(entry => entry.date > periodStart && entry.date <= periodEnd)
+    : []);
+
+  const glucose = inPeriod(patientData.glucoseData);
+  const glucoseMetrics = calculateGlucoseMetrics(glucose);
+  const bloodPressure = inPeriod(patientData.bloodPressureData);
+  const exercise = inPeriod(patientData.exerciseData);
+  const periodWeeks = periodEnd ? (periodEnd - periodStart) / MS_PER_DAY / DAYS_PER_WEEK : 0;
+  const age = parseInt(patientInfo.age, 10);
+
+  return {
+    patientId: patientInfo.patientId,
+    name: patientInfo.name,
+    age: Number.isFinite(age) ? age : null,
+    gender: patientInfo.gender,
+    ...getPatientFilterValues(patientInfo),
+    medicationCount: medications.length,
+    periodStart,
+    periodEnd,
+    avgGlucose: glucoseMetrics ? glucoseMetrics.mean : null,
+    glucoseInRange: glucoseMetrics ? glucoseMetrics.ranges.inRange : null,
+    avgSystolic: average(bloodPressure.map(reading => reading.systolic)),
+    avgDiastolic: average(bloodPressure.map(reading => reading.diastolic)),
+    avgSleepHours: average(inPeriod(patientData.sleepData).map(entry => entry.hours)),
+    weeklyExerciseMinutes: periodWeeks > 0
+      ? exercise.reduce((sum, day) => sum + day.totalMinutes, 0) / periodWeeks
+      : null,
+    avgPain: average(inPeriod(patientData.painData).map(entry => entry.level)),
+    alerts: evaluateAlerts(patientData)
+  };
+};
+
+/*
+ Lists the filter values present in the cohort
+
+ - @param {Array} rows - Rows from summarizePatient (or getPatientFilterValues results)
+ - @returns {Object} { conditions, medicationCategories } as sorted arrays
+ */
+export const getCohortFilterOptions = (rows) => ({
+  conditions: uniqueSorted(rows.flatMap(row => row.conditions)),
+  medicationCategories: uniqueSorted(rows.flatMap(row => row.medicationCategories))
+});
+
+/*
+ Whether any filter is selected
+
+ - @param {Object} filters - { conditions, medicationCategories }
+ - @returns {boolean}
+ */
+export const hasActiveCohortFilters = (filters) =>
+  filters.conditions.length > 0 || filters.medicationCategories.length > 0;
+
+/*
+ Checks a row against the cohort filters; a patient must have every selected
+ condition and take medication from every selected category
+
+ - @param {Object} row - Row from summarizePatient
+ - @param {Object} filters - { conditions, medicationCategories }
+ - @returns {boolean}
+ */
+export const matchesCohortFilters = (row, filters) =>
+  filters.conditions.every(condition => row.conditions.includes(condition)) &&
+  filters.medicationCategories.every(category => row.medicationCategories.includes(category));
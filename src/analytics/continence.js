@@ -0,0 +1,68 @@
+/*
+ continence.js - Continence Episodes and Streaks
+
+ The CSV records urinary and fecal continence as Yes/No per day, processed into
+ { date, urinary, fecal } with true for a continent day, false for an incontinence
+ episode and null when the day has no entry (see DataService.processContinenceData).
+
+ Summaries count episodes per type and the streaks of consecutive continent days;
+ a day without an entry ends a streak.
+ */
+
+import { toDateKey, findStreaks } from './dailySeries';
+
+export const CONTINENCE_TYPES = [
+  { key: 'urinary', label: 'Urinary' },
+  { key: 'fecal', label: 'Fecal' }
+];
+
+// --- Helper Functions ---
+
+const summarizeType = (days, typeKey) => {
+  const entries = days
+    .filter(day => day[typeKey] !== null && day[typeKey] !== undefined)
+    .map(day => [toDateKey(day.date), day[typeKey]]);
+  const { longest, current } = findStreaks(entries);
+
+  return {
+    trackedDays: entries.length,
+    continentDays: entries.filter(([, continent]) => continent).length,
+    episodes: entries.filter(([, continent]) => !continent).length,
+    longestStreak: longest,
+    currentStreak: current
+  };
+};
+
+/*
+ Continence entries within a date range, oldest first
+
+ - @param {Array} continenceData - Processed continence days ({ date, urinary, fecal })
+ - @param {Date} start - First day of the range
+ - @param {Date} end - Last day of the range
+ - @returns {Array} Days within the range
+ */
+export const getContinenceInRange = (continenceData, start, end) => (continenceData || [])
+  .filter(day => day.date >= start && day.date <= end)
+  .sort((a, b) => a.date - b.date);
+
+/*
+ Summarizes continence over a period
+
+ - @param {Array} days - Continence days of the period, oldest first (getContinenceInRange)
+ - @returns {Object|null} { trackedDays, episodeFreeDays, types } - types holds
+   { trackedDays, continentDays, episodes, longestStreak, currentStreak } per type key;
+   currentStreak is the run up to the last entry of the period; null without days
+ */
+export const summarizeContinence = (days) => {
+  if (!days || days.length === 0) return null;
+
+  const episodeFreeDays = days.filter(day =>
+    CONTINENCE_TYPES.every(type => day[type.key] !== false) &&
+    CONTINENCE_TYPES.some(type => day[type.key] === true)).length;
+
+  return {
+    trackedDays: days.length,
+    episodeFreeDays,
+    types: Object.fromEntries(CONTINENCE_TYPES.map(type => [type.key, summarizeType(days, type.key)]))
+  };
+};
@@ -0,0 +1,125 @@
+/*
+ correlation.js - Correlation Between Daily Series
+
+ Pairs two daily series (see dailySeries.js) day by day, optionally with a lag,
+ and computes Pearson and Spearman correlation coefficients.
+
+ With a lag of 1 the second series is taken from the day after the first, which
+ answers questions such as "does poor sleep precede higher pain?".
+ */
+
+import { shiftDateKey } from './dailySeries';
+
+// --- Helper Functions ---
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Ranks starting at 1; tied values share their average rank
+const rankValues = (values) => {
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => a.value - b.value);
+
+  const ranks = new Array(values.length);
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i++) ranks[order[i].index] = averageRank;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+/*
+ Pairs two daily series by date
+
+ - @param {Map<string, number>} seriesX - Values per 'YYYY-MM-DD' date key
+ - @param {Map<string, number>} seriesY - Values per 'YYYY-MM-DD' date key
+ - @param {Object} options
+ - @param {number} options.lagDays - Days between the X day and the Y day (default 0)
+ - @param {string} options.startKey - First X date key to include (inclusive, optional)
+ - @param {string} options.endKey - Last X date key to include (inclusive, optional)
+ - @returns {Array} Pairs { dateKey, x, y } ordered by date, dateKey being the X day
+ */
+export const pairDailySeries = (seriesX, seriesY, { lagDays = 0, startKey = null, endKey = null } = {}) =>
+  Array.from(seriesX.keys())
+    .filter(dateKey => (!startKey || dateKey >= startKey) && (!endKey || dateKey <= endKey))
+    .sort()
+    .map(dateKey => ({ dateKey, x: seriesX.get(dateKey), y: seriesY.get(shiftDateKey(dateKey, lagDays)) }))
+    .filter(pair => Number.isFinite(pair.x) && Number.isFinite(pair.y));
+
+/*
+ Pearson correlation coefficient
+
+ - @param {Array<number>} xs - First values
+ - @param {Array<number>} ys - Second values, paired by index
+ - @returns {number|null} Coefficient between -1 and 1; null for fewer than 3 pairs or a constant series
+ */
+export const calculatePearson = (xs, ys) => {
+  if (xs.length < 3 || xs.length !== ys.length) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/*
+ Spearman rank correlation coefficient (Pearson on tie-averaged ranks)
+
+ - @param {Array<number>} xs - First values
+ - @param {Array<number>} ys - Second values, paired by index
+ - @returns {number|null} Coefficient between -1 and 1; null for fewer than 3 pairs or a constant series
+ */
+export const calculateSpearman = (xs, ys) => {
+  if (xs.length < 3 || xs.length !== ys.length) return null;
+  return calculatePearson(rankValues(xs), rankValues(ys));
+};
+
+/*
+ Describes the strength and direction of a coefficient
+
+ - @param {number|null} coefficient - Correlation coefficient
+ - @returns {string} e.g. 'moderate positive', or 'not enough data'
+ */
+export const describeCorrelation = (coefficient) => {
+  if (coefficient == null) return 'not enough data';
+
+  const strength = Math.abs(coefficient);
+  if (strength < 0.1) return 'none';
+
+  const label = strength < 0.3 ? 'weak' : strength < 0.5 ? 'moderate' : 'strong';
+  return `${label} ${coefficient > 0 ? 'positive' : 'negative'}`;
+};
+
+/*
+ Correlates two daily series
+
+ - @param {Map<string, number>} seriesX - Values per date key
+ - @param {Map<string, number>} seriesY - Values per date key
+ - @param {Object} options - See pairDailySeries
+ - @returns {Object} { pairs, n, pearson, spearman }
+ */
+export const correlateDailySeries = (seriesX, seriesY, options = {}) => {
+  const pairs = pairDailySeries(seriesX, seriesY, options);
+  const xs = pairs.map(pair => pair.x);
+  const ys = pairs.map(pair => pair.y);
+
+  return {
+    pairs,
+    n: pairs.length,
+    pearson: calculatePearson(xs, ys),
+    spearman: calculateSpearman(xs, ys)
+  };
+};
@@ -0,0 +1,225 @@
+/*
+ dailySeries.js - Daily Series Derived from Processed Patient Data
+
+ Turns the processed patient data (see DataService.processPatientData) into one
+ value per day for each metric, so different metrics can be compared day by day
+ (e.g. by the correlation explorer).
+
+ Each series is a Map from a local date key ('YYYY-MM-DD') to a number. Days
+ without a value are absent, except for counts such as exercise minutes, which
+ are 0 on days the patient recorded other data.
+ */
+
+import { MEAL_PREFIXES } from '../services/csvSchema';
+import { getMoodValence, describeMoodValence } from './moodScale';
+
+const isFlagSet = (value) => value === 1 || value === '1';
+
+const hasAddedSugar = (value) => Boolean(value) && value !== 'NaN';
+
+/*
+ Formats a date as a local 'YYYY-MM-DD' key
+
+ - @param {Date} date - Date to format
+ - @returns {string} Date key
+ */
+export const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/*
+ Returns the date key a number of days after another date key
+
+ - @param {string} dateKey - 'YYYY-MM-DD' date key
+ - @param {number} days - Days to add (may be negative)
+ - @returns {string} Shifted date key
+ */
+export const shiftDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + days));
+};
+
+/*
+ Longest and most recent run of consecutive days meeting a condition
+
+ - @param {Array} entries - [dateKey, met] pairs, oldest first; days absent from the
+   list end a run
+ - @returns {Object} { longest, current } - current is the run up to the last entry
+ */
+export const findStreaks = (entries) => {
+  let longest = 0;
+  let current = 0;
+  let previousKey = null;
+
+  entries.forEach(([key, met]) => {
+    const consecutive = previousKey !== null && shiftDateKey(previousKey, 1) === key;
+    current = met ? (consecutive ? current + 1 : 1) : 0;
+    longest = Math.max(longest, current);
+    previousKey = met ? key : null;
+  });
+
+  return { longest, current };
+};
+
+// --- Helper Functions ---
+
+// Averages values per day
+const averageByDay = (entries, getValue) => {
+  const totals = new Map();
+  entries.forEach(entry => {
+    const value = getValue(entry);
+    if (!(entry.date instanceof Date) || !Number.isFinite(value)) return;
+
+    const key = toDateKey(entry.date);
+    const total = totals.get(key) || { sum: 0, count: 0 };
+    totals.set(key, { sum: total.sum + value, count: total.count + 1 });
+  });
+
+  return new Map(Array.from(totals, ([key, { sum, count }]) => [key, sum / count]));
+};
+
+// Highest value per day
+const maxByDay = (entries, getValue) => {
+  const highest = new Map();
+  entries.forEach(entry => {
+    const value = getValue(entry);
+    if (!(entry.date instanceof Date) || !Number.isFinite(value)) return;
+
+    const key = toDateKey(entry.date);
+    highest.set(key, Math.max(value, highest.has(key) ? highest.get(key) : -Infinity));
+  });
+  return highest;
+};
+
+// Days with any recorded data, used to fill count series with 0
+const getRecordedDays = (patientData) => {
+  const days = new Set();
+  ['glucoseData', 'bloodPressureData', 'exerciseData', 'moodData', 'painData', 'sleepData', 'mealData']
+    .forEach(key => (patientData?.[key] || []).forEach(entry => {
+      const date = entry.date instanceof Date ? entry.date : new Date(entry.Date);
+      if (!Number.isNaN(date.getTime())) days.add(toDateKey(date));
+    }));
+  return days;
+};
+
+// One 0/1 value per meal day, set when any of the given meals matches
+const mealFlagByDay = (mealData, meals, isSet) => new Map(
+  (mealData || [])
+    .filter(row => row.Date)
+    .map(row => [toDateKey(new Date(row.Date)), meals.some(meal => isSet(row, meal)) ? 1 : 0])
+);
+
+// Available daily series: key -> { label, unit, discrete, build(patientData) }
+export const DAILY_SERIES = {
+  sleepHours: {
+    label: 'Sleep hours',
+    unit: 'h',
+    build: (data) => averageByDay(data.sleepData || [], entry => entry.hours)
+  },
+  sleepQuality: {
+    label: 'Sleep quality code',
+    unit: '0 = very good, 3 = very bad',
+    discrete: true,
+    build: (data) => averageByDay(data.sleepData || [], entry => entry.qualityCode)
+  },
+  painLevel: {
+    label: 'Pain level',
+    unit: '0-10',
+    discrete: true,
+    build: (data) => averageByDay(data.painData || [], entry => entry.level)
+  },
+  exerciseMinutes: {
+    label: 'Exercise minutes',
+    unit: 'min',
+    build: (data) => {
+      const minutes = averageByDay(data.exerciseData || [], entry => entry.totalMinutes);
+      getRecordedDays(data).forEach(day => {
+        if (!minutes.has(day)) minutes.set(day, 0);
+      });
+      return minutes;
+    }
+  },
+  meanGlucose: {
+    label: 'Mean glucose',
+    unit: 'mmol/L',
+    build: (data) => averageByDay(data.glucoseData || [], entry => entry.value)
+  },
+  highestPreMealGlucose: {
+    label: 'Highest pre-meal glucose',
+    unit: 'mmol/L',
+    build: (data) => maxByDay(
+      (data.glucoseData || []).filter(entry => entry.measurementType === 'Pre meal'),
+      entry => entry.value
+    )
+  },
+  meanSystolic: {
+    label: 'Mean systolic BP',
+    unit: 'mmHg',
+    build: (data) => averageByDay(data.bloodPressureData || [], entry => entry.systolic)
+  },
+  mood: {
+    label: 'Mood',
+    unit: describeMoodValence(),
+    discrete: true,
+    build: (data) => averageByDay(data.moodData || [], entry => getMoodValence(entry.mood))
+  },
+  alcohol: {
+    label: 'Alcohol (any meal)',
+    unit: '1 = yes',
+    discrete: true,
+    build: (data) => mealFlagByDay(data.mealData, MEAL_PREFIXES, (row, meal) => isFlagSet(row[`${meal}_Alcohol`]))
+  },
+  alcoholAtDinner: {
+    label: 'Alcohol at dinner',
+    unit: '1 = yes',
+    discrete: true,
+    build: (data) => mealFlagByDay(data.mealData, ['Dinner'], (row, meal) => isFlagSet(row[`${meal}_Alcohol`]))
+  },
+  addedSugar: {
+    label: 'Added sugar (any meal)',
+    unit: '1 = yes',
+    discrete: true,
+    build: (data) => mealFlagByDay(data.mealData, MEAL_PREFIXES, (row, meal) => hasAddedSugar(row[`${meal}_Added_Sugar`]))
+  },
+  addedSugarAfterDinner: {
+    label: 'Added sugar after dinner',
+    unit: '1 = yes',
+    discrete: true,
+    build: (data) => mealFlagByDay(data.mealData, ['Late_Night_Snack'], (row, meal) => hasAddedSugar(row[`${meal}_Added_Sugar`]))
+  },
+  badWeather: {
+    label: 'Bad weather',
+    unit: '1 = yes',
+    discrete: true,
+    build: (data) => new Map((data.weatherData || []).map(entry => [toDateKey(entry.date), entry.weather === 'Bad' ? 1 : 0]))
+  }
+};
+
+/*
+ Returns the last day with any recorded data
+
+ - @param {Object} patientData - Processed patient data
+ - @returns {string|null} 'YYYY-MM-DD' date key, or null without data
+ */
+export const getLastRecordedDay = (patientData) => {
+  const days = Array.from(getRecordedDays(patientData));
+  return days.length > 0 ? days.reduce((latest, day) => (day > latest ? day : latest)) : null;
+};
+
+/*
+ Builds a daily series from processed patient data
+
+ - @param {Object} patientData - Processed patient data
+ - @param {string} seriesKey - Key of DAILY_SERIES
+ - @returns {Map<string, number>} Value per 'YYYY-MM-DD' date key
+ - @throws {Error} If the series key is unknown
+ */
+export const buildDailySeries = (patientData, seriesKey) => {
+  const series = DAILY_SERIES[seriesKey];
+  if (!series) {
+    throw new Error(`Unknown daily series: ${seriesKey}`);
+  }
+  return patientData ? series.build(patientData) : new Map();
+};
@@ -0,0 +1,167 @@
+/*
+ glucoseAnalytics.js - Consensus Glucose Metrics
+
+ Computes the consensus glucose metrics from raw readings (mmol/L) rather than
+ the precomputed Glucose_Range labels:
+ - Time in range (TIR), 3.9-10.0 mmol/L by default
+ - Time below range (TBR) below 3.9 and below 3.0
+ - Time above range (TAR) above 10.0 and above 13.9
+ - Glucose management indicator (GMI, estimated A1c)
+ - Standard deviation (SD) and coefficient of variation (CV)
+ - Ambulatory glucose profile (AGP) percentiles over a 24-hour day
+
+ Thresholds default to GLUCOSE_RANGE_THRESHOLDS and can be overridden per call.
+ The synthetic data holds finger-stick readings rather than CGM traces, so
+ "time" in each range is the percentage of readings.
+ */
+
+import { GLUCOSE_RANGE_THRESHOLDS } from '../constants';
+
+// Range bands from lowest to highest, as used by the stacked TIR bar
+export const GLUCOSE_RANGE_BANDS = ['veryLow', 'low', 'inRange', 'high', 'veryHigh'];
+
+// --- Helper Functions ---
+
+const getValues = (readings) => readings
+  .map(reading => reading?.value)
+  .filter(value => typeof value === 'number' && Number.isFinite(value) && value > 0);
+
+const toPercentage = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+
+/*
+ Returns the range band of a glucose value
+
+ - @param {number} value - Glucose in mmol/L
+ - @param {Object} thresholds - { veryLow, low, high, veryHigh } in mmol/L
+ - @returns {string} One of GLUCOSE_RANGE_BANDS
+ */
+export const getGlucoseRangeBand = (value, thresholds = GLUCOSE_RANGE_THRESHOLDS) => {
+  if (value < thresholds.veryLow) return 'veryLow';
+  if (value < thresholds.low) return 'low';
+  if (value <= thresholds.high) return 'inRange';
+  if (value <= thresholds.veryHigh) return 'high';
+  return 'veryHigh';
+};
+
+/*
+ Glucose management indicator (Bergenstal et al. 2018), mmol/L form
+
+ - @param {number} meanGlucose - Mean glucose in mmol/L
+ - @returns {number} Estimated A1c in %
+ */
+export const calculateGmi = (meanGlucose) => 3.31 + 0.43056 * meanGlucose;
+
+/*
+ Computes the consensus glucose metrics for a set of readings
+
+ - @param {Array} readings - Glucose readings ({ value } in mmol/L)
+ - @param {Object} thresholds - Optional overrides of GLUCOSE_RANGE_THRESHOLDS
+ - @returns {Object|null} { count, mean, sd, cv, gmi, ranges, belowRange, aboveRange, thresholds },
+   where ranges holds the percentage of readings in each of GLUCOSE_RANGE_BANDS,
+   belowRange/aboveRange the combined TBR (< low) and TAR (> high); null when there are no readings
+ */
+export const calculateGlucoseMetrics = (readings, thresholds = {}) => {
+  const values = getValues(readings || []);
+  if (values.length === 0) return null;
+
+  const limits = { ...GLUCOSE_RANGE_THRESHOLDS, ...thresholds };
+  const count = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / count;
+  // Sample standard deviation; a single reading has no spread
+  const sd = count > 1
+    ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1))
+    : 0;
+
+  const bandCounts = GLUCOSE_RANGE_BANDS.reduce((counts, band) => ({ ...counts, [band]: 0 }), {});
+  values.forEach(value => {
+    bandCounts[getGlucoseRangeBand(value, limits)] += 1;
+  });
+
+  const ranges = GLUCOSE_RANGE_BANDS.reduce((percentages, band) => ({
+    ...percentages,
+    [band]: toPercentage(bandCounts[band], count)
+  }), {});
+
+  return {
+    count,
+    mean,
+    sd,
+    cv: mean > 0 ? (sd / mean) * 100 : 0,
+    gmi: calculateGmi(mean),
+    ranges,
+    belowRange: ranges.veryLow + ranges.low,
+    aboveRange: ranges.high + ranges.veryHigh,
+    thresholds: limits
+  };
+};
+
+// Percentiles drawn by the ambulatory glucose profile (AGP)
+export const AGP_PERCENTILES = [5, 25, 50, 75, 95];
+
+/*
+ Percentile of sorted values with linear interpolation between ranks
+
+ - @param {Array<number>} sortedValues - Values in ascending order
+ - @param {number} percentile - Percentile between 0 and 100
+ - @returns {number|null} Percentile value, or null for no values
+ */
+export const getPercentile = (sortedValues, percentile) => {
+  if (sortedValues.length === 0) return null;
+
+  const rank = (percentile / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+};
+
+// Circular distance between two times of day in hours
+const getHourDistance = (a, b) => {
+  const distance = Math.abs(a - b) % 24;
+  return Math.min(distance, 24 - distance);
+};
+
+/*
+ Builds an ambulatory glucose profile: every reading of the period folded onto a
+ single 24-hour day, with percentiles for each hour slot.
+
+ Finger-stick data is sparse, so each slot pools the readings within windowHours
+ of its centre, widening up to maxWindowHours until minReadings are found. Slots
+ that still have too few readings are returned with null percentiles (drawn as gaps).
+
+ - @param {Array} readings - Glucose readings ({ date, value } in mmol/L)
+ - @param {Object} options
+ - @param {number} options.minReadings - Readings required for a slot (default 5)
+ - @param {number} options.windowHours - Initial half-width of the pooling window (default 1)
+ - @param {number} options.maxWindowHours - Largest half-width tried (default 3)
+ - @returns {Array} 24 slots { hour, count, percentiles: { 5, 25, 50, 75, 95 } | null }
+ */
+export const calculateAgpProfile = (readings, { minReadings = 5, windowHours = 1, maxWindowHours = 3 } = {}) => {
+  const points = (readings || [])
+    .filter(reading => reading?.date instanceof Date && typeof reading.value === 'number' && reading.value > 0)
+    .map(reading => ({
+      hour: reading.date.getHours() + reading.date.getMinutes() / 60,
+      value: reading.value
+    }));
+
+  return Array.from({ length: 24 }, (_, hour) => {
+    const centre = hour + 0.5;
+    let values = [];
+    for (let window = windowHours; window <= maxWindowHours; window++) {
+      values = points
+        .filter(point => getHourDistance(point.hour, centre) <= window)
+        .map(point => point.value);
+      if (values.length >= minReadings) break;
+    }
+
+    if (values.length < minReadings) {
+      return { hour, count: values.length, percentiles: null };
+    }
+
+    const sortedValues = [...values].sort((a, b) => a - b);
+    const percentiles = AGP_PERCENTILES.reduce((acc, percentile) => ({
+      ...acc,
+      [percentile]: getPercentile(sortedValues, percentile)
+    }), {});
+    return { hour, count: values.length, percentiles };
+  });
+};
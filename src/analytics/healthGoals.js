@@ -0,0 +1,170 @@
+/*
+ healthGoals.js - Health Goal Evaluation, Streaks and Weekly Completion
+
+ Patients define goals such as "walk 30 minutes 5 days a week" or "sleep 7+ hours"
+ (stored by services/goalsStore.js). Each goal type reads one daily series (see
+ dailySeries.js), so a goal is met or missed per day without the patient having to
+ log anything:
+ - exercise: exercise minutes at or above the target
+ - sleep: sleep hours at or above the target
+ - noSugarAfterDinner: no added sugar in the late night snack
+ - preMealGlucose: every pre-meal glucose reading under the target
+
+ Days without a value for the series have no result. A goal with fewer than 7 days a
+ week counts a week as complete once it was met on that many days.
+
+ The CSV also has the patient's own daily Health_Goal_Met flag; compareWithSelfReport
+ lines it up with the evaluated goals so physicians can see where they disagree.
+ */
+
+import { buildDailySeries, findStreaks, shiftDateKey, toDateKey } from './dailySeries';
+
+// Goal types: key -> { label, unit, defaultTarget, defaultDaysPerWeek, seriesKey, isMet, describe }
+export const GOAL_TYPES = {
+  exercise: {
+    label: 'Exercise',
+    unit: 'min',
+    defaultTarget: 30,
+    defaultDaysPerWeek: 5,
+    seriesKey: 'exerciseMinutes',
+    isMet: (value, target) => value >= target,
+    describe: ({ target }) => `Exercise ${target} minutes`
+  },
+  sleep: {
+    label: 'Sleep',
+    unit: 'h',
+    defaultTarget: 7,
+    defaultDaysPerWeek: 7,
+    seriesKey: 'sleepHours',
+    isMet: (value, target) => value >= target,
+    describe: ({ target }) => `Sleep ${target}+ hours`
+  },
+  noSugarAfterDinner: {
+    label: 'No added sugar after dinner',
+    unit: null,
+    defaultTarget: null,
+    defaultDaysPerWeek: 7,
+    seriesKey: 'addedSugarAfterDinner',
+    isMet: (value) => value === 0,
+    describe: () => 'No added sugar after dinner'
+  },
+  preMealGlucose: {
+    label: 'Pre-meal glucose',
+    unit: 'mmol/L',
+    defaultTarget: 7,
+    defaultDaysPerWeek: 7,
+    seriesKey: 'highestPreMealGlucose',
+    isMet: (value, target) => value < target,
+    describe: ({ target }) => `Pre-meal glucose under ${target} mmol/L`
+  }
+};
+
+// --- Helper Functions ---
+
+// Sunday of the week of a date key, as used by the weekly chart navigation
+const getWeekStartKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return shiftDateKey(dateKey, -new Date(year, month - 1, day).getDay());
+};
+
+/*
+ Describes a goal for display
+
+ - @param {Object} goal - { type, target, daysPerWeek }
+ - @returns {string} e.g. 'Exercise 30 minutes, 5 days a week'
+ */
+export const describeGoal = (goal) => {
+  const goalType = GOAL_TYPES[goal.type];
+  if (!goalType) return `Unknown goal (${goal.type})`;
+
+  const description = goalType.describe(goal);
+  return goal.daysPerWeek < 7 ? `${description}, ${goal.daysPerWeek} days a week` : description;
+};
+
+/*
+ Evaluates a goal for every day with data
+
+ - @param {Object} patientData - Processed patient data
+ - @param {Object} goal - { type, target, daysPerWeek }
+ - @returns {Map<string, boolean>} Whether the goal was met per 'YYYY-MM-DD' date key
+ - @throws {Error} If the goal type is unknown
+ */
+export const evaluateGoal = (patientData, goal) => {
+  const goalType = GOAL_TYPES[goal.type];
+  if (!goalType) {
+    throw new Error(`Unknown goal type: ${goal.type}`);
+  }
+
+  const series = buildDailySeries(patientData, goalType.seriesKey);
+  return new Map(Array.from(series, ([day, value]) => [day, goalType.isMet(value, goal.target)]));
+};
+
+/*
+ Streaks and weekly completion of a goal
+
+ - @param {Map<string, boolean>} results - Result of evaluateGoal
+ - @param {Object} goal - { daysPerWeek }
+ - @param {string} endKey - Last day to include ('YYYY-MM-DD'), e.g. the patient's last recorded day
+ - @param {number} weeks - Number of weeks to list, ending with the week of endKey
+ - @returns {Object} { currentStreak, longestStreak, weeks } - streaks count consecutive days
+   met up to endKey; weeks holds { start, metDays, evaluatedDays, complete } per week, oldest first
+ */
+export const summarizeGoal = (results, goal, endKey, weeks = 4) => {
+  const entries = Array.from(results)
+    .filter(([day]) => day <= endKey)
+    .sort(([a], [b]) => a.localeCompare(b));
+  const { longest, current } = findStreaks(entries);
+
+  const lastWeekStart = getWeekStartKey(endKey);
+  const weekSummaries = Array.from({ length: weeks }, (_, index) => {
+    const start = shiftDateKey(lastWeekStart, (index - weeks + 1) * 7);
+    const days = Array.from({ length: 7 }, (__, day) => shiftDateKey(start, day))
+      .filter(day => day <= endKey && results.has(day));
+    const metDays = days.filter(day => results.get(day)).length;
+    return { start, metDays, evaluatedDays: days.length, complete: metDays >= goal.daysPerWeek };
+  });
+
+  return { currentStreak: current, longestStreak: longest, weeks: weekSummaries };
+};
+
+/*
+ Lines up the evaluated goals with the patient's self-reported Health_Goal_Met flag
+
+ A day counts as met by the data when every goal with a result that day was met.
+
+ - @param {Array<Map<string, boolean>>} goalResults - evaluateGoal result of each goal
+ - @param {Array} healthGoalData - Self-reported days ({ date, met })
+ - @param {Object} range
+ - @param {string} range.startKey - First day ('YYYY-MM-DD')
+ - @param {string} range.endKey - Last day ('YYYY-MM-DD')
+ - @returns {Object} { days, agreed, disagreed } - days holds { date, computed, reported } for
+   each day with a report or a result (either may be null), oldest first; agreed and
+   disagreed count the days that have both
+ */
+export const compareWithSelfReport = (goalResults, healthGoalData, { startKey, endKey }) => {
+  const inRange = (day) => day >= startKey && day <= endKey;
+
+  const reported = new Map((healthGoalData || [])
+    .map(entry => [toDateKey(entry.date), entry.met])
+    .filter(([day]) => inRange(day)));
+
+  const computed = new Map();
+  goalResults.forEach(results => results.forEach((met, day) => {
+    if (inRange(day)) computed.set(day, (computed.has(day) ? computed.get(day) : true) && met);
+  }));
+
+  const days = Array.from(new Set([...reported.keys(), ...computed.keys()]))
+    .sort()
+    .map(date => ({
+      date,
+      computed: computed.has(date) ? computed.get(date) : null,
+      reported: reported.has(date) ? reported.get(date) : null
+    }));
+  const compared = days.filter(day => day.computed !== null && day.reported !== null);
+
+  return {
+    days,
+    agreed: compared.filter(day => day.computed === day.reported).length,
+    disagreed: compared.filter(day => day.computed !== day.reported).length
+  };
+};
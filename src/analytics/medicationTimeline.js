@@ -0,0 +1,139 @@
+/*
+ medicationTimeline.js - Medication Periods and Change Events
+
+ Turns the daily medication lists of the processed patient data
+ (DataService.processMedicationData) into:
+ - Periods per medication: consecutive recorded days with the same dosage
+ - Change events: a medication starting, stopping or changing dosage
+ - Medications grouped by category (e.g. "Heart health and hypertension")
+
+ Days are compared as local 'YYYY-MM-DD' keys. Days without a recorded medication
+ list do not interrupt a period, and medications taken on the first recorded day
+ have no start event (they were already being taken when the data begins).
+ */
+
+import { toDateKey } from './dailySeries';
+
+// Category used for medications without one in the data
+export const UNCATEGORIZED_MEDICATIONS = 'Other';
+
+// --- Helper Functions ---
+
+const createEvent = (type, dateKey, medication, previousDosage = null) => ({
+  type,
+  date: dateKey,
+  name: medication.name,
+  category: medication.category,
+  dosage: medication.dosage,
+  previousDosage
+});
+
+/*
+ Builds the medication periods and change events from the daily medication lists
+
+ - @param {Array} medicationData - Days of { date, medications: [{ name, type, category, dosage }] }
+ - @returns {Object} { firstDay, lastDay, medications, events }; medications hold
+   { name, type, category, periods: [{ dosage, start, end }] } with 'YYYY-MM-DD' keys,
+   events hold { type: 'start' | 'stop' | 'dose-change', date, name, category, dosage, previousDosage }
+ */
+export const buildMedicationTimeline = (medicationData = []) => {
+  const days = medicationData
+    .filter(day => day.date instanceof Date && !isNaN(day.date.getTime()))
+    .map(day => ({ dateKey: toDateKey(day.date), medications: day.medications || [] }))
+    .sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+
+  const medicationsByName = new Map();
+  const openPeriods = new Map();
+  const events = [];
+
+  days.forEach(({ dateKey, medications }, dayIndex) => {
+    const takenToday = new Map();
+    medications.forEach(medication => {
+      if (medication.name && !takenToday.has(medication.name)) {
+        takenToday.set(medication.name, medication);
+      }
+    });
+
+    // Medications missing today stopped after the last day they were recorded
+    openPeriods.forEach((period, name) => {
+      if (!takenToday.has(name)) {
+        const { category } = medicationsByName.get(name);
+        events.push(createEvent('stop', dateKey, { name, category, dosage: period.dosage }));
+        openPeriods.delete(name);
+      }
+    });
+
+    takenToday.forEach((medication, name) => {
+      const category = medication.category || UNCATEGORIZED_MEDICATIONS;
+      if (!medicationsByName.has(name)) {
+        medicationsByName.set(name, { name, type: medication.type, category, periods: [] });
+      }
+      const entry = medicationsByName.get(name);
+      const open = openPeriods.get(name);
+
+      if (open && open.dosage === medication.dosage) {
+        open.end = dateKey;
+        return;
+      }
+
+      if (open) {
+        events.push(createEvent('dose-change', dateKey, { ...medication, category }, open.dosage));
+      } else if (dayIndex > 0) {
+        events.push(createEvent('start', dateKey, { ...medication, category }));
+      }
+
+      const period = { dosage: medication.dosage, start: dateKey, end: dateKey };
+      entry.periods.push(period);
+      openPeriods.set(name, period);
+    });
+  });
+
+  return {
+    firstDay: days.length > 0 ? days[0].dateKey : null,
+    lastDay: days.length > 0 ? days[days.length - 1].dateKey : null,
+    medications: Array.from(medicationsByName.values()),
+    events
+  };
+};
+
+/*
+ Groups medications by category, categories and medications sorted by name
+ (medications without a category last)
+
+ - @param {Array} medications - Medications of buildMedicationTimeline
+ - @returns {Array} [{ category, medications }]
+ */
+export const groupMedicationsByCategory = (medications) => {
+  const groups = new Map();
+  medications.forEach(medication => {
+    if (!groups.has(medication.category)) {
+      groups.set(medication.category, []);
+    }
+    groups.get(medication.category).push(medication);
+  });
+
+  return Array.from(groups.entries())
+    .sort(([a], [b]) => {
+      if (a === UNCATEGORIZED_MEDICATIONS) return 1;
+      if (b === UNCATEGORIZED_MEDICATIONS) return -1;
+      return a.localeCompare(b);
+    })
+    .map(([category, categoryMedications]) => ({
+      category,
+      medications: [...categoryMedications].sort((a, b) => a.name.localeCompare(b.name))
+    }));
+};
+
+/*
+ Returns the events between two dates (inclusive)
+
+ - @param {Array} events - Events of buildMedicationTimeline
+ - @param {Date} start - Range start
+ - @param {Date} end - Range end
+ - @returns {Array} Events in the range
+ */
+export const getMedicationEventsInRange = (events, start, end) => {
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+  return events.filter(event => event.date >= startKey && event.date <= endKey);
+};
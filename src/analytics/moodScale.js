@@ -0,0 +1,166 @@
+/*
+ moodScale.js - Mood Scale, Summaries and Valence Trend
+
+ Maps the Mood values of the CSV onto a mood scale (MOOD_SCALE in constants by default):
+ each mood has a label, emoji, colors and an ordinal valence (higher is better).
+ Values that are not on the scale are classified as the unrecognised mood, so they are
+ counted and shown rather than dropped; empty values are not moods.
+
+ The valence is used for trend math: summaries average it and the valence trend fits a
+ least-squares line through the weekly averages.
+ */
+
+import { MOOD_SCALE, UNRECOGNISED_MOOD } from '../constants';
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+/*
+ Creates a mood scale
+
+ - @param {Array} moods - Moods ({ key, label, emoji, color, background, valence })
+ - @param {Object} unrecognised - Mood shown for values that are not on the scale
+ - @returns {Object} { moods, unrecognised, entries, classify } - entries lists every mood
+   including the unrecognised one; classify(value) returns the mood of a CSV value (null if empty)
+ */
+export const createMoodScale = (moods = MOOD_SCALE, unrecognised = UNRECOGNISED_MOOD) => {
+  const moodsByKey = new Map(moods.map(mood => [mood.key.toLowerCase(), mood]));
+
+  const classify = (value) => {
+    const key = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!key) return null;
+    return moodsByKey.get(key) || unrecognised;
+  };
+
+  return { moods, unrecognised, entries: [...moods, unrecognised], classify };
+};
+
+export const DEFAULT_MOOD_SCALE = createMoodScale();
+
+/*
+ Valence of a CSV mood value
+
+ - @param {string} value - Mood value
+ - @param {Object} scale - Mood scale (createMoodScale)
+ - @returns {number|null} Valence, or null for empty and unrecognised values
+ */
+export const getMoodValence = (value, scale = DEFAULT_MOOD_SCALE) => scale.classify(value)?.valence ?? null;
+
+/*
+ Describes the valence of a scale, e.g. '1 = happy, -1 = sad/angry/contempt'
+
+ - @param {Object} scale - Mood scale
+ - @returns {string} Valence values with their moods, best first
+ */
+export const describeMoodValence = (scale = DEFAULT_MOOD_SCALE) => {
+  const keysByValence = scale.moods.reduce((groups, mood) => {
+    groups.set(mood.valence, [...(groups.get(mood.valence) || []), mood.key]);
+    return groups;
+  }, new Map());
+
+  return Array.from(keysByValence.entries())
+    .sort(([a], [b]) => b - a)
+    .map(([valence, keys]) => `${valence} = ${keys.join('/')}`)
+    .join(', ');
+};
+
+/*
+ Labels an average valence relative to the range of the scale
+
+ - @param {number|null} averageValence - Average valence
+ - @param {Object} scale - Mood scale
+ - @returns {string|null} 'Positive', 'Mixed' or 'Needs Attention'
+ */
+export const describeMoodTrend = (averageValence, scale = DEFAULT_MOOD_SCALE) => {
+  if (averageValence === null) return null;
+
+  const valences = scale.moods.map(mood => mood.valence);
+  const min = Math.min(...valences);
+  const max = Math.max(...valences);
+  const position = max > min ? (averageValence - min) / (max - min) : 0.5;
+  if (position >= 0.75) return 'Positive';
+  if (position >= 0.25) return 'Mixed';
+  return 'Needs Attention';
+};
+
+const averageValence = (moods) => {
+  const valences = moods.map(mood => mood.valence).filter(valence => valence !== null);
+  return valences.length > 0 ? valences.reduce((sum, valence) => sum + valence, 0) / valences.length : null;
+};
+
+/*
+ Counts the moods of a period
+
+ - @param {Array} entries - Mood entries ({ date, mood })
+ - @param {Object} scale - Mood scale
+ - @returns {Object|null} { total, daysWithMood, counts, percentages, mostCommon, averageValence, trend }
+   counts and percentages are keyed by mood key (every mood of the scale, plus unrecognised);
+   null when no entry has a mood
+ */
+export const summarizeMoods = (entries, scale = DEFAULT_MOOD_SCALE) => {
+  const classified = entries
+    .map(entry => ({ date: entry.date, mood: scale.classify(entry.mood) }))
+    .filter(entry => entry.mood);
+  if (classified.length === 0) return null;
+
+  const counts = Object.fromEntries(scale.entries.map(mood => [mood.key, 0]));
+  classified.forEach(entry => {
+    counts[entry.mood.key]++;
+  });
+
+  const total = classified.length;
+  const percentages = Object.fromEntries(
+    Object.entries(counts).map(([key, count]) => [key, Math.round((count / total) * 100)])
+  );
+  const [mostCommonKey, mostCommonCount] = Object.entries(counts).sort(([, a], [, b]) => b - a)[0];
+  const valence = averageValence(classified.map(entry => entry.mood));
+
+  return {
+    total,
+    daysWithMood: new Set(classified.map(entry => entry.date.toDateString())).size,
+    counts,
+    percentages,
+    mostCommon: { mood: scale.entries.find(mood => mood.key === mostCommonKey), count: mostCommonCount },
+    averageValence: valence,
+    trend: describeMoodTrend(valence, scale)
+  };
+};
+
+/*
+ Weekly average valence of a period with its least-squares trend
+
+ - @param {Array} entries - Mood entries ({ date, mood })
+ - @param {Date} start - First day of the period
+ - @param {Date} end - Last day of the period
+ - @param {Object} scale - Mood scale
+ - @returns {Object|null} { weeks, slopePerWeek, intercept } - weeks are { index, start, valence }
+   for the weeks with a valence (index counts weeks from start); null without valences
+ */
+export const buildValenceTrend = (entries, start, end, scale = DEFAULT_MOOD_SCALE) => {
+  const moodsByWeek = new Map();
+  entries
+    .filter(entry => entry.date >= start && entry.date <= end)
+    .forEach(entry => {
+      const mood = scale.classify(entry.mood);
+      if (!mood || mood.valence === null) return;
+      const index = Math.floor((entry.date - start) / MS_PER_WEEK);
+      moodsByWeek.set(index, [...(moodsByWeek.get(index) || []), mood]);
+    });
+
+  const weeks = Array.from(moodsByWeek.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([index, moods]) => ({
+      index,
+      start: new Date(start.getTime() + index * MS_PER_WEEK),
+      valence: averageValence(moods)
+    }));
+  if (weeks.length === 0) return null;
+
+  // Least-squares line through (week index, average valence)
+  const meanX = weeks.reduce((sum, week) => sum + week.index, 0) / weeks.length;
+  const meanY = weeks.reduce((sum, week) => sum + week.valence, 0) / weeks.length;
+  const sxx = weeks.reduce((sum, week) => sum + (week.index - meanX) ** 2, 0);
+  const sxy = weeks.reduce((sum, week) => sum + (week.index - meanX) * (week.valence - meanY), 0);
+  const slopePerWeek = sxx > 0 ? sxy / sxx : 0;
+
+  return { weeks, slopePerWeek, intercept: meanY - slopePerWeek * meanX };
+};
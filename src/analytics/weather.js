@@ -0,0 +1,76 @@
+/*
+ weather.js - Weather Days and Good vs Bad Weather Comparison
+
+ The CSV records the weather of each day as 'Good' or 'Bad'. The weekly charts draw
+ bad weather days as a background band, and the physician summaries compare a
+ metric's daily values (see dailySeries.js) on good and bad weather days, e.g. to see
+ whether bad weather lines up with lower mood, more pain or less exercise.
+ */
+
+import { toDateKey } from './dailySeries';
+
+export const BAD_WEATHER = 'Bad';
+
+// --- Helper Functions ---
+
+const summarizeValues = (values) => ({
+  days: values.length,
+  average: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null
+});
+
+/*
+ Weather of each day
+
+ - @param {Array} weatherData - Processed weather entries ({ date, weather })
+ - @returns {Map<string, string>} 'Good' or 'Bad' per 'YYYY-MM-DD' date key
+ */
+export const groupWeatherByDay = (weatherData) => new Map(
+  (weatherData || [])
+    .filter(entry => entry.date instanceof Date && !Number.isNaN(entry.date.getTime()))
+    .map(entry => [toDateKey(entry.date), entry.weather])
+);
+
+/*
+ Whether a day had bad weather
+
+ - @param {Map<string, string>} weatherByDay - Result of groupWeatherByDay
+ - @param {Date} date - Day to look up
+ - @returns {boolean} True for bad weather days
+ */
+export const isBadWeatherDay = (weatherByDay, date) => weatherByDay.get(toDateKey(date)) === BAD_WEATHER;
+
+/*
+ Compares a daily series on good and bad weather days
+
+ - @param {Map<string, number>} series - Values per 'YYYY-MM-DD' date key
+ - @param {Map<string, string>} weatherByDay - Result of groupWeatherByDay
+ - @param {Object} options
+ - @param {Date} options.start - First day of the period
+ - @param {Date} options.end - Last day of the period
+ - @param {number|null} options.missingValue - Value of days without a value in the series
+   (e.g. 0 exercise minutes); null leaves those days out
+ - @returns {Object|null} { good, bad, difference } - good and bad are { days, average };
+   difference is bad minus good (null unless both have days); null without weather days
+ */
+export const compareByWeather = (series, weatherByDay, { start, end, missingValue = null }) => {
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+  const values = { good: [], bad: [] };
+
+  weatherByDay.forEach((weather, day) => {
+    if (day < startKey || day > endKey) return;
+    const value = series.has(day) ? series.get(day) : missingValue;
+    if (value === null || !Number.isFinite(value)) return;
+    values[weather === BAD_WEATHER ? 'bad' : 'good'].push(value);
+  });
+
+  if (values.good.length === 0 && values.bad.length === 0) return null;
+
+  const good = summarizeValues(values.good);
+  const bad = summarizeValues(values.bad);
+  return {
+    good,
+    bad,
+    difference: good.average !== null && bad.average !== null ? bad.average - good.average : null
+  };
+};
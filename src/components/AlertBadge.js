@@ -0,0 +1,60 @@
+/*
+ AlertBadge.js - Clinical Alert Badge
+
+ Shows the number of clinical alerts for one chart in its header, colored by the
+ most severe alert. Clicking the badge lists the alerts.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import './AlertBadge.css';
+
+/*
+ Alert badge for a chart header
+
+ @param {Object} props
+ @param {Array} props.alerts - Alerts of the chart, most severe first (analytics/clinicalAlerts.js)
+ */
+const AlertBadge = ({ alerts }) => {
+  const [open, setOpen] = useState(false);
+
+  if (!alerts || alerts.length === 0) return null;
+
+  const severity = alerts[0].severity;
+
+  return (
+    <div className="alert-badge-container">
+      <button
+        type="button"
+        className={`alert-badge ${severity}`}
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        aria-label={`${alerts.length} clinical alert${alerts.length > 1 ? 's' : ''}`}
+        title={alerts.map(alert => alert.title).join('\n')}
+      >
+        {alerts.length}
+      </button>
+      {open && (
+        <ul className="alert-badge-list">
+          {alerts.map(alert => (
+            <li key={alert.ruleId} className={alert.severity}>
+              <strong>{alert.title}</strong>
+              <span>{alert.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+AlertBadge.propTypes = {
+  alerts: PropTypes.arrayOf(PropTypes.shape({
+    ruleId: PropTypes.string.isRequired,
+    severity: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    message: PropTypes.string.isRequired
+  }))
+};
+
+export default AlertBadge;
@@ -0,0 +1,80 @@
+/*
+ ChartExportMenu.js - Chart Export Menu
+
+ "Export" button in the chart header (VisualizationWrapper) with three downloads:
+ - SVG: standalone image of the chart with its styles inlined (utils/chartImageExport.js)
+ - PNG: the same image rasterized
+ - CSV: the data points shown for the current period (services/chartDataExport.js)
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { createChartSvg, svgToPng } from '../utils/chartImageExport';
+import { toCsv } from '../services/chartDataExport';
+import { downloadFile } from '../utils/downloadFile';
+import './ChartExportMenu.css';
+
+/*
+ Export menu for one chart
+
+ @param {Object} props
+ @param {string} props.fileName - File name without extension
+ @param {Function} props.getChartElement - Returns the element the chart is rendered in
+ @param {Function} props.getData - Returns the chart's { columns, rows }; omit to hide the CSV export
+ */
+const ChartExportMenu = ({ fileName, getChartElement, getData = null }) => {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async (format) => {
+    setOpen(false);
+    setError(null);
+
+    try {
+      if (format === 'csv') {
+        downloadFile(toCsv(getData()), `${fileName}.csv`, 'text/csv');
+        return;
+      }
+
+      const { svg, width, height } = createChartSvg(getChartElement());
+      if (format === 'svg') {
+        downloadFile(svg, `${fileName}.svg`, 'image/svg+xml');
+      } else {
+        downloadFile(await svgToPng(svg, width, height), `${fileName}.png`);
+      }
+    } catch (exportError) {
+      console.error('Chart export failed:', exportError);
+      setError(exportError.message);
+    }
+  };
+
+  return (
+    <div className="chart-export-menu">
+      <button
+        type="button"
+        className="expand-button"
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        aria-haspopup="menu"
+      >
+        Export
+      </button>
+      {open && (
+        <ul className="chart-export-options" role="menu">
+          <li role="menuitem" onClick={() => handleExport('svg')}>Image (SVG)</li>
+          <li role="menuitem" onClick={() => handleExport('png')}>Image (PNG)</li>
+          {getData && <li role="menuitem" onClick={() => handleExport('csv')}>Data (CSV)</li>}
+        </ul>
+      )}
+      {error && <span className="chart-export-error" role="alert" title={error}>Export failed</span>}
+    </div>
+  );
+};
+
+ChartExportMenu.propTypes = {
+  fileName: PropTypes.string.isRequired,
+  getChartElement: PropTypes.func.isRequired,
+  getData: PropTypes.func
+};
+
+export default ChartExportMenu;
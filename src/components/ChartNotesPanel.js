@@ -0,0 +1,123 @@
+/*
+ ChartNotesPanel.js - Physician Notes for One Chart
+
+ Shown below each chart of the physician dashboard (DashboardGrid showSummaries):
+ - Free-text note for the chart
+ - Annotations pinned to dates of the chart, listed by date with a remove button
+ - Form to add an annotation (date defaults to the start of the displayed period);
+   hidden for charts without a date axis
+
+ Notes are saved as they are typed; see services/notesStore.js.
+ */
+
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import './ChartNotesPanel.css';
+
+const formatDate = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/*
+ Notes and annotations panel
+
+ @param {Object} props
+ @param {string} props.chartName - Display name of the chart
+ @param {string} props.note - Current note text
+ @param {Function} props.onNoteChange - Called with the new note text
+ @param {boolean} props.allowAnnotations - Whether the chart can show date annotations
+ @param {Array} props.annotations - Annotations of the chart ({ id, date, text })
+ @param {Function} props.onAddAnnotation - Called with { date, text }
+ @param {Function} props.onRemoveAnnotation - Called with the annotation ID
+ @param {string} props.defaultDate - Initial 'YYYY-MM-DD' date of the add form
+ */
+const ChartNotesPanel = ({
+  chartName,
+  note = '',
+  onNoteChange,
+  allowAnnotations = true,
+  annotations = [],
+  onAddAnnotation,
+  onRemoveAnnotation,
+  defaultDate = ''
+}) => {
+  const [date, setDate] = useState(defaultDate);
+  const [text, setText] = useState('');
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!date || !text.trim()) return;
+    onAddAnnotation({ date, text });
+    setText('');
+  };
+
+  return (
+    <div className="chart-notes-panel">
+      <textarea
+        className="chart-notes-text"
+        value={note}
+        onChange={(event) => onNoteChange(event.target.value)}
+        placeholder={`Notes on ${chartName}...`}
+        aria-label={`Notes on ${chartName}`}
+        rows={3}
+      />
+
+      {allowAnnotations && annotations.length > 0 && (
+        <ul className="chart-annotations">
+          {annotations.map(annotation => (
+            <li key={annotation.id}>
+              <span className="chart-annotation-date">{formatDate(annotation.date)}</span>
+              <span className="chart-annotation-text">{annotation.text}</span>
+              <button
+                type="button"
+                className="chart-annotation-remove"
+                onClick={() => onRemoveAnnotation(annotation.id)}
+                aria-label={`Remove annotation ${annotation.text}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {allowAnnotations && (
+        <form className="chart-annotation-form" onSubmit={handleSubmit}>
+          <input
+            type="date"
+            value={date}
+            onChange={(event) => setDate(event.target.value)}
+            aria-label="Annotation date"
+            required
+          />
+          <input
+            type="text"
+            value={text}
+            onChange={(event) => setText(event.target.value)}
+            placeholder="Annotate a date, e.g. started Metformin"
+            aria-label="Annotation text"
+          />
+          <button type="submit" disabled={!date || !text.trim()}>Add</button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+ChartNotesPanel.propTypes = {
+  chartName: PropTypes.string.isRequired,
+  note: PropTypes.string,
+  onNoteChange: PropTypes.func.isRequired,
+  allowAnnotations: PropTypes.bool,
+  annotations: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    date: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired
+  })),
+  onAddAnnotation: PropTypes.func.isRequired,
+  onRemoveAnnotation: PropTypes.func.isRequired,
+  defaultDate: PropTypes.string
+};
+
+export default ChartNotesPanel;
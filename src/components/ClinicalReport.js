@@ -0,0 +1,200 @@
+/*
+ ClinicalReport.js - Printable Clinical Report
+
+ Print-ready report of the selected patient, opened from the physician dashboard
+ ("Generate report") to take into a consult or send to a specialist:
+ - Patient details (PatientInfoCard) and active clinical alerts on the first page
+ - One page per available chart for the chosen period, rendered by the chart itself
+   in the physician view, so its SVG and its week and 3-month summaries are included
+ - The physician note and date annotations of each chart
+
+ The report is rendered outside the app root (a portal on document.body); while it is
+ open, the print stylesheet in ClinicalReport.css hides the app, so "Print" (or the
+ browser's "Save as PDF") prints only the report and works fully offline.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import useChartNavigation from '../hooks/useChartNavigation';
+import { toDateKey } from '../analytics/dailySeries';
+import PatientInfoCard from './PatientInfoCard';
+import ErrorBoundary from './ErrorBoundary';
+import './ClinicalReport.css';
+
+const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// One chart of the report, navigated to the report period
+const ReportChart = ({ type, visualization, patientId, reportDate, note, annotations }) => {
+  const navigation = useChartNavigation(type, reportDate);
+  const Component = visualization.component;
+
+  return (
+    <section className="clinical-report-page clinical-report-chart">
+      <h2>{visualization.name}</h2>
+      <ErrorBoundary>
+        <Component
+          patientId={patientId}
+          viewMode="physician"
+          isExpanded={false}
+          onExpand={() => {}}
+          navigation={navigation}
+        />
+      </ErrorBoundary>
+
+      {(note || annotations.length > 0) && (
+        <div className="clinical-report-notes">
+          <h3>Physician Notes</h3>
+          {note && <p className="clinical-report-note">{note}</p>}
+          {annotations.length > 0 && (
+            <ul>
+              {annotations.map(annotation => (
+                <li key={annotation.id}>
+                  <span className="clinical-report-note-date">{formatDate(fromDateKey(annotation.date))}</span>
+                  {annotation.text}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+// First page: report period, patient details and active alerts
+const ReportCover = ({ patientId, patientInfo, alerts, reportDate }) => {
+  // Period as the weekly and 3-month charts see it
+  const navigation = useChartNavigation('glucose', reportDate);
+  const { start: weekStart, end: weekEnd } = navigation.getDateRange();
+  const { start: rangeStart, end: rangeEnd } = navigation.getThreeMonthRange();
+
+  return (
+    <section className="clinical-report-page clinical-report-cover">
+      <header className="clinical-report-header">
+        <h1>Clinical Report</h1>
+        <div className="clinical-report-meta">
+          <div><strong>Patient:</strong> {patientInfo?.name} ({patientId})</div>
+          <div><strong>Week:</strong> {formatDate(weekStart)} – {formatDate(weekEnd)}</div>
+          <div><strong>3-month range:</strong> {formatDate(rangeStart)} – {formatDate(rangeEnd)}</div>
+          <div><strong>Generated:</strong> {formatDate(new Date())}</div>
+        </div>
+      </header>
+
+      {/* The patient variant lists medication schedules */}
+      <PatientInfoCard patientInfo={patientInfo} variant="patient" className="clinical-report-patient-card" />
+
+      <div className="clinical-report-alerts">
+        <h2>Active Alerts</h2>
+        {alerts.length === 0 ? (
+          <p>No active alerts.</p>
+        ) : (
+          <ul>
+            {alerts.map(alert => (
+              <li key={alert.ruleId} className={alert.severity}>
+                <strong>{alert.title}</strong> – {alert.message}
+                <span className="clinical-report-alert-date">{formatDate(alert.date)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+};
+
+/*
+ Clinical report overlay with period selection and printing
+
+ @param {Object} props
+ @param {string} props.patientId - Selected patient
+ @param {Object} props.patientInfo - Patient details of the processed data
+ @param {Object} props.visualizations - Available visualizations (useVisualizations)
+ @param {Array} props.alerts - Active clinical alerts (usePatientAlerts)
+ @param {Object} props.chartNotes - Physician note per chart type
+ @param {Array} props.annotations - Physician date annotations
+ @param {Date} props.initialDate - Day of the initial report period
+ @param {Function} props.onClose - Called when the report is closed
+ */
+const ClinicalReport = ({
+  patientId,
+  patientInfo,
+  visualizations,
+  alerts = [],
+  chartNotes = {},
+  annotations = [],
+  initialDate = new Date(),
+  onClose
+}) => {
+  const [reportDateKey, setReportDateKey] = useState(toDateKey(initialDate));
+  const reportDate = fromDateKey(reportDateKey);
+
+  // Lets the print stylesheet hide the app behind the report
+  useEffect(() => {
+    document.body.classList.add('clinical-report-open');
+    return () => document.body.classList.remove('clinical-report-open');
+  }, []);
+
+  const handleDateChange = (event) => {
+    if (event.target.value) {
+      setReportDateKey(event.target.value);
+    }
+  };
+
+  return createPortal(
+    <div className="clinical-report-overlay">
+      <div className="clinical-report-toolbar">
+        <label>
+          Report period
+          <input type="date" value={reportDateKey} onChange={handleDateChange} />
+        </label>
+        <span className="clinical-report-toolbar-hint">
+          Weekly charts show the week of this date, monthly charts its month
+        </span>
+        <button className="export-button" onClick={() => window.print()}>Print / Save as PDF</button>
+        <button className="export-button" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="clinical-report">
+        <ReportCover
+          key={reportDateKey}
+          patientId={patientId}
+          patientInfo={patientInfo}
+          alerts={alerts}
+          reportDate={reportDate}
+        />
+
+        {Object.entries(visualizations).map(([type, visualization]) => (
+          <ReportChart
+            key={`${type}-${reportDateKey}`}
+            type={type}
+            visualization={visualization}
+            patientId={patientId}
+            reportDate={reportDate}
+            note={chartNotes[type]}
+            annotations={annotations.filter(annotation => annotation.chartType === type)}
+          />
+        ))}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+ClinicalReport.propTypes = {
+  patientId: PropTypes.string.isRequired,
+  patientInfo: PropTypes.object,
+  visualizations: PropTypes.object.isRequired,
+  alerts: PropTypes.arrayOf(PropTypes.object),
+  chartNotes: PropTypes.object,
+  annotations: PropTypes.arrayOf(PropTypes.object),
+  initialDate: PropTypes.instanceOf(Date),
+  onClose: PropTypes.func.isRequired
+};
+
+export default ClinicalReport;
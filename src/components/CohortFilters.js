@@ -0,0 +1,81 @@
+/*
+ CohortFilters.js - Condition and Medication Category Filters
+
+ Toggle chips for the chronic conditions and medication categories present in the
+ cohort. Used by the cohort overview and above the physician patient dashboard;
+ the same filters also narrow the physician patient selector. A patient matches when they have every selected condition and
+ take medication from every selected category (analytics/cohortSummary.js).
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { EMPTY_COHORT_FILTERS, hasActiveCohortFilters } from '../analytics/cohortSummary';
+import './CohortFilters.css';
+
+const FILTER_GROUPS = [
+  { key: 'conditions', label: 'Conditions' },
+  { key: 'medicationCategories', label: 'Medication categories' }
+];
+
+/*
+ Cohort filter chips
+
+ @param {Object} props
+ @param {Object} props.options - Available values ({ conditions, medicationCategories })
+ @param {Object} props.filters - Selected values ({ conditions, medicationCategories })
+ @param {Function} props.onChange - Called with the new filters
+ */
+const CohortFilters = ({ options, filters, onChange }) => {
+  const toggle = (groupKey, value) => {
+    const selected = filters[groupKey];
+    onChange({
+      ...filters,
+      [groupKey]: selected.includes(value)
+        ? selected.filter(item => item !== value)
+        : [...selected, value]
+    });
+  };
+
+  return (
+    <div className="cohort-filters">
+      {FILTER_GROUPS.map(group => (
+        <div key={group.key} className="cohort-filter-group">
+          <span className="cohort-filter-label">{group.label}:</span>
+          {options[group.key].map(value => {
+            const active = filters[group.key].includes(value);
+            return (
+              <button
+                key={value}
+                type="button"
+                className={`cohort-filter-chip ${active ? 'active' : ''}`}
+                aria-pressed={active}
+                onClick={() => toggle(group.key, value)}
+              >
+                {value}
+              </button>
+            );
+          })}
+        </div>
+      ))}
+      {hasActiveCohortFilters(filters) && (
+        <button type="button" className="cohort-filter-clear" onClick={() => onChange(EMPTY_COHORT_FILTERS)}>
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+};
+
+CohortFilters.propTypes = {
+  options: PropTypes.shape({
+    conditions: PropTypes.arrayOf(PropTypes.string),
+    medicationCategories: PropTypes.arrayOf(PropTypes.string)
+  }).isRequired,
+  filters: PropTypes.shape({
+    conditions: PropTypes.arrayOf(PropTypes.string),
+    medicationCategories: PropTypes.arrayOf(PropTypes.string)
+  }).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default CohortFilters;
@@ -0,0 +1,155 @@
+/*
+ CsvUploadPanel.js - Local Patient CSV Upload Component
+
+ This component lets users load patient exports from their own machine by
+ dragging CSV files onto a drop zone or picking them with a file dialog.
+ FHIR R4 Bundles saved as .json files are accepted as well and converted
+ through the FHIR importer. CSV files are parsed and processed in the data worker, and the resulting
+ patient IDs (taken from the file names) are reported back to the parent so
+ they can be offered in the patient selector for the rest of the session.
+ */
+
+import React, { useState, useRef } from 'react';
+import PropTypes from 'prop-types';
+import DataService from '../services/dataService';
+import { invalidatePatient, loadPatient } from '../services/patientStore';
+import './CsvUploadPanel.css';
+
+// Derive a patient ID from the uploaded file name (e.g. "Patient_042.csv" -> "Patient_042")
+const getPatientIdFromFile = (file) => file.name.replace(/\.(csv|json)$/i, '').trim();
+
+const isCsvFile = (file) => /\.csv$/i.test(file.name) || file.type === 'text/csv';
+
+const isJsonFile = (file) => /\.json$/i.test(file.name) || file.type === 'application/json';
+
+/*
+ Upload panel accepting one or more patient CSV files or FHIR Bundles
+
+ @param {Object} props
+ @param {Function} props.onPatientsLoaded - Called with the array of patient IDs that loaded successfully
+ */
+const CsvUploadPanel = ({ onPatientsLoaded }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [messages, setMessages] = useState([]);
+  const inputRef = useRef(null);
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    setIsProcessing(true);
+    const loadedIds = [];
+    const results = [];
+
+    for (const file of files) {
+      if (!isCsvFile(file) && !isJsonFile(file)) {
+        results.push({ type: 'error', text: `${file.name}: not a CSV or FHIR JSON file` });
+        continue;
+      }
+
+      const patientId = getPatientIdFromFile(file);
+      try {
+        const fileText = await file.text();
+        // Kept so a file that fails to process leaves an earlier upload under this ID in place
+        const previousRecord = await DataService.getUploadedPatientRecord(patientId);
+        if (isJsonFile(file)) {
+          DataService.registerFhirBundle(patientId, JSON.parse(fileText));
+        } else {
+          DataService.registerUploadedPatient(patientId, fileText);
+        }
+        // Drop any previously loaded data stored under the same ID
+        await invalidatePatient(patientId);
+        if (!isJsonFile(file)) {
+          // Parse and process now (in the worker) so problems are reported here
+          try {
+            await loadPatient(patientId);
+          } catch (error) {
+            DataService.restoreUploadedPatient(patientId, previousRecord);
+            throw error;
+          }
+        }
+        loadedIds.push(patientId);
+        results.push({ type: 'success', text: `${file.name}: loaded as ${patientId}` });
+      } catch (error) {
+        console.error(`Error loading uploaded file ${file.name}:`, error);
+        results.push({ type: 'error', text: `${file.name}: ${error.message}` });
+      }
+    }
+
+    setMessages(results);
+    setIsProcessing(false);
+
+    if (loadedIds.length > 0 && onPatientsLoaded) {
+      onPatientsLoaded(loadedIds);
+    }
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    handleFiles(event.dataTransfer.files);
+  };
+
+  const handleInputChange = (event) => {
+    handleFiles(event.target.files);
+    // Reset so the same file can be selected again
+    event.target.value = '';
+  };
+
+  return (
+    <div className="csv-upload-panel">
+      <div
+        className={`csv-drop-zone ${isDragging ? 'dragging' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(event) => {
+          if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            inputRef.current?.click();
+          }
+        }}
+        aria-label="Upload patient CSV or FHIR JSON files"
+      >
+        {isProcessing ? 'Processing files...' : 'Drop patient CSV or FHIR JSON files here or click to browse'}
+      </div>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".csv,text/csv,.json,application/json"
+        multiple
+        className="csv-upload-input"
+        onChange={handleInputChange}
+      />
+      {messages.length > 0 && (
+        <ul className="csv-upload-messages">
+          {messages.map((message, index) => (
+            <li key={index} className={`csv-upload-message ${message.type}`}>
+              {message.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+CsvUploadPanel.propTypes = {
+  onPatientsLoaded: PropTypes.func
+};
+
+export default CsvUploadPanel;
@@ -2,6 +2,7 @@
  Dashboard.js - Unified Dashboard Router Component
  
  This component acts as a simple router that renders either the PatientDashboard or PhysicianDashboard based on the viewMode prop. It provides a clean separation between the two dashboard types while maintaining a unified interface.
+ It also wraps both dashboards in the PatientDataProvider so the selected patient is loaded once and shared by every chart.
  
  Purpose:
  - Central routing logic for dashboard views
@@ -11,6 +12,8 @@
  Props:
  - patientId: The ID of the currently selected patient
  - viewMode: The current view mode ('patient' or 'physician')
+ - route: The current URL route (useHashRoute), with the expanded chart and chart periods
+ - onRouteChange: Called with the new route when a chart is expanded or navigated
  
  Component Flow:
  - Receives viewMode prop from parent App component
@@ -21,20 +24,23 @@
 import React from 'react';
 import PatientDashboard from '../PatientDashboard';
 import PhysicianDashboard from '../PhysicianDashboard';
+import { PatientDataProvider } from '../context/PatientDataContext';
 
 /*
 Unified Dashboard component that renders either Patient or Physician viewbased on the viewMode prop
  
  @param {string} patientId - The patient identifier
  @param {string} viewMode - The view mode ('patient' or 'physician')
+ @param {Object} route - The current URL route
+ @param {Function} onRouteChange - Called with the new route
  @returns {JSX.Element} The appropriate dashboard component
  */
-const Dashboard = ({ patientId, viewMode }) => {
-  if (viewMode === 'physician') {
-    return <PhysicianDashboard patientId={patientId} />;
-  }
-  
-  return <PatientDashboard patientId={patientId} />;
-};
+const Dashboard = ({ patientId, viewMode, route, onRouteChange }) => (
+  <PatientDataProvider patientId={patientId}>
+    {viewMode === 'physician'
+      ? <PhysicianDashboard patientId={patientId} route={route} onRouteChange={onRouteChange} />
+      : <PatientDashboard patientId={patientId} route={route} onRouteChange={onRouteChange} />}
+  </PatientDataProvider>
+);
 
 export default Dashboard;
@@ -4,6 +4,10 @@
  This component provides a flexible grid layout system for organizing charts by rendering all 
  available visualizations in a grid, handling expanded/collapsed chart states, integrating chart 
  navigation controls, and providing placeholder states for empty data scenarios.
+ When showSummaries is set, each chart gets a physician notes panel (ChartNotesPanel)
+ with its free-text note and date annotations.
+ Every chart can be exported as an image; charts with a data export (services/chartDataExport.js)
+ also offer the data points of their current period, with the chart's annotations, as CSV.
  
  Acts as the main container for organizing multiple health metric visualizations.
  */
@@ -11,6 +15,9 @@
 import React from 'react';
 import VisualizationWrapper from './VisualizationWrapper';
 import Placeholder from './ui/Placeholder';
+import ChartNotesPanel from './ChartNotesPanel';
+import { toDateKey } from '../analytics/dailySeries';
+import { hasChartDataExport, getChartExportData } from '../services/chartDataExport';
 import './DashboardGrid.css';
 
 /*
@@ -28,10 +35,16 @@ import './DashboardGrid.css';
  @param {Function} props.renderVisualization - Function to render visualizations
  @param {boolean} props.disabled - Whether the grid is disabled
  @param {string} props.placeholderText - Text to show when no data is available
- @param {boolean} props.showSummaries - Whether to show summaries (unused)
- @param {Object} props.summaryTexts - Summary texts (unused)
- @param {Function} props.onSummaryChange - Summary change handler (unused)
+ @param {boolean} props.showSummaries - Whether to show the physician notes panel below each chart
+ @param {Object} props.summaryTexts - Note text for each chart type
+ @param {Function} props.onSummaryChange - Called with (chartType, text) when a note changes
+ @param {Array} props.annotations - Date annotations of the patient ({ id, chartType, date, text })
+ @param {Function} props.onAnnotationAdd - Called with { chartType, date, text }
+ @param {Function} props.onAnnotationRemove - Called with the annotation ID
  @param {Object} props.chartNavigation - Navigation objects for each chart type
+ @param {Object} props.chartAlerts - Clinical alerts for each chart type
+ @param {string} props.patientId - Patient ID, used in export file names
+ @param {Object} props.patientData - Processed patient data, used for CSV exports
  @returns {JSX.Element} The dashboard grid component
  */
 const DashboardGrid = ({
@@ -45,12 +58,19 @@ const DashboardGrid = ({
   renderVisualization,
   disabled = false,
   placeholderText = "No data available for this patient.",
-  // New props for physician summary functionality
+  // Physician notes
   showSummaries = false,
   summaryTexts = {},
   onSummaryChange = null,
+  annotations = [],
+  onAnnotationAdd = null,
+  onAnnotationRemove = null,
   // Navigation props
-  chartNavigation = {}
+  chartNavigation = {},
+  chartAlerts = {},
+  // Export props
+  patientId = '',
+  patientData = null
 }) => {
   // Configuration for different view modes
   const gridConfig = {
@@ -69,6 +89,42 @@ const DashboardGrid = ({
   // Get all available visualization types
   const availableVizTypes = Object.keys(availableVisualizations);
 
+  // Notes panel below a chart; date annotations only for charts with a date axis
+  const renderNotes = (vizType) => {
+    if (!showSummaries) return null;
+
+    const viz = allVisualizations[vizType];
+    const navigation = chartNavigation[vizType];
+    return (
+      <ChartNotesPanel
+        chartName={viz?.name || vizType}
+        note={summaryTexts[vizType]}
+        onNoteChange={(text) => onSummaryChange(vizType, text)}
+        allowAnnotations={viz?.annotatable !== false}
+        annotations={annotations.filter(annotation => annotation.chartType === vizType)}
+        onAddAnnotation={(annotation) => onAnnotationAdd({ ...annotation, chartType: vizType })}
+        onRemoveAnnotation={onAnnotationRemove}
+        defaultDate={navigation ? toDateKey(navigation.getDateRange().start) : ''}
+      />
+    );
+  };
+
+  // File name and CSV data of a chart's exports for its current period
+  const getExportProps = (vizType) => {
+    const navigation = chartNavigation[vizType];
+    const period = navigation ? `-${toDateKey(navigation.getDateRange().start)}` : '';
+    const canExportData = hasChartDataExport(vizType) && patientData && navigation;
+
+    return {
+      exportFileName: `${patientId ? `${patientId}-` : ''}${vizType}${period}`,
+      getExportData: canExportData
+        ? () => getChartExportData(vizType, patientData, navigation, {
+          annotations: annotations.filter(annotation => annotation.chartType === vizType)
+        })
+        : null
+    };
+  };
+
   // If there's an expanded item, show only that
   if (expandedItem) {
     const selectedViz = selectedVisualizations[expandedItem];
@@ -88,7 +144,14 @@ const DashboardGrid = ({
       placeholderText: placeholderText,
       onPrev: navigation?.goToPrevious,
       onNext: navigation?.goToNext,
-      navigationLabel: navigation?.navigationLabel || 'Week'
+      navigationLabel: navigation?.navigationLabel || 'Week',
+      canGoPrevious: navigation?.canGoPrevious ?? true,
+      canGoNext: navigation?.canGoNext ?? true,
+      onLatest: navigation?.latestDate ? navigation.goToLatest : undefined,
+      isLatest: navigation?.isAtLatest ?? true,
+      alerts: chartAlerts[selectedViz],
+      footer: renderNotes(selectedViz),
+      ...getExportProps(selectedViz)
     };
 
     return <VisualizationWrapper {...wrapperProps} />;
@@ -125,7 +188,14 @@ const DashboardGrid = ({
           placeholderText: placeholderText,
           onPrev: navigation?.goToPrevious,
           onNext: navigation?.goToNext,
-          navigationLabel: navigation?.navigationLabel || 'Week'
+          navigationLabel: navigation?.navigationLabel || 'Week',
+          canGoPrevious: navigation?.canGoPrevious ?? true,
+          canGoNext: navigation?.canGoNext ?? true,
+          onLatest: navigation?.latestDate ? navigation.goToLatest : undefined,
+          isLatest: navigation?.isAtLatest ?? true,
+          alerts: chartAlerts[vizType],
+          footer: renderNotes(vizType),
+          ...getExportProps(vizType)
         };
 
         return <VisualizationWrapper {...wrapperProps} />;
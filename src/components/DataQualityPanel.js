@@ -0,0 +1,117 @@
+/*
+ DataQualityPanel.js - Patient Data Quality Report
+
+ Lists the validation issues found in the loaded patient's CSV (see
+ services/dataValidator.js) for the physician view:
+ - Summary of rows checked, rows with issues and rows skipped
+ - Issues grouped by column and issue type with counts and an example
+ - Expandable per-row list with the file line, date, value and message
+
+ Values marked as errors were excluded from every chart.
+ */
+
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import './DataQualityPanel.css';
+
+// Maximum number of individual issues listed in the expandable details
+const MAX_LISTED_ISSUES = 200;
+
+const ISSUE_LABELS = {
+  'missing-date': 'Missing date',
+  'invalid-date': 'Invalid date',
+  'missing-value': 'Missing value',
+  'invalid-time': 'Invalid time',
+  'invalid-number': 'Not a number',
+  'out-of-range': 'Out of range',
+  'unknown-value': 'Unknown value',
+  'column-shift': 'Column shift',
+  'parse-error': 'Parse error',
+  'medication-mismatch': 'Medication lists differ'
+};
+
+const groupIssues = (issues) => {
+  const groups = new Map();
+  issues.forEach(issue => {
+    const key = `${issue.column}|${issue.type}`;
+    if (!groups.has(key)) {
+      groups.set(key, { ...issue, count: 0 });
+    }
+    groups.get(key).count++;
+  });
+  return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+};
+
+/*
+ Data quality panel for the physician dashboard
+
+ @param {Object} props
+ @param {Object} props.dataQuality - Report from DataService ({ rowsChecked, rowsWithIssues, rowsSkipped, issues })
+ */
+const DataQualityPanel = ({ dataQuality }) => {
+  const groups = useMemo(() => groupIssues(dataQuality?.issues || []), [dataQuality]);
+
+  if (!dataQuality) return null;
+
+  const { rowsChecked, rowsWithIssues, rowsSkipped, issues } = dataQuality;
+
+  return (
+    <div className="data-quality-panel">
+      <h3>Data Quality</h3>
+      <div className="data-quality-summary">
+        <div><span>Rows checked:</span> {rowsChecked}</div>
+        <div><span>Rows with issues:</span> {rowsWithIssues}</div>
+        <div><span>Rows skipped:</span> {rowsSkipped}</div>
+      </div>
+
+      {issues.length === 0 ? (
+        <p className="data-quality-ok">No issues found.</p>
+      ) : (
+        <>
+          <ul className="data-quality-groups">
+            {groups.map(group => (
+              <li key={`${group.column}|${group.type}`} className={`data-quality-group ${group.severity}`}>
+                <div className="data-quality-group-header">
+                  <span className="data-quality-column">{group.column || 'Row'}</span>
+                  <span className="data-quality-count">{group.count}</span>
+                </div>
+                <div className="data-quality-type">{ISSUE_LABELS[group.type] || group.type}</div>
+                <div className="data-quality-example">
+                  e.g. line {group.line}{group.date ? ` (${group.date})` : ''}: {group.message}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          <details className="data-quality-details">
+            <summary>All issues ({issues.length})</summary>
+            <ul>
+              {issues.slice(0, MAX_LISTED_ISSUES).map((issue, index) => (
+                <li key={index} className={issue.severity}>
+                  Line {issue.line}{issue.date ? ` (${issue.date})` : ''}
+                  {issue.column ? `, ${issue.column}` : ''}: {issue.message}
+                </li>
+              ))}
+            </ul>
+            {issues.length > MAX_LISTED_ISSUES && (
+              <p>{issues.length - MAX_LISTED_ISSUES} more not shown.</p>
+            )}
+          </details>
+
+          <p className="data-quality-note">Values with errors are excluded from the charts.</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+DataQualityPanel.propTypes = {
+  dataQuality: PropTypes.shape({
+    rowsChecked: PropTypes.number,
+    rowsWithIssues: PropTypes.number,
+    rowsSkipped: PropTypes.number,
+    issues: PropTypes.arrayOf(PropTypes.object)
+  })
+};
+
+export default DataQualityPanel;
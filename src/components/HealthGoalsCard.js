@@ -0,0 +1,263 @@
+/*
+ HealthGoalsCard.js - Health Goal Progress
+
+ Shows the patient's health goals evaluated against their data (see
+ analytics/healthGoals.js):
+ - Each goal with its current and longest streak of days met
+ - Weekly completion of the last 4 weeks (days met out of the days a week the goal asks for)
+ - The days met according to the data next to the patient's own daily Health_Goal_Met
+   report, with days where they disagree outlined
+ - Patient variant: form to add goals and a remove button per goal
+ - Physician variant: read-only goals and the number of days data and report disagree
+
+ Weeks end with the patient's last recorded day, so older data sets show their own
+ latest weeks. Goals are stored per patient; see services/goalsStore.js.
+ */
+
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import useHealthGoals from '../hooks/useHealthGoals';
+import { getLastRecordedDay, shiftDateKey } from '../analytics/dailySeries';
+import {
+  GOAL_TYPES,
+  describeGoal,
+  evaluateGoal,
+  summarizeGoal,
+  compareWithSelfReport
+} from '../analytics/healthGoals';
+import './HealthGoalsCard.css';
+
+// Weeks of completion and self-report comparison shown
+const WEEKS_SHOWN = 4;
+
+const DEFAULT_GOAL_TYPE = 'exercise';
+
+const formatDate = (dateKey, options = { month: 'short', day: 'numeric' }) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', options);
+};
+
+const formatDays = (count) => `${count} day${count === 1 ? '' : 's'}`;
+
+const describeResult = (met) => {
+  if (met === null) return 'no entry';
+  return met ? 'met' : 'missed';
+};
+
+const getResultClass = (met) => {
+  if (met === null) return 'goal-day-none';
+  return met ? 'goal-day-met' : 'goal-day-missed';
+};
+
+// --- Sub-components ---
+const GoalForm = ({ onAdd }) => {
+  const [type, setType] = useState(DEFAULT_GOAL_TYPE);
+  const [target, setTarget] = useState(GOAL_TYPES[DEFAULT_GOAL_TYPE].defaultTarget);
+  const [daysPerWeek, setDaysPerWeek] = useState(GOAL_TYPES[DEFAULT_GOAL_TYPE].defaultDaysPerWeek);
+  const [error, setError] = useState(null);
+
+  const goalType = GOAL_TYPES[type];
+
+  const handleTypeChange = (event) => {
+    const nextType = GOAL_TYPES[event.target.value];
+    setType(event.target.value);
+    setTarget(nextType.defaultTarget);
+    setDaysPerWeek(nextType.defaultDaysPerWeek);
+    setError(null);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    try {
+      onAdd({ type, target, daysPerWeek });
+      setError(null);
+    } catch (addError) {
+      setError(addError.message);
+    }
+  };
+
+  return (
+    <form className="health-goal-form" onSubmit={handleSubmit}>
+      <select value={type} onChange={handleTypeChange} aria-label="Goal type">
+        {Object.entries(GOAL_TYPES).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {goalType.defaultTarget !== null && (
+        <label>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={target ?? ''}
+            onChange={(event) => setTarget(event.target.value)}
+            aria-label="Goal target"
+          />
+          {goalType.unit}
+        </label>
+      )}
+      <label>
+        <select
+          value={daysPerWeek}
+          onChange={(event) => setDaysPerWeek(Number(event.target.value))}
+          aria-label="Days a week"
+        >
+          {[1, 2, 3, 4, 5, 6, 7].map(days => <option key={days} value={days}>{days}</option>)}
+        </select>
+        days a week
+      </label>
+      <button type="submit">Add goal</button>
+      {error && <div className="health-goal-error">{error}</div>}
+    </form>
+  );
+};
+
+const WeeklyCompletion = ({ weeks, daysPerWeek }) => (
+  <div className="goal-weeks">
+    {weeks.map(week => (
+      <div
+        key={week.start}
+        className={`goal-week ${week.complete ? 'goal-week-complete' : ''}`}
+        title={`Week of ${formatDate(week.start)}: met on ${formatDays(week.metDays)} of ${formatDays(week.evaluatedDays)} with data`}
+      >
+        <span className="goal-week-label">{formatDate(week.start)}</span>
+        <span className="goal-week-bar">
+          <span style={{ width: `${Math.min(100, (week.metDays / daysPerWeek) * 100)}%` }} />
+        </span>
+        <span className="goal-week-value">{week.metDays}/{daysPerWeek}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// Days met according to the data next to the patient's own report
+const SelfReportStrip = ({ days }) => (
+  <div className="goal-report-strip" style={{ gridTemplateColumns: `auto repeat(${days.length}, 1fr)` }}>
+    <span className="goal-report-label">Data</span>
+    {days.map(day => (
+      <span
+        key={`computed-${day.date}`}
+        className={`goal-day ${getResultClass(day.computed)} ${day.disagrees ? 'goal-day-disagrees' : ''}`}
+        title={`${formatDate(day.date)}: goals ${describeResult(day.computed)} according to the data`}
+      />
+    ))}
+    <span className="goal-report-label">Reported</span>
+    {days.map(day => (
+      <span
+        key={`reported-${day.date}`}
+        className={`goal-day ${getResultClass(day.reported)} ${day.disagrees ? 'goal-day-disagrees' : ''}`}
+        title={`${formatDate(day.date)}: reported goals ${describeResult(day.reported)}`}
+      />
+    ))}
+  </div>
+);
+
+// --- Main Component ---
+
+/*
+ Health goals card for the patient and physician dashboards
+
+ @param {Object} props
+ @param {string} props.patientId - The patient identifier
+ @param {Object} props.patientData - Processed patient data
+ @param {string} props.variant - 'patient' (goals can be added and removed) or 'physician'
+ */
+const HealthGoalsCard = ({ patientId, patientData, variant = 'patient' }) => {
+  const { goals, addGoal, removeGoal } = useHealthGoals(patientId);
+  const isPatient = variant === 'patient';
+
+  const endKey = useMemo(() => getLastRecordedDay(patientData), [patientData]);
+
+  const goalProgress = useMemo(() => (endKey
+    ? goals.filter(goal => GOAL_TYPES[goal.type]).map(goal => {
+        const results = evaluateGoal(patientData, goal);
+        return { goal, results, summary: summarizeGoal(results, goal, endKey, WEEKS_SHOWN) };
+      })
+    : []), [goals, patientData, endKey]);
+
+  const comparison = useMemo(() => {
+    if (!endKey || goalProgress.length === 0) return null;
+
+    const startKey = goalProgress[0].summary.weeks[0].start;
+    const { days, agreed, disagreed } = compareWithSelfReport(
+      goalProgress.map(({ results }) => results),
+      patientData?.healthGoalData,
+      { startKey, endKey }
+    );
+
+    // One column per day of the shown weeks, including days without data
+    const byDate = new Map(days.map(day => [day.date, day]));
+    const allDays = [];
+    for (let day = startKey; day <= endKey; day = shiftDateKey(day, 1)) {
+      const entry = byDate.get(day) || { date: day, computed: null, reported: null };
+      allDays.push({
+        ...entry,
+        disagrees: entry.computed !== null && entry.reported !== null && entry.computed !== entry.reported
+      });
+    }
+    return { days: allDays, agreed, disagreed };
+  }, [goalProgress, patientData, endKey]);
+
+  return (
+    <div className={`health-goals-card ${variant}`}>
+      <h3>Health Goals</h3>
+
+      {goalProgress.length === 0 && (
+        <p className="health-goals-empty">
+          {isPatient
+            ? 'Set a goal below to follow it against your daily data.'
+            : 'The patient has not set any health goals.'}
+        </p>
+      )}
+
+      {goalProgress.length > 0 && (
+        <ul className="health-goal-list">
+          {goalProgress.map(({ goal, summary }) => (
+            <li key={goal.id} className="health-goal">
+              <div className="health-goal-header">
+                <span className="health-goal-name">{describeGoal(goal)}</span>
+                {isPatient && (
+                  <button
+                    type="button"
+                    className="health-goal-remove"
+                    onClick={() => removeGoal(goal.id)}
+                    aria-label={`Remove goal ${describeGoal(goal)}`}
+                  >
+                    ×
+                  </button>
+                )}
+              </div>
+              <div className="health-goal-streaks">
+                <span>Current streak: <strong>{formatDays(summary.currentStreak)}</strong></span>
+                <span>Longest streak: <strong>{formatDays(summary.longestStreak)}</strong></span>
+              </div>
+              <WeeklyCompletion weeks={summary.weeks} daysPerWeek={goal.daysPerWeek} />
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {comparison && (
+        <div className="health-goal-report">
+          <h4>Data vs Self-Report (Last {WEEKS_SHOWN} Weeks)</h4>
+          <SelfReportStrip days={comparison.days} />
+          <p className="health-goal-report-summary">
+            {isPatient
+              ? `Your report matched your data on ${formatDays(comparison.agreed)} and differed on ${formatDays(comparison.disagreed)}.`
+              : `Report and data disagree on ${formatDays(comparison.disagreed)} (agree on ${formatDays(comparison.agreed)}).`}
+          </p>
+        </div>
+      )}
+
+      {isPatient && endKey && <GoalForm onAdd={addGoal} />}
+    </div>
+  );
+};
+
+HealthGoalsCard.propTypes = {
+  patientId: PropTypes.string,
+  patientData: PropTypes.object,
+  variant: PropTypes.oneOf(['patient', 'physician'])
+};
+
+export default HealthGoalsCard;
@@ -0,0 +1,75 @@
+/*
+ TriageList.js - Cross-Patient Alert Worklist
+
+ Lists the clinical alerts of every patient in the cohort, most severe first and
+ then most recent first, so physicians can work through the patients that need
+ attention. Clicking an alert opens the patient.
+ */
+
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { ALERT_SEVERITIES, compareAlerts } from '../analytics/clinicalAlerts';
+import './TriageList.css';
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+/*
+ Triage worklist for the cohort overview
+
+ @param {Object} props
+ @param {Array} props.rows - Cohort rows with their alerts (analytics/cohortSummary.js)
+ @param {Function} props.onSelectPatient - Called with the patient ID of a clicked alert
+ */
+const TriageList = ({ rows, onSelectPatient }) => {
+  const items = useMemo(() => rows
+    .flatMap(row => row.alerts.map(alert => ({ ...alert, patientId: row.patientId })))
+    .sort(compareAlerts), [rows]);
+
+  const counts = ALERT_SEVERITIES.map(severity => ({
+    severity,
+    count: items.filter(item => item.severity === severity).length
+  }));
+
+  return (
+    <div className="triage-list">
+      <div className="triage-header">
+        <h3>Triage</h3>
+        <div className="triage-counts">
+          {counts.map(({ severity, count }) => (
+            <span key={severity} className={`triage-count ${severity}`}>{count} {severity}</span>
+          ))}
+        </div>
+      </div>
+
+      {items.length === 0 ? (
+        <p className="triage-empty">No alerts for these patients.</p>
+      ) : (
+        <ul>
+          {items.map(item => (
+            <li
+              key={`${item.patientId}-${item.ruleId}`}
+              className={item.severity}
+              onClick={() => onSelectPatient(item.patientId)}
+              title={`Open ${item.patientId}`}
+            >
+              <span className="triage-patient">{item.patientId}</span>
+              <span className="triage-title">{item.title}</span>
+              <span className="triage-message">{item.message}</span>
+              <span className="triage-date">{formatDate(item.date)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+TriageList.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.shape({
+    patientId: PropTypes.string,
+    alerts: PropTypes.arrayOf(PropTypes.object)
+  })).isRequired,
+  onSelectPatient: PropTypes.func.isRequired
+};
+
+export default TriageList;
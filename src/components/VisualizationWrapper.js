@@ -2,15 +2,23 @@
  - VisualizationWrapper.js - Universal Chart Container Component
  
  - This component provides a standardized wrapper for all chart visualizations by handling loading,
-  error, and no-data states, providing chart navigation controls (previous/next), managing 
+  error, and no-data states, providing chart navigation controls (previous/next, jump to latest), managing 
   expand/collapse functionality, displaying chart titles and controls, and ensuring consistent 
   chart presentation across the application.
  
+ - Charts with clinical alerts show an AlertBadge next to their title; an optional footer
+  (e.g. physician notes) is rendered below the chart.
+ 
+ - The Export menu saves the rendered chart as SVG or PNG and, when the dashboard provides
+  its data, the data points of the current period as CSV.
+ 
  - Serves as the foundation for all health metric chart displays.
  */
 
-import React from 'react';
+import React, { useRef } from 'react';
 import Placeholder from './ui/Placeholder';
+import AlertBadge from './AlertBadge';
+import ChartExportMenu from './ChartExportMenu';
 
 /*
  - Shared component for visualization containers used in both Patient and Physician dashboards
@@ -36,6 +44,14 @@ import Placeholder from './ui/Placeholder';
  - @param {Function} props.onPrev - Previous navigation handler
  - @param {Function} props.onNext - Next navigation handler
  - @param {string} props.navigationLabel - Label for navigation controls
+ - @param {boolean} props.canGoPrevious - Whether there is data before the current period
+ - @param {boolean} props.canGoNext - Whether there is data after the current period
+ - @param {Function} props.onLatest - Handler jumping to the latest period with data
+ - @param {boolean} props.isLatest - Whether the latest period is shown
+ - @param {Array} props.alerts - Clinical alerts for the chart
+ - @param {React.ReactNode} props.footer - Content shown below the chart
+ - @param {string} props.exportFileName - File name (without extension) of chart exports
+ - @param {Function|null} props.getExportData - Returns the chart's CSV data ({ columns, rows })
  - @returns {JSX.Element} The visualization wrapper component
  */
 const VisualizationWrapper = ({ 
@@ -58,9 +74,19 @@ const VisualizationWrapper = ({
   showNavigation = true,
   onPrev,
   onNext,
-  navigationLabel = 'Week'
+  navigationLabel = 'Week',
+  canGoPrevious = true,
+  canGoNext = true,
+  onLatest,
+  isLatest = true,
+  alerts = [],
+  footer = null,
+  exportFileName,
+  getExportData = null
 }) => {
+  const contentRef = useRef(null);
   const viz = allVisualizations[selectedViz];
+  const hasVisualizations = Object.keys(availableVisualizations).length > 0;
   
   // Handle loading state
   if (isLoading) {
@@ -96,6 +122,7 @@ const VisualizationWrapper = ({
           <h3 className="visualization-title">
             {title || viz?.name || 'Unknown Visualization'}
           </h3>
+          <AlertBadge alerts={alerts} />
         </div>
         <div className="visualization-controls">
           {showNavigation && onPrev && onNext && (
@@ -103,6 +130,7 @@ const VisualizationWrapper = ({
               <button 
                 className="nav-button prev" 
                 onClick={onPrev}
+                disabled={!canGoPrevious}
                 aria-label={`Previous ${navigationLabel}`}
               >
                 ‹
@@ -110,24 +138,43 @@ const VisualizationWrapper = ({
               <button 
                 className="nav-button next" 
                 onClick={onNext}
+                disabled={!canGoNext}
                 aria-label={`Next ${navigationLabel}`}
               >
                 ›
               </button>
+              {onLatest && (
+                <button
+                  className="nav-button latest"
+                  onClick={onLatest}
+                  disabled={isLatest}
+                  aria-label={`Jump to latest ${navigationLabel.toLowerCase()}`}
+                >
+                  Latest
+                </button>
+              )}
             </div>
           )}
+          {hasVisualizations && (
+            <ChartExportMenu
+              fileName={exportFileName || selectedViz}
+              getChartElement={() => contentRef.current}
+              getData={getExportData}
+            />
+          )}
           <button onClick={() => onExpand(id)} className="expand-button">
             {isExpanded ? 'Collapse' : 'Expand'}
           </button>
         </div>
       </div>
-      <div className="visualization-content">
-        {Object.keys(availableVisualizations).length === 0 ? (
+      <div className="visualization-content" ref={contentRef}>
+        {!hasVisualizations ? (
           <Placeholder message={placeholderText} type="no-data" />
         ) : (
           renderVisualization(selectedViz, id)
         )}
       </div>
+      {footer}
     </div>
   );
 };
@@ -0,0 +1,85 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { toDateKey } from '../../analytics/dailySeries';
+import usePatientNotes from '../../hooks/usePatientNotes';
+
+// Physician date annotations drawn on the time axis of the weekly charts (see services/notesStore.js)
+
+const FLAG_SIZE = 7;
+
+/*
+ Annotations of one chart within a date range
+
+ @param {Array} annotations - All annotations of the patient
+ @param {string} chartType - Visualization type
+ @param {Date} start - First day of the range
+ @param {Date} end - Last day of the range
+ @returns {Array} Matching annotations
+ */
+export const getAnnotationsInRange = (annotations, chartType, start, end) => {
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+  return annotations.filter(annotation =>
+    annotation.chartType === chartType && annotation.date >= startKey && annotation.date <= endKey);
+};
+
+/*
+ Annotations of one chart for its displayed period; physician annotations are only
+ shown to physicians
+
+ @param {string} patientId - The patient identifier
+ @param {string} chartType - Visualization type
+ @param {string} viewMode - 'patient' or 'physician'
+ @param {Date} start - First day of the period
+ @param {Date} end - Last day of the period
+ @returns {Array} Matching annotations, empty in the patient view
+ */
+export const useChartAnnotations = (patientId, chartType, viewMode, start, end) => {
+  const { annotations } = usePatientNotes(patientId);
+  return viewMode === 'physician' ? getAnnotationsInRange(annotations, chartType, start, end) : [];
+};
+
+// Center of a day column in the weekly charts (Sunday = 0)
+const getDayCenter = (dayIndex, config) => config.padding.left + dayIndex * config.dayWidth + config.dayWidth / 2;
+
+const AnnotationMarkers = ({ annotations, config, getDayX = getDayCenter }) => {
+  if (!annotations || annotations.length === 0) return null;
+
+  // Several annotations on one day share a marker
+  const byDay = annotations.reduce((days, annotation) => {
+    const [year, month, day] = annotation.date.split('-').map(Number);
+    const dayIndex = new Date(year, month - 1, day).getDay();
+    (days[dayIndex] = days[dayIndex] || []).push(annotation);
+    return days;
+  }, {});
+
+  const top = config.padding.top;
+  const bottom = config.height - config.padding.bottom;
+
+  return (
+    <g className="annotation-markers">
+      {Object.entries(byDay).map(([dayIndex, dayAnnotations]) => {
+        const x = getDayX(Number(dayIndex), config);
+        return (
+          <g key={dayIndex} className="annotation-marker">
+            <line x1={x} y1={top} x2={x} y2={bottom} />
+            <path d={`M${x},${top} l${-FLAG_SIZE},${-FLAG_SIZE * 1.5} h${FLAG_SIZE * 2} Z`}>
+              <title>{dayAnnotations.map(annotation => `${annotation.date}: ${annotation.text}`).join('\n')}</title>
+            </path>
+          </g>
+        );
+      })}
+    </g>
+  );
+};
+
+AnnotationMarkers.propTypes = {
+  annotations: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    text: PropTypes.string.isRequired
+  })),
+  config: PropTypes.object.isRequired,
+  getDayX: PropTypes.func
+};
+
+export default AnnotationMarkers;
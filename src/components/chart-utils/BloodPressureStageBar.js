@@ -0,0 +1,48 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { BP_STAGES } from '../../analytics/bloodPressureAnalytics';
+import './BloodPressureStages.css';
+
+// Stacked ACC/AHA stage distribution bar for the physician blood pressure summaries
+
+const formatPercentage = (value) => `${Math.round(value)}%`;
+
+const BloodPressureStageBar = ({ stageDistribution }) => {
+  if (!stageDistribution) return null;
+
+  const description = BP_STAGES
+    .map(({ key, label }) => `${label} ${formatPercentage(stageDistribution[key])}`)
+    .join(', ');
+
+  return (
+    <div className="bp-stage-bar">
+      <div className="bp-stage-bar-track" role="img" aria-label={`Stage distribution: ${description}`}>
+        {BP_STAGES.map(({ key, label }) => (
+          stageDistribution[key] > 0 && (
+            <div
+              key={key}
+              className={`bp-stage-segment bp-stage-${key}`}
+              style={{ width: `${stageDistribution[key]}%` }}
+              title={`${label}: ${formatPercentage(stageDistribution[key])}`}
+            />
+          )
+        ))}
+      </div>
+      <ul className="bp-stage-labels">
+        {BP_STAGES.map(({ key, label }) => (
+          <li key={key} className="bp-stage-label">
+            <span className={`bp-stage-swatch bp-stage-${key}`} />
+            <span className="bp-stage-label-text">{label}</span>
+            <span className="bp-stage-label-value">{formatPercentage(stageDistribution[key])}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+BloodPressureStageBar.propTypes = {
+  stageDistribution: PropTypes.objectOf(PropTypes.number)
+};
+
+export default BloodPressureStageBar;
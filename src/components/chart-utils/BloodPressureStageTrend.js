@@ -0,0 +1,79 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { BP_STAGES } from '../../analytics/bloodPressureAnalytics';
+import './BloodPressureStages.css';
+
+// Weekly ACC/AHA stage distribution across the 3-month range, one stacked column per week
+
+const WIDTH = 300;
+const HEIGHT = 90;
+const LABEL_HEIGHT = 14;
+
+const formatWeek = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const BloodPressureStageTrend = ({ weeks }) => {
+  if (!weeks || weeks.length === 0) return null;
+
+  const columnWidth = WIDTH / weeks.length;
+  const chartHeight = HEIGHT - LABEL_HEIGHT;
+  // Label roughly every month so the axis stays readable
+  const labelEvery = Math.max(1, Math.round(weeks.length / 4));
+
+  return (
+    <svg
+      className="bp-stage-trend"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      width="100%"
+      role="img"
+      aria-label="Weekly blood pressure stage distribution"
+    >
+      {weeks.map((week, index) => {
+        const x = index * columnWidth;
+        let y = chartHeight;
+
+        return (
+          <g key={week.weekStart.getTime()}>
+            <title>
+              {week.stageDistribution
+                ? `Week of ${formatWeek(week.weekStart)}: ${BP_STAGES
+                  .map(({ key, label }) => `${label} ${Math.round(week.stageDistribution[key])}%`)
+                  .join(', ')}`
+                : `Week of ${formatWeek(week.weekStart)}: no readings`}
+            </title>
+            {week.stageDistribution ? BP_STAGES.map(({ key }) => {
+              const height = (week.stageDistribution[key] / 100) * chartHeight;
+              if (height <= 0) return null;
+              y -= height;
+              return (
+                <rect
+                  key={key}
+                  className={`bp-stage-${key}`}
+                  x={x + 1}
+                  y={y}
+                  width={Math.max(columnWidth - 2, 1)}
+                  height={height}
+                />
+              );
+            }) : (
+              <rect className="bp-stage-empty" x={x + 1} y={0} width={Math.max(columnWidth - 2, 1)} height={chartHeight} />
+            )}
+            {index % labelEvery === 0 && (
+              <text className="bp-stage-trend-label" x={x + 1} y={HEIGHT - 2}>
+                {formatWeek(week.weekStart)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+BloodPressureStageTrend.propTypes = {
+  weeks: PropTypes.arrayOf(PropTypes.shape({
+    weekStart: PropTypes.instanceOf(Date).isRequired,
+    stageDistribution: PropTypes.objectOf(PropTypes.number)
+  }))
+};
+
+export default BloodPressureStageTrend;
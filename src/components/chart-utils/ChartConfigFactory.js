@@ -127,6 +127,35 @@ export const createChartConfig = (type, isExpanded, containerWidth = 400) => {
         yAxisRange: 12,
       };
 
+    case 'medications':
+      // Rows per medication under category headers; the height follows the row count
+      // (see MedicationTimeline), the week axis matches the blood pressure and glucose charts
+      return {
+        ...config,
+        padding: { ...config.padding, bottom: isExpanded ? 60 : 45 },
+        categoryHeight: isExpanded ? 28 : 22,
+        rowHeight: isExpanded ? 40 : 32,
+        barHeight: isExpanded ? 12 : 9,
+        fontSize: {
+          ...config.fontSize,
+          category: isExpanded ? 14 : 12,
+          medicationLabel: isExpanded ? 12 : 10,
+        },
+      };
+
+    case 'continence':
+      // One row per continence type and one column per day of the month; the day width
+      // follows the month's length (see ContinenceChart)
+      return {
+        ...config,
+        padding: { top: 30, right: 20, bottom: 40, left: isExpanded ? 90 : 70 },
+        rowHeight: isExpanded ? 48 : 32,
+        fontSize: {
+          ...config.fontSize,
+          rowLabel: isExpanded ? 14 : 12,
+        },
+      };
+
     case 'mood':
       return {
         ...config,
@@ -0,0 +1,68 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { GLUCOSE_RANGE_BANDS } from '../../analytics/glucoseAnalytics';
+import './TimeInRangeBar.css';
+
+// Stacked time-in-range bar for the physician glucose summaries (see analytics/glucoseAnalytics.js)
+
+const getBandLabel = (band, thresholds) => {
+  switch (band) {
+    case 'veryLow': return `Very low (<${thresholds.veryLow.toFixed(1)})`;
+    case 'low': return `Low (${thresholds.veryLow.toFixed(1)}–${thresholds.low.toFixed(1)})`;
+    case 'inRange': return `In range (${thresholds.low.toFixed(1)}–${thresholds.high.toFixed(1)})`;
+    case 'high': return `High (${thresholds.high.toFixed(1)}–${thresholds.veryHigh.toFixed(1)})`;
+    default: return `Very high (>${thresholds.veryHigh.toFixed(1)})`;
+  }
+};
+
+const formatPercentage = (value) => `${Math.round(value)}%`;
+
+const TimeInRangeBar = ({ metrics }) => {
+  if (!metrics) return null;
+
+  // Highest band first, matching the vertical order clinicians read the AGP report in
+  const bands = [...GLUCOSE_RANGE_BANDS].reverse();
+  const description = bands
+    .map(band => `${getBandLabel(band, metrics.thresholds)} ${formatPercentage(metrics.ranges[band])}`)
+    .join(', ');
+
+  return (
+    <div className="tir-bar">
+      <div className="tir-bar-track" role="img" aria-label={`Time in range: ${description}`}>
+        {GLUCOSE_RANGE_BANDS.map(band => (
+          metrics.ranges[band] > 0 && (
+            <div
+              key={band}
+              className={`tir-bar-segment tir-${band}`}
+              style={{ width: `${metrics.ranges[band]}%` }}
+              title={`${getBandLabel(band, metrics.thresholds)}: ${formatPercentage(metrics.ranges[band])}`}
+            />
+          )
+        ))}
+      </div>
+      <ul className="tir-bar-labels">
+        {bands.map(band => (
+          <li key={band} className="tir-bar-label">
+            <span className={`tir-bar-swatch tir-${band}`} />
+            <span className="tir-bar-label-text">{getBandLabel(band, metrics.thresholds)}</span>
+            <span className="tir-bar-label-value">{formatPercentage(metrics.ranges[band])}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+TimeInRangeBar.propTypes = {
+  metrics: PropTypes.shape({
+    ranges: PropTypes.objectOf(PropTypes.number).isRequired,
+    thresholds: PropTypes.shape({
+      veryLow: PropTypes.number,
+      low: PropTypes.number,
+      high: PropTypes.number,
+      veryHigh: PropTypes.number
+    }).isRequired
+  })
+};
+
+export default TimeInRangeBar;
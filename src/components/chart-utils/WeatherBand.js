@@ -0,0 +1,62 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { isBadWeatherDay } from '../../analytics/weather';
+
+// Bad weather days drawn as a background band behind the weekly charts (see analytics/weather.js)
+
+// Center of a day column in the weekly charts (Sunday = 0)
+const getDayCenter = (dayIndex, config) => config.padding.left + dayIndex * config.dayWidth + config.dayWidth / 2;
+
+const WeatherBand = ({ weatherByDay, startOfWeek, config, getDayX = getDayCenter, dayWidth = config.dayWidth }) => {
+  if (!weatherByDay || weatherByDay.size === 0) return null;
+
+  const left = config.padding.left;
+  const right = config.width - config.padding.right;
+  const top = config.padding.top;
+  const bottom = config.height - config.padding.bottom;
+
+  const badDays = Array.from({ length: 7 }, (_, dayIndex) => {
+    const date = new Date(startOfWeek);
+    date.setDate(date.getDate() + dayIndex);
+    return { dayIndex, date };
+  }).filter(({ date }) => isBadWeatherDay(weatherByDay, date));
+
+  return (
+    <g className="weather-band">
+      {badDays.map(({ dayIndex, date }) => {
+        const x = getDayX(dayIndex, config);
+        const x1 = Math.max(left, x - dayWidth / 2);
+        const x2 = Math.min(right, x + dayWidth / 2);
+        return (
+          <rect key={dayIndex} x={x1} y={top} width={x2 - x1} height={bottom - top}>
+            <title>{`Bad weather on ${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}`}</title>
+          </rect>
+        );
+      })}
+    </g>
+  );
+};
+
+WeatherBand.propTypes = {
+  weatherByDay: PropTypes.instanceOf(Map),
+  startOfWeek: PropTypes.instanceOf(Date).isRequired,
+  config: PropTypes.object.isRequired,
+  getDayX: PropTypes.func,
+  dayWidth: PropTypes.number
+};
+
+// Shows or hides the weather band of a chart
+export const WeatherToggle = ({ checked, onChange }) => (
+  <label className="weather-toggle">
+    <input type="checkbox" checked={checked} onChange={(event) => onChange(event.target.checked)} />
+    <span className="weather-toggle-swatch" />
+    Bad weather days
+  </label>
+);
+
+WeatherToggle.propTypes = {
+  checked: PropTypes.bool.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default WeatherBand;
@@ -0,0 +1,49 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Physician summary comparing a metric on good and bad weather days (see analytics/weather.js)
+
+const formatDays = (days) => `${days} day${days === 1 ? '' : 's'}`;
+
+const WeatherComparison = ({ comparison, label, formatValue, title = 'Good vs Bad Weather (3 Months)' }) => {
+  if (!comparison) return null;
+
+  const formatGroup = ({ days, average }) => (average === null ? 'N/A' : `${formatValue(average)} (${formatDays(days)})`);
+
+  return (
+    <div className="chart-summary weather-comparison">
+      <h4>{title}</h4>
+      <div className="summary-stats">
+        <div className="stat-item">
+          <span className="stat-label">{label} on Good Days:</span>
+          <span className="stat-value">{formatGroup(comparison.good)}</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-label">{label} on Bad Days:</span>
+          <span className="stat-value">{formatGroup(comparison.bad)}</span>
+        </div>
+        {comparison.difference !== null && (
+          <div className="stat-item">
+            <span className="stat-label">Bad vs Good:</span>
+            <span className="stat-value">
+              {comparison.difference > 0 ? '+' : ''}{formatValue(comparison.difference)}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+WeatherComparison.propTypes = {
+  comparison: PropTypes.shape({
+    good: PropTypes.shape({ days: PropTypes.number, average: PropTypes.number }).isRequired,
+    bad: PropTypes.shape({ days: PropTypes.number, average: PropTypes.number }).isRequired,
+    difference: PropTypes.number
+  }),
+  label: PropTypes.string.isRequired,
+  formatValue: PropTypes.func.isRequired,
+  title: PropTypes.string
+};
+
+export default WeatherComparison;
@@ -0,0 +1,223 @@
+/*
+ AgpChart.js - Ambulatory Glucose Profile (AGP) Visualization
+
+ This component provides the standard AGP report view for glucose data:
+ - Every reading of the selected 3-month period folded onto a single 24-hour axis
+ - 5th-95th and 25th-75th percentile bands with the median line
+ - Shaded target range (3.9-10.0 mmol/L by default)
+ - Physician summary with time in range, GMI and variability for the same period
+ - Navigation through the 3-month period of useChartNavigation (getThreeMonthRange)
+
+ Percentiles come from calculateAgpProfile in analytics/glucoseAnalytics.js; hours
+ with too few readings are left as gaps in the bands.
+ */
+
+import React, { useMemo } from 'react';
+import { usePatientMetric } from '../../context/PatientDataContext';
+import useChartNavigation from '../../hooks/useChartNavigation';
+
+import Legend from '../Legend';
+import InfoBox from '../InfoBox';
+import { createChartConfig } from '../chart-utils/ChartConfigFactory';
+import SharedYAxis from '../chart-utils/SharedYAxis';
+import TimeInRangeBar from '../chart-utils/TimeInRangeBar';
+import { calculateAgpProfile, calculateGlucoseMetrics } from '../../analytics/glucoseAnalytics';
+import { GLUCOSE_RANGE_THRESHOLDS } from '../../constants';
+import './GlucoseChart.css';
+import './AgpChart.css';
+
+// --- Constants ---
+const HOUR_TICKS = [0, 3, 6, 9, 12, 15, 18, 21, 24];
+const HOUR_LABELS = { 0: '12a', 3: '3a', 6: '6a', 9: '9a', 12: '12p', 15: '3p', 18: '6p', 21: '9p', 24: '12a' };
+
+// --- Helper Functions ---
+const createScales = (config) => {
+  const chartWidth = config.width - config.padding.left - config.padding.right;
+  const chartHeight = config.height - config.padding.top - config.padding.bottom;
+  return {
+    x: (hour) => config.padding.left + (hour / 24) * chartWidth,
+    y: (value) => config.padding.top + chartHeight - (Math.min(value, config.yAxisRange) / config.yAxisRange) * chartHeight
+  };
+};
+
+// Splits the profile into runs of consecutive hours that have percentiles
+const getProfileSegments = (profile) => profile.reduce((segments, slot) => {
+  if (!slot.percentiles) {
+    segments.push([]);
+  } else {
+    segments[segments.length - 1].push(slot);
+  }
+  return segments;
+}, [[]]).filter(segment => segment.length > 0);
+
+// Area path between two percentiles across a segment
+const getBandPath = (segment, lower, upper, scales) => {
+  const top = segment.map(slot => `${scales.x(slot.hour + 0.5)},${scales.y(slot.percentiles[upper])}`);
+  const bottom = segment
+    .slice()
+    .reverse()
+    .map(slot => `${scales.x(slot.hour + 0.5)},${scales.y(slot.percentiles[lower])}`);
+  return `M${top.join('L')}L${bottom.join('L')}Z`;
+};
+
+const getLinePath = (segment, percentile, scales) =>
+  `M${segment.map(slot => `${scales.x(slot.hour + 0.5)},${scales.y(slot.percentiles[percentile])}`).join('L')}`;
+
+// --- Chart Sub-components ---
+const HourAxis = ({ config, scales }) => (
+  <g className="x-axis-grid">
+    {HOUR_TICKS.map(hour => (
+      <g key={hour}>
+        <line className="chart-grid-line-vertical" x1={scales.x(hour)} y1={config.padding.top} x2={scales.x(hour)} y2={config.height - config.padding.bottom} />
+        <line
+          className="x-axis-tick"
+          x1={scales.x(hour)}
+          y1={config.height - config.padding.bottom}
+          x2={scales.x(hour)}
+          y2={config.height - config.padding.bottom + 5}
+          stroke="var(--chart-color-neutral)"
+          strokeWidth="1"
+        />
+        <text
+          className="time-label"
+          x={scales.x(hour)}
+          y={config.height - config.padding.bottom + 18}
+          textAnchor="middle"
+          fontSize={config.fontSize.timeLabel}
+        >
+          {HOUR_LABELS[hour]}
+        </text>
+      </g>
+    ))}
+  </g>
+);
+
+const Chart = ({ readings, profile, isExpanded, periodLabel }) => {
+  const config = createChartConfig('glucose', isExpanded);
+  const scales = createScales(config);
+  const segments = getProfileSegments(profile);
+  const targetTop = scales.y(GLUCOSE_RANGE_THRESHOLDS.high);
+  const targetBottom = scales.y(GLUCOSE_RANGE_THRESHOLDS.low);
+
+  return (
+    <div className="glucose-svg-container">
+      <h3 className="chart-title">Ambulatory Glucose Profile</h3>
+      {periodLabel && <h4 className="chart-subtitle">{periodLabel}</h4>}
+      <svg width="100%" height="100%" viewBox={`0 0 ${config.width} ${config.height}`} className="glucose-svg">
+        <rect width={config.width} height={config.height} fill="white" />
+        <rect
+          className="agp-target-range"
+          x={config.padding.left}
+          y={targetTop}
+          width={config.width - config.padding.left - config.padding.right}
+          height={targetBottom - targetTop}
+        />
+        <HourAxis config={config} scales={scales} />
+        <SharedYAxis config={config} title="mmol/L" />
+        <g className="agp-bands">
+          {segments.map((segment, index) => (
+            <g key={index}>
+              <path className="agp-band-outer" d={getBandPath(segment, 5, 95, scales)} />
+              <path className="agp-band-inner" d={getBandPath(segment, 25, 75, scales)} />
+              <path className="agp-median" d={getLinePath(segment, 50, scales)} />
+            </g>
+          ))}
+        </g>
+        <g className="agp-readings">
+          {readings.map((reading, index) => (
+            <circle
+              key={index}
+              cx={scales.x(reading.date.getHours() + reading.date.getMinutes() / 60)}
+              cy={scales.y(reading.value)}
+              r={isExpanded ? 2.5 : 2}
+            />
+          ))}
+        </g>
+      </svg>
+    </div>
+  );
+};
+
+// --- Main Component ---
+const AgpChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'physician', navigation }) => {
+  const { data: glucoseData } = usePatientMetric('agp');
+
+  // Use navigation from parent or fallback to internal navigation
+  const internalNavigation = useChartNavigation('agp');
+  const nav = navigation || internalNavigation;
+
+  // Compare the period by timestamp; the range dates are recreated on every render
+  const { start, end } = nav.getThreeMonthRange();
+  const startTime = start.getTime();
+  const endTime = end.getTime();
+  const periodReadings = useMemo(
+    () => glucoseData.filter(d => d.date.getTime() >= startTime && d.date.getTime() <= endTime && d.value > 0),
+    [glucoseData, startTime, endTime]
+  );
+
+  const profile = useMemo(() => calculateAgpProfile(periodReadings), [periodReadings]);
+  const metrics = useMemo(() => calculateGlucoseMetrics(periodReadings), [periodReadings]);
+
+  const legendItems = [
+    { label: '5th-95th percentile', color: 'var(--agp-band-outer-color)' },
+    { label: '25th-75th percentile', color: 'var(--agp-band-inner-color)' },
+    { label: 'Median', color: 'var(--agp-median-color)' },
+    { label: `Target ${GLUCOSE_RANGE_THRESHOLDS.low}-${GLUCOSE_RANGE_THRESHOLDS.high.toFixed(1)} mmol/L`, color: 'var(--agp-target-color)' }
+  ];
+
+  const profiledHours = profile.filter(slot => slot.percentiles).length;
+
+  return (
+    <div className="glucose-chart-container agp-chart-container">
+      <div className={`glucose-chart-wrapper ${isExpanded ? 'expanded' : ''}`}>
+        <Chart
+          readings={periodReadings}
+          profile={profile}
+          isExpanded={isExpanded}
+          periodLabel={nav.getThreeMonthDisplay()}
+        />
+      </div>
+      <div className="glucose-legends-wrapper">
+        <Legend title="Glucose Profile" items={legendItems} />
+      </div>
+
+      {viewMode === 'physician' && metrics ? (
+        <div className="summary-container">
+          <div className="chart-summary">
+            <h4>3-Month Profile</h4>
+            <TimeInRangeBar metrics={metrics} />
+            <div className="summary-stats">
+              <div className="stat-item">
+                <span className="stat-label">Readings:</span>
+                <span className="stat-value">{metrics.count}</span>
+              </div>
+              <div className="stat-item">
+                <span className="stat-label">Mean Glucose / GMI:</span>
+                <span className="stat-value">
+                  {metrics.mean.toFixed(1)} mmol/L / {metrics.gmi.toFixed(1)}%
+                </span>
+              </div>
+              <div className="stat-item">
+                <span className="stat-label">Variability (SD/CV):</span>
+                <span className="stat-value">
+                  {metrics.sd.toFixed(1)} mmol/L / {metrics.cv.toFixed(0)}%
+                </span>
+              </div>
+              <div className="stat-item">
+                <span className="stat-label">Hours Profiled:</span>
+                <span className="stat-value">{profiledHours}/24</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : viewMode === 'patient' ? (
+        <InfoBox
+          title="Glucose Profile Information"
+          content="This chart stacks all of your glucose readings from the last three months onto a single day. The dark band shows where half of your readings fall at each time of day, the light band shows almost all of them, and the line is your typical value. The shaded area is the target range."
+        />
+      ) : null}
+    </div>
+  );
+};
+
+export default AgpChart;
@@ -26,6 +26,10 @@
  CLlinical Features:
  - Risk categorization based on medical guidelines
  - Summary statistics for physician view
+ - ACC/AHA 2017 stage distribution, MAP, pulse pressure, BP load and morning vs
+   evening averages (analytics/bloodPressureAnalytics.js)
+ - Weekly staging trend across the 3-month range
+ - Physician date annotations as markers on the time axis
  - Trend analysis over time periods
  - Educational information for patient view
  
@@ -40,13 +44,18 @@
  */
 
 import React, { useState, useRef, useLayoutEffect, useMemo } from 'react';
-import usePatientData from '../../hooks/usePatientData';
+import { usePatientMetric } from '../../context/PatientDataContext';
 import useChartNavigation from '../../hooks/useChartNavigation';
 import Legend from '../Legend';
 import InfoBox from '../InfoBox';
 import Tooltip from '../ui/Tooltip';
 import './BloodPressureChart.css';
 import { createChartConfig } from '../chart-utils/ChartConfigFactory';
+import BloodPressureStageBar from '../chart-utils/BloodPressureStageBar';
+import BloodPressureStageTrend from '../chart-utils/BloodPressureStageTrend';
+import AnnotationMarkers, { useChartAnnotations } from '../chart-utils/AnnotationMarkers';
+import { calculateBloodPressureMetrics, calculateStageTrend } from '../../analytics/bloodPressureAnalytics';
+import { BLOOD_PRESSURE_THRESHOLDS } from '../../constants';
 
 // Constants
 const TIME_LABELS = ['12a', '12p', '12a'];
@@ -60,6 +69,11 @@ const getWeekStart = (date) => {
   return new Date(d.setDate(diff));
 };
 
+// Average of a morning/evening period as "sys/dia", or a dash without readings
+const formatPeriodAverage = (period) => (period
+  ? `${period.systolic.toFixed(0)}/${period.diastolic.toFixed(0)}`
+  : '–');
+
 const formatDayLabel = (date) => {
   const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
   return dayNames[date.getDay()];
@@ -284,7 +298,7 @@ const DataBars = ({ readings, type, config, onBarHover, onBarLeave }) => {
   );
 };
 
-const Chart = ({ type, weekData, isExpanded, weekDays, containerWidth, onBarHover, onBarLeave }) => {
+const Chart = ({ type, weekData, isExpanded, weekDays, containerWidth, onBarHover, onBarLeave, annotations }) => {
   const config = createChartConfig('bloodPressure', isExpanded, containerWidth);
   const readings = weekData.filter(d => d[type] && d[type] > 0);
 
@@ -301,6 +315,7 @@ const Chart = ({ type, weekData, isExpanded, weekDays, containerWidth, onBarHove
           <GridLines config={config} weekDays={weekDays} />
           <YAxis config={config} type={type} />
           <XAxis config={config} weekDays={weekDays} />
+          <AnnotationMarkers annotations={annotations} config={config} />
           <DataBars readings={readings} type={type} config={config} onBarHover={onBarHover} onBarLeave={onBarLeave} />
         </svg>
       </div>
@@ -332,7 +347,7 @@ const bloodPressureLegendItems = [
 
 // --- Main Component ---
 const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patient', navigation }) => {
-  const { bloodPressureData, loading, error } = usePatientData(patientId, 'bloodPressure');
+  const { data: bloodPressureData, loading, error } = usePatientMetric('bloodPressure');
   const [containerWidth, setContainerWidth] = useState(400);
   const [tooltipData, setTooltipData] = useState(null);
   const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
@@ -379,6 +394,8 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
     return readingDate >= startOfThreeMonths && readingDate <= endOfThreeMonths;
   });
 
+  const weekAnnotations = useChartAnnotations(patientId, 'bloodPressure', viewMode, weekStart, weekEnd);
+
   const weekDays = Array.from({ length: 7 }, (_, i) => {
     const d = new Date(weekStart);
     d.setDate(weekStart.getDate() + i);
@@ -427,6 +444,7 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
     const daysWithReadings = new Set(weekData.map(d => d.date.toDateString())).size;
 
     return {
+      metrics: calculateBloodPressureMetrics(weekData),
       avgSystolic,
       avgDiastolic,
       maxSystolic,
@@ -462,6 +480,8 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
     const daysWithReadings = new Set(threeMonthData.map(d => d.date.toDateString())).size;
 
     return {
+      metrics: calculateBloodPressureMetrics(threeMonthData),
+      stageTrend: calculateStageTrend(threeMonthData, startOfThreeMonths, endOfThreeMonths),
       avgSystolic,
       avgDiastolic,
       maxSystolic,
@@ -470,7 +490,7 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
       daysWithReadings,
       totalReadings: threeMonthData.length
     };
-  }, [threeMonthData]);
+  }, [threeMonthData, startOfThreeMonths, endOfThreeMonths]);
 
   return (
     <>
@@ -487,6 +507,7 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
             containerWidth={containerWidth}
             onBarHover={handleBarHover}
             onBarLeave={handleBarLeave}
+            annotations={weekAnnotations}
           />
           <Chart 
             type="diastolic" 
@@ -496,6 +517,7 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
             containerWidth={containerWidth}
             onBarHover={handleBarHover}
             onBarLeave={handleBarLeave}
+            annotations={weekAnnotations}
           />
         </div>
         
@@ -506,6 +528,7 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
           <div className="summary-container">
             <div className="chart-summary">
               <h4>Week Summary</h4>
+              <BloodPressureStageBar stageDistribution={weekSummary.metrics?.stageDistribution} />
               <div className="summary-stats">
                 <div className="stat-item">
                   <span className="stat-label">Average BP:</span>
@@ -520,6 +543,28 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
                   </span>
                 </div>
 
+                {weekSummary.metrics && (
+                  <>
+                    <div className="stat-item">
+                      <span className="stat-label">MAP / Pulse Pressure:</span>
+                      <span className="stat-value">
+                        {weekSummary.metrics.meanArterialPressure.toFixed(0)} / {weekSummary.metrics.pulsePressure.toFixed(0)} mmHg
+                      </span>
+                    </div>
+                    <div className="stat-item">
+                      <span className="stat-label">BP Load (≥{BLOOD_PRESSURE_THRESHOLDS.load.systolic}/{BLOOD_PRESSURE_THRESHOLDS.load.diastolic}):</span>
+                      <span className="stat-value">
+                        {weekSummary.metrics.load.either.toFixed(0)}%
+                      </span>
+                    </div>
+                    <div className="stat-item">
+                      <span className="stat-label">Morning / Evening:</span>
+                      <span className="stat-value">
+                        {formatPeriodAverage(weekSummary.metrics.morning)} / {formatPeriodAverage(weekSummary.metrics.evening)}
+                      </span>
+                    </div>
+                  </>
+                )}
                 <div className="stat-item">
                   <span className="stat-label">Reading Days:</span>
                   <span className="stat-value">
@@ -538,6 +583,7 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
             {threeMonthSummary && (
               <div className="chart-summary">
                 <h4>3-Month Summary</h4>
+                <BloodPressureStageTrend weeks={threeMonthSummary.stageTrend} />
                 <div className="summary-stats">
                   <div className="stat-item">
                     <span className="stat-label">Average BP:</span>
@@ -551,6 +597,28 @@ const BloodPressureChart = ({ patientId, isExpanded = false, onExpand, viewMode
                       {threeMonthSummary.maxSystolic}/{threeMonthSummary.maxDiastolic} mmHg
                     </span>
                   </div>
+                  {threeMonthSummary.metrics && (
+                    <>
+                      <div className="stat-item">
+                        <span className="stat-label">Stage 1 or Higher:</span>
+                        <span className="stat-value">
+                          {(100 - threeMonthSummary.metrics.stageDistribution.normal - threeMonthSummary.metrics.stageDistribution.elevated).toFixed(0)}% of readings
+                        </span>
+                      </div>
+                      <div className="stat-item">
+                        <span className="stat-label">MAP / Pulse Pressure:</span>
+                        <span className="stat-value">
+                          {threeMonthSummary.metrics.meanArterialPressure.toFixed(0)} / {threeMonthSummary.metrics.pulsePressure.toFixed(0)} mmHg
+                        </span>
+                      </div>
+                      <div className="stat-item">
+                        <span className="stat-label">Morning / Evening:</span>
+                        <span className="stat-value">
+                          {formatPeriodAverage(threeMonthSummary.metrics.morning)} / {formatPeriodAverage(threeMonthSummary.metrics.evening)}
+                        </span>
+                      </div>
+                    </>
+                  )}
                   <div className="stat-item">
                     <span className="stat-label">Total Readings:</span>
                     <span className="stat-value">
@@ -0,0 +1,250 @@
+/*
+ ContinenceChart.js - Continence Tracking Visualization
+
+ This component shows urinary and fecal continence for the selected month:
+ - Event grid with one row per continence type and one column per day, colored as
+   continent, incontinence episode or no entry
+ - Week separators at each Sunday so the month reads week by week
+ - Episode counts of the month under the grid
+ - Physician date annotations as markers above their days
+
+ The physician view adds month and 3-month summaries with episode counts, episode-free
+ days and streaks of continent days (analytics/continence.js). Navigation moves a month
+ at a time, like the mood calendar.
+
+ Important for older patients, where new or more frequent episodes are often the first
+ sign of an infection, a medication side effect or declining mobility.
+ */
+
+import React, { useMemo } from 'react';
+import { usePatientMetric } from '../../context/PatientDataContext';
+import useChartNavigation from '../../hooks/useChartNavigation';
+import Legend from '../Legend';
+import { createChartConfig } from '../chart-utils/ChartConfigFactory';
+import { getAnnotationsInRange, useChartAnnotations } from '../chart-utils/AnnotationMarkers';
+import { toDateKey } from '../../analytics/dailySeries';
+import { CONTINENCE_TYPES, getContinenceInRange, summarizeContinence } from '../../analytics/continence';
+import './ContinenceChart.css';
+
+// --- Constants ---
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FLAG_SIZE = 5;
+
+const continenceLegendItems = [
+  { color: 'var(--continence-continent-color)', label: 'Continent' },
+  { color: 'var(--continence-episode-color)', label: 'Episode', description: 'Incontinence episode on this day' },
+  { color: 'var(--continence-missing-color)', label: 'No entry' },
+];
+
+// --- Helper Functions ---
+const getCellState = (value) => {
+  if (value === true) return 'continent';
+  if (value === false) return 'episode';
+  return 'missing';
+};
+
+const CELL_DESCRIPTIONS = {
+  continent: 'continent',
+  episode: 'incontinence episode',
+  missing: 'no entry'
+};
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+const formatDays = (count) => `${count} day${count === 1 ? '' : 's'}`;
+
+// --- Chart Sub-components ---
+const DayColumns = ({ config, monthDays }) => (
+  <g className="x-axis">
+    {monthDays.map((day, dayIndex) => {
+      const x = config.padding.left + dayIndex * config.dayWidth;
+      const isWeekStart = day.getDay() === 0 || dayIndex === 0;
+      return (
+        <g key={dayIndex} className="x-axis-label-group">
+          {isWeekStart && (
+            <>
+              <line className="continence-week-line" x1={x} y1={config.padding.top} x2={x} y2={config.height - config.padding.bottom} />
+              <text x={x + 2} y={config.height - config.padding.bottom + 15} fontSize={config.fontSize.dateLabel} className="x-axis-date-label">
+                {day.getDate()}
+              </text>
+              <text x={x + 2} y={config.height - config.padding.bottom + 30} fontSize={config.fontSize.dateLabel} className="x-axis-day-label">
+                {DAY_NAMES[day.getDay()]}
+              </text>
+            </>
+          )}
+        </g>
+      );
+    })}
+  </g>
+);
+
+const ContinenceRow = ({ config, type, rowIndex, monthDays, continenceByDay }) => {
+  const y = config.padding.top + rowIndex * config.rowHeight;
+
+  return (
+    <g className="continence-row">
+      <text
+        x={config.padding.left - 8}
+        y={y + config.rowHeight / 2}
+        textAnchor="end"
+        dominantBaseline="middle"
+        fontSize={config.fontSize.rowLabel}
+        className="continence-row-label"
+      >
+        {type.label}
+      </text>
+      {monthDays.map((day, dayIndex) => {
+        const state = getCellState(continenceByDay.get(toDateKey(day))?.[type.key]);
+        return (
+          <rect
+            key={dayIndex}
+            x={config.padding.left + dayIndex * config.dayWidth + 1}
+            y={y + 2}
+            width={config.dayWidth - 2}
+            height={config.rowHeight - 4}
+            rx={2}
+            className={`continence-cell continence-${state}`}
+          >
+            <title>{`${formatDay(day)}: ${type.label} ${CELL_DESCRIPTIONS[state]}`}</title>
+          </rect>
+        );
+      })}
+    </g>
+  );
+};
+
+// Annotation flags above the annotated days of the month
+const DayAnnotations = ({ config, monthDays, annotations }) => (
+  <g className="annotation-markers">
+    {monthDays.map((day, dayIndex) => {
+      const dayAnnotations = getAnnotationsInRange(annotations, 'continence', day, day);
+      if (dayAnnotations.length === 0) return null;
+      const x = config.padding.left + dayIndex * config.dayWidth + config.dayWidth / 2;
+      const top = config.padding.top;
+      return (
+        <g key={dayIndex} className="annotation-marker">
+          <path d={`M${x},${top} l${-FLAG_SIZE},${-FLAG_SIZE * 1.5} h${FLAG_SIZE * 2} Z`}>
+            <title>{dayAnnotations.map(annotation => `${annotation.date}: ${annotation.text}`).join('\n')}</title>
+          </path>
+        </g>
+      );
+    })}
+  </g>
+);
+
+const SummaryStats = ({ summary }) => (
+  <div className="summary-stats">
+    {CONTINENCE_TYPES.map(type => (
+      <div key={type.key} className="stat-item">
+        <span className="stat-label">{type.label} Episodes:</span>
+        <span className="stat-value">
+          {summary.types[type.key].episodes} (of {formatDays(summary.types[type.key].trackedDays)})
+        </span>
+      </div>
+    ))}
+    <div className="stat-item">
+      <span className="stat-label">Episode-Free Days:</span>
+      <span className="stat-value">{summary.episodeFreeDays}/{summary.trackedDays}</span>
+    </div>
+    {CONTINENCE_TYPES.map(type => (
+      <div key={`streak-${type.key}`} className="stat-item">
+        <span className="stat-label">{type.label} Continent Streak:</span>
+        <span className="stat-value">
+          {formatDays(summary.types[type.key].currentStreak)} (longest {formatDays(summary.types[type.key].longestStreak)})
+        </span>
+      </div>
+    ))}
+  </div>
+);
+
+// --- Main Component ---
+const ContinenceChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patient', navigation }) => {
+  const { data: continenceData } = usePatientMetric('continence');
+
+  // Use navigation from parent or fallback to internal navigation
+  const internalNavigation = useChartNavigation('continence');
+  const nav = navigation || internalNavigation;
+
+  const currentMonth = nav.currentDate;
+  const monthStart = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
+  const monthEnd = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0, 23, 59, 59, 999);
+  const monthDays = Array.from({ length: monthEnd.getDate() }, (_, i) =>
+    new Date(monthStart.getFullYear(), monthStart.getMonth(), i + 1));
+
+  const monthData = useMemo(() => getContinenceInRange(
+    continenceData,
+    new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1),
+    new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0, 23, 59, 59, 999)
+  ), [continenceData, currentMonth]);
+  const continenceByDay = new Map(monthData.map(day => [toDateKey(day.date), day]));
+
+  // Calculate summary statistics for physician view
+  const monthSummary = useMemo(() => summarizeContinence(monthData), [monthData]);
+
+  const { start: startOfThreeMonths, end: endOfThreeMonths } = nav.getThreeMonthRange();
+  const threeMonthSummary = useMemo(
+    () => summarizeContinence(getContinenceInRange(continenceData, startOfThreeMonths, endOfThreeMonths)),
+    [continenceData, startOfThreeMonths, endOfThreeMonths]
+  );
+
+  const monthAnnotations = useChartAnnotations(patientId, 'continence', viewMode, monthStart, monthEnd);
+
+  const baseConfig = createChartConfig('continence', isExpanded);
+  const config = {
+    ...baseConfig,
+    height: baseConfig.padding.top + CONTINENCE_TYPES.length * baseConfig.rowHeight + baseConfig.padding.bottom,
+    dayWidth: (baseConfig.width - baseConfig.padding.left - baseConfig.padding.right) / monthDays.length
+  };
+
+  return (
+    <div className={`continence-chart-container ${isExpanded ? 'expanded' : ''}`}>
+      <h3 className="chart-title">Continence</h3>
+      <h4 className="chart-subtitle">{nav.getCurrentMonthYear()}</h4>
+
+      <svg width="100%" viewBox={`0 0 ${config.width} ${config.height}`} className="continence-svg">
+        <DayColumns config={config} monthDays={monthDays} />
+        {CONTINENCE_TYPES.map((type, rowIndex) => (
+          <ContinenceRow
+            key={type.key}
+            config={config}
+            type={type}
+            rowIndex={rowIndex}
+            monthDays={monthDays}
+            continenceByDay={continenceByDay}
+          />
+        ))}
+        <DayAnnotations config={config} monthDays={monthDays} annotations={monthAnnotations} />
+      </svg>
+
+      {monthSummary && (
+        <div className="continence-counts">
+          {CONTINENCE_TYPES.map(type => (
+            <span key={type.key} className="continence-count">
+              {type.label} episodes this month: <strong>{monthSummary.types[type.key].episodes}</strong>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <Legend title="Continence" items={continenceLegendItems} />
+
+      {viewMode === 'physician' && monthSummary && (
+        <div className="summary-container">
+          <div className="chart-summary">
+            <h4>Month Summary</h4>
+            <SummaryStats summary={monthSummary} />
+          </div>
+
+          {threeMonthSummary && (
+            <div className="chart-summary">
+              <h4>3-Month Summary</h4>
+              <SummaryStats summary={threeMonthSummary} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContinenceChart;
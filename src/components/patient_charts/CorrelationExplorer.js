@@ -0,0 +1,212 @@
+/*
+ CorrelationExplorer.js - Cross-Metric Correlation Visualization
+
+ This component lets physicians compare any two daily series derived from the
+ processed patient data (analytics/dailySeries.js):
+ - Series selectors for the X and Y axes (sleep, pain, exercise, glucose, BP, mood, meal flags)
+ - Lag selector: Y on the same day as X, or on the next day
+ - Scatter plot of the paired days in the 3-month range of useChartNavigation
+ - Pearson and Spearman coefficients and the number of paired days
+
+ Answers questions such as "does poor sleep precede higher pain?" (sleep hours
+ against next-day pain level) or "is glucose worse on days with alcohol at dinner?".
+ */
+
+import React, { useState, useMemo } from 'react';
+import { usePatientDataContext } from '../../context/PatientDataContext';
+import useChartNavigation from '../../hooks/useChartNavigation';
+import { createChartConfig } from '../chart-utils/ChartConfigFactory';
+import { DAILY_SERIES, buildDailySeries, toDateKey } from '../../analytics/dailySeries';
+import { correlateDailySeries, describeCorrelation } from '../../analytics/correlation';
+import './CorrelationExplorer.css';
+
+// --- Constants ---
+const LAG_OPTIONS = [
+  { value: 0, label: 'Same day' },
+  { value: 1, label: 'Next day' }
+];
+const DEFAULT_X_SERIES = 'sleepHours';
+const DEFAULT_Y_SERIES = 'painLevel';
+const TICK_COUNT = 5;
+
+// --- Helper Functions ---
+const getDomain = (values) => {
+  if (values.length === 0) return [0, 1];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  // Pad constant series so they still get an axis
+  return min === max ? [min - 1, max + 1] : [min, max];
+};
+
+const getTicks = ([min, max]) =>
+  Array.from({ length: TICK_COUNT }, (_, i) => min + ((max - min) * i) / (TICK_COUNT - 1));
+
+const formatTick = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+const formatCoefficient = (coefficient) => (coefficient == null ? '–' : coefficient.toFixed(2));
+
+// Small deterministic offset so overlapping points of discrete series stay visible
+const getJitter = (index, isDiscrete) => (isDiscrete ? (((index * 7919) % 13) - 6) * 0.8 : 0);
+
+// --- Chart Sub-components ---
+const ScatterPlot = ({ pairs, xSeries, ySeries, lagLabel, isExpanded }) => {
+  const config = createChartConfig('correlation', isExpanded);
+  const chartWidth = config.width - config.padding.left - config.padding.right;
+  const chartHeight = config.height - config.padding.top - config.padding.bottom;
+
+  const xDomain = getDomain(pairs.map(pair => pair.x));
+  const yDomain = getDomain(pairs.map(pair => pair.y));
+  const scaleX = (value) => config.padding.left + ((value - xDomain[0]) / (xDomain[1] - xDomain[0])) * chartWidth;
+  const scaleY = (value) => config.padding.top + chartHeight - ((value - yDomain[0]) / (yDomain[1] - yDomain[0])) * chartHeight;
+
+  return (
+    <svg width="100%" height="100%" viewBox={`0 0 ${config.width} ${config.height}`} className="correlation-svg">
+      <rect width={config.width} height={config.height} fill="white" />
+
+      {getTicks(yDomain).map(tick => (
+        <g key={`y-${tick}`}>
+          <line className="chart-grid-line-horizontal" x1={config.padding.left} y1={scaleY(tick)} x2={config.width - config.padding.right} y2={scaleY(tick)} />
+          <text x={config.padding.left - 8} y={scaleY(tick) + 4} fontSize={config.fontSize.yAxis} textAnchor="end" fill="var(--chart-color-neutral)">
+            {formatTick(tick)}
+          </text>
+        </g>
+      ))}
+      {getTicks(xDomain).map(tick => (
+        <g key={`x-${tick}`}>
+          <line className="chart-grid-line-vertical" x1={scaleX(tick)} y1={config.padding.top} x2={scaleX(tick)} y2={config.height - config.padding.bottom} />
+          <text x={scaleX(tick)} y={config.height - config.padding.bottom + 18} fontSize={config.fontSize.timeLabel} textAnchor="middle" fill="var(--chart-color-neutral)">
+            {formatTick(tick)}
+          </text>
+        </g>
+      ))}
+
+      <text
+        className="correlation-axis-title"
+        x={config.padding.left + chartWidth / 2}
+        y={config.height - config.padding.bottom + 45}
+        textAnchor="middle"
+        fontSize={config.fontSize.yAxisTitle}
+      >
+        {xSeries.label} ({xSeries.unit})
+      </text>
+      <text
+        className="correlation-axis-title"
+        x={config.padding.left / 3}
+        y={config.padding.top + chartHeight / 2}
+        textAnchor="middle"
+        fontSize={config.fontSize.yAxisTitle}
+        transform={`rotate(-90, ${config.padding.left / 3}, ${config.padding.top + chartHeight / 2})`}
+      >
+        {ySeries.label}{lagLabel ? ` (${lagLabel})` : ''}
+      </text>
+
+      <g className="correlation-points">
+        {pairs.map((pair, index) => (
+          <circle
+            key={pair.dateKey}
+            cx={scaleX(pair.x) + getJitter(index, xSeries.discrete)}
+            cy={scaleY(pair.y) + getJitter(index + 5, ySeries.discrete)}
+            r={isExpanded ? 4 : 3}
+          >
+            <title>{`${pair.dateKey}: ${formatTick(pair.x)}, ${formatTick(pair.y)}`}</title>
+          </circle>
+        ))}
+      </g>
+    </svg>
+  );
+};
+
+// --- Main Component ---
+const CorrelationExplorer = ({ patientId, isExpanded = false, onExpand, viewMode = 'physician', navigation }) => {
+  const { data } = usePatientDataContext();
+  const [xKey, setXKey] = useState(DEFAULT_X_SERIES);
+  const [yKey, setYKey] = useState(DEFAULT_Y_SERIES);
+  const [lagDays, setLagDays] = useState(0);
+
+  // Use navigation from parent or fallback to internal navigation
+  const internalNavigation = useChartNavigation('correlation');
+  const nav = navigation || internalNavigation;
+
+  const { start, end } = nav.getThreeMonthRange();
+  const startKey = toDateKey(start);
+  const endKey = toDateKey(end);
+
+  const seriesX = useMemo(() => buildDailySeries(data, xKey), [data, xKey]);
+  const seriesY = useMemo(() => buildDailySeries(data, yKey), [data, yKey]);
+  const result = useMemo(
+    () => correlateDailySeries(seriesX, seriesY, { lagDays, startKey, endKey }),
+    [seriesX, seriesY, lagDays, startKey, endKey]
+  );
+
+  const lagLabel = lagDays > 0 ? LAG_OPTIONS.find(option => option.value === lagDays)?.label.toLowerCase() : '';
+
+  return (
+    <div className={`correlation-chart-container ${isExpanded ? 'expanded' : ''}`}>
+      <h3 className="chart-title">Correlation Explorer</h3>
+      <h4 className="chart-subtitle">{nav.getThreeMonthDisplay()}</h4>
+
+      <div className="correlation-controls">
+        <label className="correlation-control">
+          <span>X axis</span>
+          <select value={xKey} onChange={(event) => setXKey(event.target.value)}>
+            {Object.entries(DAILY_SERIES).map(([key, series]) => (
+              <option key={key} value={key}>{series.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="correlation-control">
+          <span>Y axis</span>
+          <select value={yKey} onChange={(event) => setYKey(event.target.value)}>
+            {Object.entries(DAILY_SERIES).map(([key, series]) => (
+              <option key={key} value={key}>{series.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="correlation-control">
+          <span>Y measured</span>
+          <select value={lagDays} onChange={(event) => setLagDays(Number(event.target.value))}>
+            {LAG_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="correlation-svg-container">
+        <ScatterPlot
+          pairs={result.pairs}
+          xSeries={DAILY_SERIES[xKey]}
+          ySeries={DAILY_SERIES[yKey]}
+          lagLabel={lagLabel}
+          isExpanded={isExpanded}
+        />
+      </div>
+
+      <div className="summary-container">
+        <div className="chart-summary">
+          <h4>Correlation</h4>
+          <div className="summary-stats">
+            <div className="stat-item">
+              <span className="stat-label">Paired Days:</span>
+              <span className="stat-value">{result.n}</span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-label">Pearson r:</span>
+              <span className="stat-value">
+                {formatCoefficient(result.pearson)} ({describeCorrelation(result.pearson)})
+              </span>
+            </div>
+            <div className="stat-item">
+              <span className="stat-label">Spearman ρ:</span>
+              <span className="stat-value">
+                {formatCoefficient(result.spearman)} ({describeCorrelation(result.spearman)})
+              </span>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CorrelationExplorer;
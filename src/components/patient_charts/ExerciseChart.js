@@ -22,6 +22,9 @@
  - Interactive tooltips with detailed exercise information
  - Design adapting to container size
  - Dynamic Y-axis scaling based on data range
+ - Physician date annotations as markers on the time axis
+ - Optional background band on bad weather days; physicians also get exercise on good vs
+   bad weather days
  
  Activity Categories:
  - Walking: Low-impact cardiovascular exercise
@@ -44,10 +47,15 @@
  */
 
 import React, { useState, useMemo, useRef } from 'react';
-import usePatientData from '../../hooks/usePatientData';
+import { usePatientMetric } from '../../context/PatientDataContext';
 import useChartNavigation from '../../hooks/useChartNavigation';
 import Legend from '../Legend';
 import { createChartConfig } from '../chart-utils/ChartConfigFactory';
+import AnnotationMarkers, { useChartAnnotations } from '../chart-utils/AnnotationMarkers';
+import WeatherBand, { WeatherToggle } from '../chart-utils/WeatherBand';
+import WeatherComparison from '../chart-utils/WeatherComparison';
+import { buildDailySeries } from '../../analytics/dailySeries';
+import { groupWeatherByDay, compareByWeather } from '../../analytics/weather';
 import './ExerciseChart.css';
 
 const exerciseTypes = [
@@ -66,7 +74,7 @@ const exerciseLegendItems = exerciseTypes.map(({ label, color, emoji }) => ({
 }));
 
 const ExerciseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patient', navigation }) => {
-  const { exerciseData, loading, error } = usePatientData(patientId, 'exercise');
+  const { data: exerciseData, loading, error } = usePatientMetric('exercise');
   
   // Use navigation from parent or fallback to internal navigation
   const useInternalNavigation = !navigation;
@@ -84,6 +92,8 @@ const ExerciseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pa
     return itemDate >= startOfWeek && itemDate <= endOfWeek;
   });
 
+  const weekAnnotations = useChartAnnotations(patientId, 'exercise', viewMode, startOfWeek, endOfWeek);
+
   // Get 3-month data
   const { start: startOfThreeMonths, end: endOfThreeMonths } = nav.getThreeMonthRange();
   const threeMonthData = exerciseData.filter(d => {
@@ -92,6 +102,16 @@ const ExerciseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pa
     return itemDate >= startOfThreeMonths && itemDate <= endOfThreeMonths;
   });
 
+  // Bad weather band and the good vs bad weather comparison (days without exercise count as 0 min)
+  const { data: weatherData } = usePatientMetric('weather');
+  const [showWeather, setShowWeather] = useState(false);
+  const weatherByDay = useMemo(() => groupWeatherByDay(weatherData), [weatherData]);
+  const weatherComparison = useMemo(() => compareByWeather(
+    buildDailySeries({ exerciseData }, 'exerciseMinutes'),
+    weatherByDay,
+    { start: startOfThreeMonths, end: endOfThreeMonths, missingValue: 0 }
+  ), [exerciseData, weatherByDay, startOfThreeMonths, endOfThreeMonths]);
+
   const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
   const groupedData = daysOfWeek.reduce((acc, day) => {
     acc[day] = { walking: 0, swimming: 0, running: 0, 'resistance/weights': 0, biking: 0, 'balance/stretching': 0, other: 0, totalMinutes: 0 };
@@ -240,12 +260,15 @@ const ExerciseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pa
       <div className={`exercise-chart-container ${isExpanded ? 'expanded' : ''}`}>
         <h3 className="chart-title">Activity Breakdown by Type</h3>
         <h4 className="chart-subtitle">{nav.getCurrentMonthYear()}</h4>
+        {weatherByDay.size > 0 && <WeatherToggle checked={showWeather} onChange={setShowWeather} />}
         
         <svg 
           width="100%" 
           viewBox={`0 0 ${config.width} ${config.height}`}
           className="exercise-svg"
         >
+          {showWeather && <WeatherBand weatherByDay={weatherByDay} startOfWeek={startOfWeek} config={config} />}
+
           <g className="y-axis">
             {yAxisLabels.map(value => {
               const y = config.padding.top + chartHeight - (value / maxDuration) * chartHeight;
@@ -280,6 +303,8 @@ const ExerciseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pa
             })}
           </g>
 
+          <AnnotationMarkers annotations={weekAnnotations} config={config} />
+
           <g className="data-bars">
             {daysOfWeek.map((day, dayIndex) => {
               const dayData = groupedData[day];
@@ -420,6 +445,12 @@ const ExerciseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pa
                 </div>
               </div>
             )}
+
+            <WeatherComparison
+              comparison={weatherComparison}
+              label="Exercise"
+              formatValue={(minutes) => `${minutes.toFixed(0)} min/day`}
+            />
           </div>
         )}
       </div>
@@ -8,12 +8,14 @@
  - Interactive tooltips with detailed glucose information
  - Navigation controls for time periods
  - Integration with patient data and chart navigation
+ - Physician summaries with consensus metrics (TIR/TBR/TAR, GMI, CV) and a stacked TIR bar
+ - Physician date annotations as markers on the time axis
  
  Essential for diabetes management and glucose trend analysis.
  */
 
 import React, { useState, useMemo, useRef } from 'react';
-import usePatientData from '../../hooks/usePatientData';
+import { usePatientMetric } from '../../context/PatientDataContext';
 import useChartNavigation from '../../hooks/useChartNavigation';
 
 import Legend from '../Legend';
@@ -21,6 +23,9 @@ import InfoBox from '../InfoBox';
 import Tooltip from '../ui/Tooltip';
 import { createChartConfig } from '../chart-utils/ChartConfigFactory';
 import SharedYAxis from '../chart-utils/SharedYAxis';
+import TimeInRangeBar from '../chart-utils/TimeInRangeBar';
+import AnnotationMarkers, { useChartAnnotations } from '../chart-utils/AnnotationMarkers';
+import { calculateGlucoseMetrics } from '../../analytics/glucoseAnalytics';
 import './GlucoseChart.css';
 
 // --- Constants ---
@@ -31,7 +36,6 @@ const RANGE_COLORS = {
   'above range': 'var(--chart-color-orange)',
 };
 const TIME_LABELS = ['12am', '12pm', '12am'];
-const DEFAULT_WEEK = new Date(2025, 4, 1);
 
 // --- Helper Functions ---
 const getPointColor = (range) => RANGE_COLORS[range.toLowerCase()] || RANGE_COLORS['in range'];
@@ -197,7 +201,7 @@ const DataPoints = ({ weekData, config, onBarHover, onBarLeave }) => {
   );
 };
 
-const Chart = ({ weekData, isExpanded, startOfWeek, onBarHover, onBarLeave, monthLabel }) => {
+const Chart = ({ weekData, isExpanded, startOfWeek, onBarHover, onBarLeave, monthLabel, annotations }) => {
   const config = createChartConfig('glucose', isExpanded);
   return (
     <div className="glucose-svg-container">
@@ -207,6 +211,7 @@ const Chart = ({ weekData, isExpanded, startOfWeek, onBarHover, onBarLeave, mont
         <rect width={config.width} height={config.height} fill="white" />
         <XAxisAndGrid config={config} startOfWeek={startOfWeek} />
         <SharedYAxis config={config} title="mmol/L" />
+        <AnnotationMarkers annotations={annotations} config={config} />
         <DataPoints weekData={weekData} config={config} onBarHover={onBarHover} onBarLeave={onBarLeave} />
       </svg>
     </div>
@@ -234,7 +239,7 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
       description: 'Blood glucose measurements taken after meals'
     },
   ];
-  const { glucoseData, loading, error } = usePatientData(patientId, 'glucose');
+  const { data: glucoseData, loading, error } = usePatientMetric('glucose');
   const [tooltipData, setTooltipData] = useState(null);
   const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 });
   const containerRef = useRef(null);
@@ -249,6 +254,8 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
   const { start: startOfWeek, end: endOfWeek } = nav.getDateRange();
   const weekData = glucoseData.filter(d => d.date >= startOfWeek && d.date <= endOfWeek);
 
+  const weekAnnotations = useChartAnnotations(patientId, 'glucose', viewMode, startOfWeek, endOfWeek);
+
   // Get 3-month data
   const { start: startOfThreeMonths, end: endOfThreeMonths } = nav.getThreeMonthRange();
   const threeMonthData = glucoseData.filter(d => d.date >= startOfThreeMonths && d.date <= endOfThreeMonths);
@@ -280,6 +287,7 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
     const daysWithReadings = new Set(weekData.map(d => d.date.toDateString())).size;
 
     return {
+      metrics: calculateGlucoseMetrics(readings),
       avgGlucose,
       avgPreMeal,
       avgPostMeal,
@@ -319,6 +327,7 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
     const daysWithReadings = new Set(threeMonthData.map(d => d.date.toDateString())).size;
 
     return {
+      metrics: calculateGlucoseMetrics(readings),
       avgGlucose,
       avgPreMeal,
       avgPostMeal,
@@ -357,6 +366,7 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
           onBarHover={handleBarHover} 
           onBarLeave={handleBarLeave} 
           monthLabel={nav.getCurrentMonthYear()}
+          annotations={weekAnnotations}
         />
         </div>
         <div className="glucose-legends-wrapper">
@@ -369,6 +379,7 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
           <div className="summary-container">
             <div className="chart-summary">
               <h4>Week Summary</h4>
+              <TimeInRangeBar metrics={weekSummary.metrics} />
               <div className="summary-stats">
                 <div className="stat-item">
                   <span className="stat-label">Average Glucose:</span>
@@ -389,6 +400,34 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
                     {weekSummary.highReadings} high, {weekSummary.lowReadings} low
                   </span>
                 </div>
+                {weekSummary.metrics && (
+                  <>
+                    <div className="stat-item">
+                      <span className="stat-label">Time Below Range:</span>
+                      <span className="stat-value">
+                        {weekSummary.metrics.belowRange.toFixed(0)}% (&lt;{weekSummary.metrics.thresholds.veryLow.toFixed(1)}: {weekSummary.metrics.ranges.veryLow.toFixed(0)}%)
+                      </span>
+                    </div>
+                    <div className="stat-item">
+                      <span className="stat-label">Time Above Range:</span>
+                      <span className="stat-value">
+                        {weekSummary.metrics.aboveRange.toFixed(0)}% (&gt;{weekSummary.metrics.thresholds.veryHigh.toFixed(1)}: {weekSummary.metrics.ranges.veryHigh.toFixed(0)}%)
+                      </span>
+                    </div>
+                    <div className="stat-item">
+                      <span className="stat-label">GMI (est. A1c):</span>
+                      <span className="stat-value">
+                        {weekSummary.metrics.gmi.toFixed(1)}%
+                      </span>
+                    </div>
+                    <div className="stat-item">
+                      <span className="stat-label">Variability (SD/CV):</span>
+                      <span className="stat-value">
+                        {weekSummary.metrics.sd.toFixed(1)} mmol/L / {weekSummary.metrics.cv.toFixed(0)}%
+                      </span>
+                    </div>
+                  </>
+                )}
                 <div className="stat-item">
                   <span className="stat-label">Reading Days:</span>
                   <span className="stat-value">
@@ -401,6 +440,7 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
             {threeMonthSummary && (
               <div className="chart-summary">
                 <h4>3-Month Summary</h4>
+                <TimeInRangeBar metrics={threeMonthSummary.metrics} />
                 <div className="summary-stats">
                   <div className="stat-item">
                     <span className="stat-label">Average Glucose:</span>
@@ -421,6 +461,34 @@ const GlucoseChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
                       {threeMonthSummary.highReadings} high, {threeMonthSummary.lowReadings} low
                     </span>
                   </div>
+                  {threeMonthSummary.metrics && (
+                    <>
+                      <div className="stat-item">
+                        <span className="stat-label">Time Below Range:</span>
+                        <span className="stat-value">
+                          {threeMonthSummary.metrics.belowRange.toFixed(0)}% (&lt;{threeMonthSummary.metrics.thresholds.veryLow.toFixed(1)}: {threeMonthSummary.metrics.ranges.veryLow.toFixed(0)}%)
+                        </span>
+                      </div>
+                      <div className="stat-item">
+                        <span className="stat-label">Time Above Range:</span>
+                        <span className="stat-value">
+                          {threeMonthSummary.metrics.aboveRange.toFixed(0)}% (&gt;{threeMonthSummary.metrics.thresholds.veryHigh.toFixed(1)}: {threeMonthSummary.metrics.ranges.veryHigh.toFixed(0)}%)
+                        </span>
+                      </div>
+                      <div className="stat-item">
+                        <span className="stat-label">GMI (est. A1c):</span>
+                        <span className="stat-value">
+                          {threeMonthSummary.metrics.gmi.toFixed(1)}%
+                        </span>
+                      </div>
+                      <div className="stat-item">
+                        <span className="stat-label">Variability (SD/CV):</span>
+                        <span className="stat-value">
+                          {threeMonthSummary.metrics.sd.toFixed(1)} mmol/L / {threeMonthSummary.metrics.cv.toFixed(0)}%
+                        </span>
+                      </div>
+                    </>
+                  )}
                   <div className="stat-item">
                     <span className="stat-label">Reading Days:</span>
                     <span className="stat-value">
@@ -8,15 +8,17 @@
  - Interactive tooltips with meal details
  - Navigation controls for time periods
  - Integration with patient data and chart navigation
+ - Physician date annotations as markers on the time axis
  
  Essential for dietary monitoring and nutritional assessment.
  */
 
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import Legend from '../Legend';
-import usePatientData from '../../hooks/usePatientData';
+import { usePatientMetric } from '../../context/PatientDataContext';
 import useChartNavigation from '../../hooks/useChartNavigation';
 import { createChartConfig } from '../chart-utils/ChartConfigFactory';
+import AnnotationMarkers, { useChartAnnotations } from '../chart-utils/AnnotationMarkers';
 
 import './MealContentsChart.css';
 
@@ -26,7 +28,6 @@ const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 const MEAL_TYPES = ['Breakfast', 'Lunch', 'Dinner', 'Late Night Snack'];
 const FOOD_CATEGORIES = ['Protein', 'Carbohydrates', 'Vegetables', 'Fruit', 'Alcohol'];
 const SUGAR_CATEGORIES = ['', '1-20g', '20-40g', '40-60g', '60g+'];
-const DEFAULT_WEEK = new Date(2025, 4, 1);
 
 // Emoji mappings for food categories
 const CATEGORY_EMOJIS = {
@@ -322,7 +323,7 @@ const MealGrid = ({ config, weekDays, patientData, isExpanded }) => {
 
 // --- Main Component ---
 const MealContentsChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patient', navigation }) => {
-  const { mealData: patientData, loading, error } = usePatientData(patientId);
+  const { data: patientData, loading, error } = usePatientMetric('mealContents');
   
   // Use navigation from parent or fallback to internal navigation
   const useInternalNavigation = !navigation;
@@ -348,6 +349,8 @@ const MealContentsChart = ({ patientId, isExpanded = false, onExpand, viewMode =
   }, [isExpanded]);
 
   const { start: startOfWeek, end: endOfWeek } = nav.getDateRange();
+
+  const weekAnnotations = useChartAnnotations(patientId, 'mealContents', viewMode, startOfWeek, endOfWeek);
   const weekDays = Array.from({ length: 7 }, (_, i) => {
     const day = new Date(startOfWeek);
     day.setDate(startOfWeek.getDate() + i);
@@ -518,6 +521,7 @@ const MealContentsChart = ({ patientId, isExpanded = false, onExpand, viewMode =
           >
             <XAxis config={config} weekDays={weekDays} />
             <YAxis config={config} />
+            <AnnotationMarkers annotations={weekAnnotations} config={config} />
             <MealGrid 
               config={config} 
               weekDays={weekDays} 
@@ -0,0 +1,276 @@
+/*
+ MedicationTimeline.js - Medication Timeline Visualization
+
+ This component shows the medications of the selected week as horizontal bars:
+ - One row per medication, grouped under its category (e.g. "Heart health and hypertension")
+ - Bars cover the days the medication was recorded, labelled with the dosage
+ - Markers where a medication starts, stops or changes dosage
+ - Physician date annotations as markers on the time axis
+
+ The week axis uses the same layout as the blood pressure and glucose charts
+ (Sunday first, same padding and day width), so a dose change can be lined up
+ with a trend in the vitals. Periods and change events come from
+ analytics/medicationTimeline.js; the summary lists the changes in the 3-month range.
+ */
+
+import React, { useMemo } from 'react';
+import { usePatientDataContext } from '../../context/PatientDataContext';
+import useChartNavigation from '../../hooks/useChartNavigation';
+import Legend from '../Legend';
+import { createChartConfig } from '../chart-utils/ChartConfigFactory';
+import AnnotationMarkers, { useChartAnnotations } from '../chart-utils/AnnotationMarkers';
+import { toDateKey } from '../../analytics/dailySeries';
+import {
+  buildMedicationTimeline,
+  groupMedicationsByCategory,
+  getMedicationEventsInRange
+} from '../../analytics/medicationTimeline';
+import './MedicationTimeline.css';
+
+// --- Constants ---
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Bar colors cycle through these classes by category (see MedicationTimeline.css)
+const CATEGORY_COLOR_COUNT = 6;
+const EVENT_LABELS = {
+  start: 'Started',
+  stop: 'Stopped',
+  'dose-change': 'Dose changed'
+};
+
+const medicationLegendItems = [
+  { color: 'var(--medication-start-color)', label: 'Started', description: 'Medication first recorded on this day' },
+  { color: 'var(--medication-stop-color)', label: 'Stopped', description: 'Medication no longer recorded from this day' },
+  { color: 'var(--medication-change-color)', label: 'Dose changed', description: 'Dosage differs from the previous day' },
+];
+
+// --- Helper Functions ---
+const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const formatEventDate = (dateKey) =>
+  fromDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const describeEvent = (event) => {
+  if (event.type === 'dose-change') {
+    return `${event.name}: ${event.previousDosage || 'no dosage'} → ${event.dosage || 'no dosage'}`;
+  }
+  return `${EVENT_LABELS[event.type]} ${event.name}${event.dosage ? ` (${event.dosage})` : ''}`;
+};
+
+// Parts of the medication's periods that fall within the week, in day columns
+const getWeekSegments = (medication, weekKeys) => {
+  const weekStartKey = weekKeys[0];
+  const weekEndKey = weekKeys[weekKeys.length - 1];
+
+  return medication.periods
+    .filter(period => period.start <= weekEndKey && period.end >= weekStartKey)
+    .map(period => {
+      const startKey = period.start > weekStartKey ? period.start : weekStartKey;
+      const endKey = period.end < weekEndKey ? period.end : weekEndKey;
+      return {
+        dosage: period.dosage,
+        startIndex: weekKeys.indexOf(startKey),
+        endIndex: weekKeys.indexOf(endKey)
+      };
+    });
+};
+
+// Rows of the chart: a header per category followed by its medications
+const getRows = (groups, config) => {
+  const rows = [];
+  let y = config.padding.top;
+  groups.forEach((group, groupIndex) => {
+    rows.push({ kind: 'category', key: `category-${group.category}`, category: group.category, y });
+    y += config.categoryHeight;
+    group.medications.forEach(medication => {
+      rows.push({ kind: 'medication', key: medication.name, medication, colorIndex: groupIndex % CATEGORY_COLOR_COUNT, y });
+      y += config.rowHeight;
+    });
+  });
+  return { rows, contentHeight: y - config.padding.top };
+};
+
+// --- Chart Sub-components ---
+const XAxis = ({ config, weekDays }) => (
+  <g className="x-axis">
+    {weekDays.map((day, dayIndex) => {
+      const dayX = config.padding.left + dayIndex * config.dayWidth;
+      return (
+        <g key={dayIndex} className="x-axis-label-group">
+          <line className="chart-grid-line-vertical" x1={dayX} y1={config.padding.top} x2={dayX} y2={config.height - config.padding.bottom} />
+          <text x={dayX + config.dayWidth / 2} y={config.height - config.padding.bottom + 15} textAnchor="middle" fontSize={config.fontSize.dayLabel} className="x-axis-day-label">
+            {DAY_NAMES[day.getDay()]}
+          </text>
+          <text x={dayX + config.dayWidth / 2} y={config.height - config.padding.bottom + 30} textAnchor="middle" fontSize={config.fontSize.dateLabel} className="x-axis-date-label">
+            {day.getDate()}
+          </text>
+        </g>
+      );
+    })}
+    <line
+      className="chart-grid-line-vertical"
+      x1={config.padding.left + weekDays.length * config.dayWidth}
+      y1={config.padding.top}
+      x2={config.padding.left + weekDays.length * config.dayWidth}
+      y2={config.height - config.padding.bottom}
+    />
+  </g>
+);
+
+const EventMarker = ({ event, x, y, size }) => (
+  <path
+    className={`medication-event medication-event-${event.type}`}
+    d={event.type === 'dose-change'
+      ? `M${x},${y - size} L${x + size},${y} L${x},${y + size} L${x - size},${y} Z`
+      : `M${x - size},${y - size} h${size * 2} v${size * 2} h${-size * 2} Z`}
+  >
+    <title>{`${formatEventDate(event.date)}: ${describeEvent(event)}`}</title>
+  </path>
+);
+
+const MedicationRow = ({ row, config, weekKeys, weekEvents }) => {
+  const { medication } = row;
+  const segments = getWeekSegments(medication, weekKeys);
+  const barY = row.y + config.rowHeight - config.barHeight - 6;
+  const label = segments.length > 0 && segments[segments.length - 1].dosage
+    ? `${medication.name} · ${segments[segments.length - 1].dosage}`
+    : medication.name;
+
+  return (
+    <g className="medication-row">
+      <text
+        x={config.padding.left + 4}
+        y={barY - 4}
+        fontSize={config.fontSize.medicationLabel}
+        className={`medication-label ${segments.length === 0 ? 'inactive' : ''}`}
+      >
+        {label}
+        <title>{[medication.name, medication.type, medication.category].filter(Boolean).join(' · ')}</title>
+      </text>
+      {segments.map(segment => (
+        <rect
+          key={`${segment.startIndex}-${segment.dosage}`}
+          className={`medication-bar medication-category-${row.colorIndex}`}
+          x={config.padding.left + segment.startIndex * config.dayWidth + 2}
+          y={barY}
+          width={(segment.endIndex - segment.startIndex + 1) * config.dayWidth - 4}
+          height={config.barHeight}
+          rx={config.barHeight / 2}
+        >
+          <title>{`${medication.name}: ${segment.dosage || 'no dosage recorded'}`}</title>
+        </rect>
+      ))}
+      {weekEvents
+        .filter(event => event.name === medication.name)
+        .map(event => (
+          <EventMarker
+            key={`${event.type}-${event.date}`}
+            event={event}
+            x={config.padding.left + weekKeys.indexOf(event.date) * config.dayWidth}
+            y={barY + config.barHeight / 2}
+            size={config.barHeight / 2 + 1}
+          />
+        ))}
+    </g>
+  );
+};
+
+// --- Main Component ---
+const MedicationTimeline = ({ patientId, isExpanded = false, onExpand, viewMode = 'physician', navigation }) => {
+  const { data } = usePatientDataContext();
+
+  // Use navigation from parent or fallback to internal navigation
+  const internalNavigation = useChartNavigation('medications');
+  const nav = navigation || internalNavigation;
+
+  const timeline = useMemo(() => buildMedicationTimeline(data?.medicationData), [data]);
+  const groups = useMemo(() => groupMedicationsByCategory(timeline.medications), [timeline]);
+
+  const { start: weekStart, end: weekEnd } = nav.getDateRange();
+  const weekDays = Array.from({ length: 7 }, (_, i) =>
+    new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i));
+  const weekKeys = weekDays.map(toDateKey);
+  const weekEvents = getMedicationEventsInRange(timeline.events, weekStart, weekEnd);
+
+  const { start: startOfThreeMonths, end: endOfThreeMonths } = nav.getThreeMonthRange();
+  const threeMonthEvents = getMedicationEventsInRange(timeline.events, startOfThreeMonths, endOfThreeMonths);
+
+  const weekAnnotations = useChartAnnotations(patientId, 'medications', viewMode, weekStart, weekEnd);
+
+  const baseConfig = createChartConfig('medications', isExpanded);
+  const { rows, contentHeight } = getRows(groups, baseConfig);
+  const config = { ...baseConfig, height: baseConfig.padding.top + contentHeight + baseConfig.padding.bottom };
+
+  const activeCount = timeline.medications.filter(medication => getWeekSegments(medication, weekKeys).length > 0).length;
+
+  return (
+    <div className={`medication-chart-container ${isExpanded ? 'expanded' : ''}`}>
+      <h3 className="chart-title">Medication Timeline</h3>
+      <h4 className="chart-subtitle">{nav.getCurrentMonthYear()}</h4>
+
+      <svg width="100%" viewBox={`0 0 ${config.width} ${config.height}`} className="medication-svg">
+        <XAxis config={config} weekDays={weekDays} />
+        <AnnotationMarkers annotations={weekAnnotations} config={config} />
+
+        {rows.map(row => (row.kind === 'category' ? (
+          <text
+            key={row.key}
+            x={config.padding.left}
+            y={row.y + config.categoryHeight - 6}
+            fontSize={config.fontSize.category}
+            className="medication-category-label"
+          >
+            {row.category}
+          </text>
+        ) : (
+          <MedicationRow key={row.key} row={row} config={config} weekKeys={weekKeys} weekEvents={weekEvents} />
+        )))}
+      </svg>
+
+      <Legend title="Medication Changes:" items={medicationLegendItems} />
+
+      {viewMode === 'physician' && (
+        <div className="summary-container">
+          <div className="chart-summary">
+            <h4>Week Summary</h4>
+            <div className="summary-stats">
+              <div className="stat-item">
+                <span className="stat-label">Active Medications:</span>
+                <span className="stat-value">{activeCount}</span>
+              </div>
+              <div className="stat-item">
+                <span className="stat-label">Changes This Week:</span>
+                <span className="stat-value">{weekEvents.length}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="chart-summary">
+            <h4>3-Month Changes</h4>
+            {threeMonthEvents.length > 0 ? (
+              <ul className="medication-change-list">
+                {threeMonthEvents.map(event => (
+                  <li key={`${event.name}-${event.type}-${event.date}`}>
+                    <span className={`medication-change-marker medication-event-${event.type}`} />
+                    <span className="medication-change-date">{formatEventDate(event.date)}</span>
+                    {describeEvent(event)}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="summary-stats">
+                <div className="stat-item">
+                  <span className="stat-label">No medication changes recorded</span>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MedicationTimeline;
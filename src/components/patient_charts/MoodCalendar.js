@@ -3,34 +3,41 @@
  
  This component provides comprehensive mood monitoring:
  - Daily mood tracking in calendar format
- - Color-coded mood states (happy, sad, angry)
+ - Color-coded mood states from the configurable mood scale (happy, sad, angry, contempt);
+   values outside the scale are shown as "unrecognised" instead of being left blank
+ - Several timestamped moods per day: days with differing moods are split into one
+   segment per entry, and the tooltip lists each entry with its time
  - Monthly navigation and trend analysis
  - Interactive mood selection and editing
  - Calendar layout
  - Integration with patient data and navigation
+ - Physician date annotations as corner markers on their days
+ - Physician valence trend: weekly average mood valence over 3 months with a trend line
+ - Optional strip marking bad weather days; physicians also get the valence on good vs bad
+   weather days
  
  Essential for mental health monitoring and emotional well-being tracking.
  */
 
 import React, { useState, useMemo, useRef } from 'react';
-import usePatientData from '../../hooks/usePatientData';
+import { usePatientMetric } from '../../context/PatientDataContext';
 import useChartNavigation from '../../hooks/useChartNavigation';
+import { getAnnotationsInRange, useChartAnnotations } from '../chart-utils/AnnotationMarkers';
 import Legend from '../Legend';
+import { WeatherToggle } from '../chart-utils/WeatherBand';
+import WeatherComparison from '../chart-utils/WeatherComparison';
+import { DEFAULT_MOOD_SCALE, summarizeMoods, buildValenceTrend } from '../../analytics/moodScale';
+import { buildDailySeries } from '../../analytics/dailySeries';
+import { groupWeatherByDay, compareByWeather, isBadWeatherDay } from '../../analytics/weather';
 
 import './MoodCalendar.css';
 
 // --- Constants & Config ---
-const MOODS = { happy: '😊', sad: '😢', angry: '😠' };
-const MOOD_COLORS = { 
-  happy: 'var(--chart-color-mood-happy)', 
-  sad: 'var(--chart-color-mood-sad)', 
-  angry: 'var(--chart-color-mood-angry)' 
-};
-const MOOD_BACKGROUNDS = { 
-  happy: 'var(--chart-color-mood-happy-bg)', 
-  sad: 'var(--chart-color-mood-sad-bg)', 
-  angry: 'var(--chart-color-mood-angry-bg)' 
-};
+// Weekly valence changes smaller than this count as stable
+const STABLE_VALENCE_SLOPE = 0.02;
+const TREND_CHART = { width: 320, height: 90, padding: 10 };
+// Share of the cell height taken by the bad weather strip
+const WEATHER_STRIP_HEIGHT = 0.12;
 const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
 const getCalendarConfig = (isExpanded) => ({
@@ -49,20 +56,38 @@ const getCalendarConfig = (isExpanded) => ({
 });
 
 // --- Helper Functions ---
-const normalizeMood = (mood) => (mood && MOODS[mood.toLowerCase()]) ? mood.toLowerCase() : null;
-const getMoodEmoji = (mood) => MOODS[normalizeMood(mood)];
-const getMoodColor = (mood) => MOOD_COLORS[normalizeMood(mood)];
-const getMoodBackgroundColor = (mood) => MOOD_BACKGROUNDS[normalizeMood(mood)] || '#ffffff';
-
-const moodLegendItems = Object.entries(MOODS).map(([mood, emoji]) => ({
-  icon: emoji,
-  label: mood.charAt(0).toUpperCase() + mood.slice(1),
+const getMoodLegendItems = (moods) => moods.map(mood => ({
+  icon: mood.emoji,
+  label: mood.label,
   style: {
-    backgroundColor: MOOD_BACKGROUNDS[mood],
-    borderColor: MOOD_COLORS[mood],
+    backgroundColor: mood.background,
+    borderColor: mood.color,
   },
 }));
 
+const formatValence = (value) => `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+
+const describeSlope = (slope) => {
+  if (Math.abs(slope) < STABLE_VALENCE_SLOPE) return 'Stable';
+  return slope > 0 ? 'Improving' : 'Worsening';
+};
+
+// Label of a mood, with the CSV value for unrecognised moods
+const describeMood = (mood, value, scale) => (mood === scale.unrecognised ? `${mood.label} (${value})` : mood.label);
+
+// Tooltip of a day: its date and every mood entry with its time
+const describeDayMoods = (date, moods, scale) => [
+  date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+  ...moods.map(({ entry, mood }) =>
+    `${entry.time ? `${entry.time} ` : ''}${mood.emoji} ${describeMood(mood, entry.mood, scale)}`)
+].join('\n');
+
+// Mood distribution, leaving out moods that did not occur
+const formatDistribution = (summary, scale) => scale.entries
+  .filter(mood => summary.counts[mood.key] > 0)
+  .map(mood => `${mood.emoji}${summary.percentages[mood.key]}%`)
+  .join(' ');
+
 // --- Sub-components ---
 
 const CalendarHeader = ({ config }) => (
@@ -81,17 +106,51 @@ const CalendarHeader = ({ config }) => (
   </g>
 );
 
-const DayCell = ({ config, date, moods }) => {
+// A day with differing moods is split into one segment per entry, in time order
+const DayCell = ({ config, date, entries, moodScale, badWeather = false, annotations = [] }) => {
   const dayOfMonth = date.getDate();
   const dayOfWeek = date.getDay();
   const weekOfMonth = Math.floor((dayOfMonth - 1 + new Date(date.getFullYear(), date.getMonth(), 1).getDay()) / 7);
   const x = config.startX + dayOfWeek * config.cellWidth;
   const y = config.startY + weekOfMonth * (config.cellHeight + 2);
-  const primaryMood = moods.length > 0 ? moods[0] : null;
+  const moods = entries
+    .map(entry => ({ entry, mood: moodScale.classify(entry.mood) }))
+    .filter(item => item.mood);
+  const primaryMood = moods.length > 0 ? moods[0].mood : null;
+  const segments = new Set(moods.map(item => item.mood.key)).size > 1 ? moods : [];
+  const segmentWidth = config.cellWidth / (segments.length || 1);
 
   return (
     <g className="day-cell-group" transform={`translate(${x - config.cellWidth / 2}, ${y - config.cellHeight / 2})`}>
-      <rect width={config.cellWidth} height={config.cellHeight} fill={getMoodBackgroundColor(primaryMood)} className="day-cell-bg" />
+      {(moods.length > 0 || badWeather) && (
+        <title>{`${describeDayMoods(date, moods, moodScale)}${badWeather ? '\nBad weather' : ''}`}</title>
+      )}
+      <rect width={config.cellWidth} height={config.cellHeight} fill={primaryMood?.background || '#ffffff'} className="day-cell-bg" />
+      {segments.map(({ mood }, index) => (
+        <g key={index} className="mood-segment" transform={`translate(${index * segmentWidth}, 0)`}>
+          <rect width={segmentWidth} height={config.cellHeight} fill={mood.background} />
+          <text
+            x={segmentWidth / 2}
+            y={config.cellHeight * 0.65}
+            className="mood-icon"
+            fill={mood.color}
+            style={{ fontSize: Math.min(config.moodIconFontSize, segmentWidth * 0.7) }}
+          >
+            {mood.emoji}
+          </text>
+        </g>
+      ))}
+      {badWeather && (
+        <rect
+          y={config.cellHeight * (1 - WEATHER_STRIP_HEIGHT)}
+          width={config.cellWidth}
+          height={config.cellHeight * WEATHER_STRIP_HEIGHT}
+          className="weather-strip"
+        />
+      )}
+      {segments.length > 0 && (
+        <rect width={config.cellWidth} height={config.cellHeight} fill="none" className="day-cell-bg" />
+      )}
       <text 
         x={config.dateLabelX} 
         y={config.dateLabelY} 
@@ -100,22 +159,29 @@ const DayCell = ({ config, date, moods }) => {
       >
         {dayOfMonth}
       </text>
-      {primaryMood && (
+      {primaryMood && segments.length === 0 && (
         <text 
           x={config.cellWidth / 2} 
           y={config.cellHeight * 0.65} 
           className="mood-icon" 
-          fill={getMoodColor(primaryMood)}
+          fill={primaryMood.color}
           style={{ fontSize: config.moodIconFontSize }}
         >
-          {getMoodEmoji(primaryMood)}
+          {primaryMood.emoji}
         </text>
       )}
+      {annotations.length > 0 && (
+        <g className="annotation-marker">
+          <path d={`M${config.cellWidth - config.dateLabelY},0 h${config.dateLabelY} v${config.dateLabelY} Z`}>
+            <title>{annotations.map(annotation => annotation.text).join('\n')}</title>
+          </path>
+        </g>
+      )}
     </g>
   );
 };
 
-const Calendar = ({ isExpanded, moodByDate, currentMonth, monthDisplay }) => {
+const Calendar = ({ isExpanded, moodByDate, moodScale, weatherByDay, currentMonth, monthDisplay, annotations }) => {
   const config = getCalendarConfig(isExpanded);
   const year = currentMonth.getFullYear();
   const month = currentMonth.getMonth();
@@ -132,7 +198,18 @@ const Calendar = ({ isExpanded, moodByDate, currentMonth, monthDisplay }) => {
           {[...Array(daysInMonth)].map((_, i) => {
             const dayOfMonth = i + 1;
             const date = new Date(year, month, dayOfMonth);
-            return <DayCell key={i} config={config} date={date} moods={moodByDate[dayOfMonth] || []} />;
+            const dayAnnotations = getAnnotationsInRange(annotations, 'mood', date, date);
+            return (
+              <DayCell
+                key={i}
+                config={config}
+                date={date}
+                entries={moodByDate[dayOfMonth] || []}
+                moodScale={moodScale}
+                badWeather={Boolean(weatherByDay) && isBadWeatherDay(weatherByDay, date)}
+                annotations={dayAnnotations}
+              />
+            );
           })}
         </g>
       </svg>
@@ -140,9 +217,49 @@ const Calendar = ({ isExpanded, moodByDate, currentMonth, monthDisplay }) => {
   );
 };
 
+// Weekly average valence with its least-squares trend line
+const ValenceTrend = ({ trend, moodScale }) => {
+  const { width, height, padding } = TREND_CHART;
+  const valences = moodScale.moods.map(mood => mood.valence);
+  const minValence = Math.min(...valences);
+  const maxValence = Math.max(...valences);
+  const lastIndex = Math.max(...trend.weeks.map(week => week.index), 1);
+
+  const xScale = (index) => padding + (index / lastIndex) * (width - 2 * padding);
+  const yScale = (valence) => height - padding
+    - ((valence - minValence) / ((maxValence - minValence) || 1)) * (height - 2 * padding);
+  const trendAt = (index) => trend.intercept + trend.slopePerWeek * index;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="mood-valence-trend" role="img" aria-label="Weekly mood valence trend">
+      {minValence < 0 && maxValence > 0 && (
+        <line x1={padding} x2={width - padding} y1={yScale(0)} y2={yScale(0)} className="valence-zero-line" />
+      )}
+      <polyline
+        points={trend.weeks.map(week => `${xScale(week.index)},${yScale(week.valence)}`).join(' ')}
+        className="valence-line"
+      />
+      {trend.weeks.map(week => (
+        <circle key={week.index} cx={xScale(week.index)} cy={yScale(week.valence)} r="2.5" className="valence-point">
+          <title>{`Week of ${week.start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}: ${formatValence(week.valence)}`}</title>
+        </circle>
+      ))}
+      {trend.weeks.length > 1 && (
+        <line
+          x1={xScale(trend.weeks[0].index)}
+          y1={yScale(trendAt(trend.weeks[0].index))}
+          x2={xScale(lastIndex)}
+          y2={yScale(trendAt(lastIndex))}
+          className="valence-trend-line"
+        />
+      )}
+    </svg>
+  );
+};
+
 // --- Main Component ---
-const MoodCalendar = ({ patientId, isExpanded = false, onExpand, viewMode = 'patient', navigation }) => {
-  const { moodData, isLoading: loading, error } = usePatientData(patientId, 'mood');
+const MoodCalendar = ({ patientId, isExpanded = false, onExpand, viewMode = 'patient', navigation, moodScale = DEFAULT_MOOD_SCALE }) => {
+  const { data: moodData, loading, error } = usePatientMetric('mood');
   
   // Use navigation from parent or fallback to internal navigation
   const useInternalNavigation = !navigation;
@@ -156,125 +273,70 @@ const MoodCalendar = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
     .reduce((acc, item) => {
       const dateKey = item.date.getDate();
       if (!acc[dateKey]) acc[dateKey] = [];
-      acc[dateKey].push(item.mood);
+      acc[dateKey].push(item);
       return acc;
     }, {});
 
   const monthDisplay = nav.getCurrentMonthYear();
 
+  const monthStart = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
+  const monthEnd = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0);
+  const visibleAnnotations = useChartAnnotations(patientId, 'mood', viewMode, monthStart, monthEnd);
+
   // Get 3-month data
   const { start: startOfThreeMonths, end: endOfThreeMonths } = nav.getThreeMonthRange();
-  const threeMonthData = moodData.filter(d => d.date >= startOfThreeMonths && d.date <= endOfThreeMonths);
+  const threeMonthData = useMemo(
+    () => moodData.filter(d => d.date >= startOfThreeMonths && d.date <= endOfThreeMonths),
+    [moodData, startOfThreeMonths, endOfThreeMonths]
+  );
 
   // Calculate summary statistics for physician view
-  const monthSummary = useMemo(() => {
-    const currentMonthData = moodData.filter(d => 
-      d.date.getFullYear() === currentMonth.getFullYear() && 
+  const monthSummary = useMemo(() => summarizeMoods(
+    moodData.filter(d =>
+      d.date.getFullYear() === currentMonth.getFullYear() &&
       d.date.getMonth() === currentMonth.getMonth()
-    );
-
-    if (currentMonthData.length === 0) return null;
-
-    // Count mood occurrences
-    const moodCounts = {};
-    Object.keys(MOODS).forEach(mood => {
-      moodCounts[mood] = 0;
-    });
-
-    currentMonthData.forEach(entry => {
-      const normalizedMood = normalizeMood(entry.mood);
-      if (normalizedMood && moodCounts[normalizedMood] !== undefined) {
-        moodCounts[normalizedMood]++;
-      }
-    });
-
-    // Find most common mood
-    const mostCommonMood = Object.entries(moodCounts)
-      .sort(([,a], [,b]) => b - a)[0];
-
-    // Calculate mood distribution percentages
-    const totalEntries = currentMonthData.length;
-    const moodPercentages = {};
-    Object.entries(moodCounts).forEach(([mood, count]) => {
-      moodPercentages[mood] = totalEntries > 0 ? ((count / totalEntries) * 100).toFixed(0) : 0;
-    });
-
-    // Days in current month
-    const daysInMonth = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0).getDate();
-    const daysWithMood = new Set(currentMonthData.map(d => d.date.getDate())).size;
-
-    // Calculate mood score (happy=3, sad=1, angry=1)
-    const moodScore = (moodCounts.happy * 3 + moodCounts.sad * 1 + moodCounts.angry * 1) / totalEntries;
-    const moodTrend = moodScore >= 2.5 ? 'Positive' : moodScore >= 1.5 ? 'Mixed' : 'Needs Attention';
-
-    return {
-      totalEntries,
-      daysWithMood,
-      daysInMonth,
-      mostCommonMood: mostCommonMood[0],
-      mostCommonMoodCount: mostCommonMood[1],
-      moodCounts,
-      moodPercentages,
-      moodTrend
-    };
-  }, [moodData, currentMonth]);
-
-  // Calculate 3-month summary statistics for physician view
-  const threeMonthSummary = useMemo(() => {
-    if (threeMonthData.length === 0) return null;
-
-    // Count mood occurrences
-    const moodCounts = {};
-    Object.keys(MOODS).forEach(mood => {
-      moodCounts[mood] = 0;
-    });
-
-    threeMonthData.forEach(entry => {
-      const normalizedMood = normalizeMood(entry.mood);
-      if (normalizedMood && moodCounts[normalizedMood] !== undefined) {
-        moodCounts[normalizedMood]++;
-      }
-    });
-
-    // Find most common mood
-    const mostCommonMood = Object.entries(moodCounts)
-      .sort(([,a], [,b]) => b - a)[0];
-
-    // Calculate mood distribution percentages
-    const totalEntries = threeMonthData.length;
-    const moodPercentages = {};
-    Object.entries(moodCounts).forEach(([mood, count]) => {
-      moodPercentages[mood] = totalEntries > 0 ? ((count / totalEntries) * 100).toFixed(0) : 0;
-    });
-
-    // Calculate actual days in the 3-month period
-    const { start: startOfThreeMonths, end: endOfThreeMonths } = nav.getThreeMonthRange();
-    const daysInThreeMonths = Math.ceil((endOfThreeMonths - startOfThreeMonths) / (1000 * 60 * 60 * 24)) + 1;
-    const daysWithMood = new Set(threeMonthData.map(d => d.date.toDateString())).size;
-
-    // Calculate mood score (happy=3, sad=1, angry=1)
-    const moodScore = (moodCounts.happy * 3 + moodCounts.sad * 1 + moodCounts.angry * 1) / totalEntries;
-    const moodTrend = moodScore >= 2.5 ? 'Positive' : moodScore >= 1.5 ? 'Mixed' : 'Needs Attention';
-
-    return {
-      totalEntries,
-      daysWithMood,
-      daysInThreeMonths,
-      mostCommonMood: mostCommonMood[0],
-      mostCommonMoodCount: mostCommonMood[1],
-      moodCounts,
-      moodPercentages,
-      moodTrend
-    };
-  }, [threeMonthData]);
+    ),
+    moodScale
+  ), [moodData, currentMonth, moodScale]);
+
+  // Calculate 3-month summary statistics and the valence trend for physician view
+  const threeMonthSummary = useMemo(() => summarizeMoods(threeMonthData, moodScale), [threeMonthData, moodScale]);
+  const valenceTrend = useMemo(
+    () => buildValenceTrend(threeMonthData, startOfThreeMonths, endOfThreeMonths, moodScale),
+    [threeMonthData, startOfThreeMonths, endOfThreeMonths, moodScale]
+  );
+
+  // Bad weather strip and the good vs bad weather comparison
+  const { data: weatherData } = usePatientMetric('weather');
+  const [showWeather, setShowWeather] = useState(false);
+  const weatherByDay = useMemo(() => groupWeatherByDay(weatherData), [weatherData]);
+  const weatherComparison = useMemo(() => compareByWeather(
+    buildDailySeries({ moodData }, 'mood'),
+    weatherByDay,
+    { start: startOfThreeMonths, end: endOfThreeMonths }
+  ), [moodData, weatherByDay, startOfThreeMonths, endOfThreeMonths]);
+
+  // Unrecognised moods only get a legend entry when the month has some
+  const legendItems = getMoodLegendItems(monthSummary?.counts[moodScale.unrecognised.key] > 0
+    ? moodScale.entries
+    : moodScale.moods);
 
   return (
     <div className="mood-calendar-container">
       <div className={`mood-calendar-wrapper ${isExpanded ? 'expanded' : ''}`}>
-        <Calendar isExpanded={isExpanded} moodByDate={moodByDate} currentMonth={currentMonth} monthDisplay={monthDisplay} />
+        <Calendar
+          isExpanded={isExpanded}
+          moodByDate={moodByDate}
+          moodScale={moodScale}
+          weatherByDay={showWeather ? weatherByDay : null}
+          currentMonth={currentMonth}
+          monthDisplay={monthDisplay}
+          annotations={visibleAnnotations}
+        />
+        {weatherByDay.size > 0 && <WeatherToggle checked={showWeather} onChange={setShowWeather} />}
       </div>
       <div className="mood-calendar-legend-wrapper">
-          <Legend title="Mood" items={moodLegendItems} />
+          <Legend title="Mood" items={legendItems} />
       </div>
 
       {/* Show summary for physician view only */}
@@ -286,20 +348,20 @@ const MoodCalendar = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
               <div className="stat-item">
                 <span className="stat-label">Mood Entries:</span>
                 <span className="stat-value">
-                  {monthSummary.totalEntries} entries
+                  {monthSummary.total} entries
                 </span>
               </div>
 
               <div className="stat-item">
                 <span className="stat-label">Most Common Mood:</span>
                 <span className="stat-value">
-                  {MOODS[monthSummary.mostCommonMood]} {monthSummary.mostCommonMood.charAt(0).toUpperCase() + monthSummary.mostCommonMood.slice(1)} ({monthSummary.mostCommonMoodCount}x)
+                  {monthSummary.mostCommon.mood.emoji} {monthSummary.mostCommon.mood.label} ({monthSummary.mostCommon.count}x)
                 </span>
               </div>
               <div className="stat-item">
                 <span className="stat-label">Mood Distribution:</span>
                 <span className="stat-value">
-                  😊{monthSummary.moodPercentages.happy}% 😢{monthSummary.moodPercentages.sad}% 😠{monthSummary.moodPercentages.angry}%
+                  {formatDistribution(monthSummary, moodScale)}
                 </span>
               </div>
 
@@ -313,26 +375,53 @@ const MoodCalendar = ({ patientId, isExpanded = false, onExpand, viewMode = 'pat
                 <div className="stat-item">
                   <span className="stat-label">Mood Entries:</span>
                   <span className="stat-value">
-                    {threeMonthSummary.totalEntries} entries
+                    {threeMonthSummary.total} entries
                   </span>
                 </div>
 
                 <div className="stat-item">
                   <span className="stat-label">Most Common Mood:</span>
                   <span className="stat-value">
-                    {MOODS[threeMonthSummary.mostCommonMood]} {threeMonthSummary.mostCommonMood.charAt(0).toUpperCase() + threeMonthSummary.mostCommonMood.slice(1)} ({threeMonthSummary.mostCommonMoodCount}x)
+                    {threeMonthSummary.mostCommon.mood.emoji} {threeMonthSummary.mostCommon.mood.label} ({threeMonthSummary.mostCommon.count}x)
                   </span>
                 </div>
                 <div className="stat-item">
                   <span className="stat-label">Mood Distribution:</span>
                   <span className="stat-value">
-                    😊{threeMonthSummary.moodPercentages.happy}% 😢{threeMonthSummary.moodPercentages.sad}% 😠{threeMonthSummary.moodPercentages.angry}%
+                    {formatDistribution(threeMonthSummary, moodScale)}
                   </span>
                 </div>
 
               </div>
             </div>
           )}
+
+          {valenceTrend && (
+            <div className="chart-summary">
+              <h4>Valence Trend (3 Months)</h4>
+              <ValenceTrend trend={valenceTrend} moodScale={moodScale} />
+              <div className="summary-stats">
+                <div className="stat-item">
+                  <span className="stat-label">Average Valence:</span>
+                  <span className="stat-value">
+                    {formatValence(threeMonthSummary.averageValence)} ({threeMonthSummary.trend})
+                  </span>
+                </div>
+                <div className="stat-item">
+                  <span className="stat-label">Weekly Change:</span>
+                  <span className="stat-value">
+                    {formatValence(valenceTrend.slopePerWeek)} per week ({describeSlope(valenceTrend.slopePerWeek)})
+                  </span>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <WeatherComparison
+            comparison={weatherComparison}
+            label="Average Valence"
+            formatValue={(valence) => valence.toFixed(2)}
+          />
         </div>
       )}
     </div>
@@ -8,20 +8,28 @@
  - Interactive body diagram for pain location selection
  - Pain level input and editing capabilities
  - Navigation controls for time periods
+ - Physician date annotations as markers on the time axis
+ - Optional highlight of bad weather days; physicians also get pain on good vs bad
+   weather days
  
  Critical for pain management and treatment monitoring.
  */
 
 import React, { useState, useMemo, useRef } from 'react';
-import usePatientData from '../../hooks/usePatientData';
+import { usePatientMetric } from '../../context/PatientDataContext';
 import useChartNavigation from '../../hooks/useChartNavigation';
+import AnnotationMarkers, { useChartAnnotations } from '../chart-utils/AnnotationMarkers';
+import WeatherBand, { WeatherToggle } from '../chart-utils/WeatherBand';
+import WeatherComparison from '../chart-utils/WeatherComparison';
+import { buildDailySeries } from '../../analytics/dailySeries';
+import { groupWeatherByDay, compareByWeather, isBadWeatherDay } from '../../analytics/weather';
 
 import Legend from '../Legend';
 
 import BodySVG from './BodySvg';
 
 const PainChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patient', navigation }) => {
-  const { painData, isLoading: loading, error } = usePatientData(patientId, 'pain');
+  const { data: painData, loading, error } = usePatientMetric('pain');
   
   // Use navigation from parent or fallback to internal navigation
   const useInternalNavigation = !navigation;
@@ -56,10 +64,23 @@ const PainChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patien
 
   const weekPainData = painData.filter(d => d.date >= startOfWeek && d.date <= endOfWeek);
 
+  const weekAnnotations = useChartAnnotations(patientId, 'pain', viewMode, startOfWeek, endOfWeek);
+
   // Get 3-month data
   const { start: startOfThreeMonths, end: endOfThreeMonths } = nav.getThreeMonthRange();
   const threeMonthPainData = painData.filter(d => d.date >= startOfThreeMonths && d.date <= endOfThreeMonths);
 
+  // Bad weather highlight and the good vs bad weather comparison (days with a pain report)
+  const { data: weatherData } = usePatientMetric('weather');
+  const [showWeather, setShowWeather] = useState(false);
+  const weatherByDay = useMemo(() => groupWeatherByDay(weatherData), [weatherData]);
+  const weatherComparison = useMemo(() => compareByWeather(
+    buildDailySeries({ painData }, 'painLevel'),
+    weatherByDay,
+    { start: startOfThreeMonths, end: endOfThreeMonths }
+  ), [painData, weatherByDay, startOfThreeMonths, endOfThreeMonths]);
+  const weatherToggle = weatherByDay.size > 0 && <WeatherToggle checked={showWeather} onChange={setShowWeather} />;
+
   // Process data for chart
   const { chartData, mostCommonLocation, averagePainLevel } = useMemo(() => {
     if (!weekPainData.length) return { chartData: [], mostCommonLocation: null, averagePainLevel: 0 };
@@ -180,7 +201,7 @@ const PainChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patien
   };
 
   // Line Chart Component for Pain Ratings
-  const PainLineChart = ({ data, isExpanded }) => {
+  const PainLineChart = ({ data, isExpanded, annotations, weatherByDay }) => {
     const config = {
       width: isExpanded ? 600 : 400, // Match legend width (600px) when expanded
       height: isExpanded ? 200 : 150,
@@ -206,6 +227,16 @@ const PainChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patien
     return (
       <div className="pain-line-chart">
         <svg width="100%" height="100%" viewBox={`0 0 ${config.width} ${config.height}`}>
+          {weatherByDay && data.length > 0 && (
+            <WeatherBand
+              weatherByDay={weatherByDay}
+              startOfWeek={data[0].date}
+              config={config}
+              getDayX={(dayIndex) => config.padding.left + dayIndex * dayWidth}
+              dayWidth={dayWidth}
+            />
+          )}
+
           {/* Grid lines */}
           {[0, 2, 4, 6, 8, 10].map(level => {
             const y = config.padding.top + chartHeight - (level / config.yAxisRange) * chartHeight;
@@ -250,6 +281,12 @@ const PainChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patien
             );
           })}
 
+          <AnnotationMarkers
+            annotations={annotations}
+            config={config}
+            getDayX={(dayIndex) => config.padding.left + dayIndex * dayWidth}
+          />
+
           {/* Line */}
           <path 
             d={linePath} 
@@ -315,13 +352,17 @@ const PainChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patien
         <div className="pain-chart-header">
           <h3 className="chart-title">Pain</h3>
           <h4 className="chart-subtitle">{nav.getCurrentMonthYear()}</h4>
+          {weatherToggle}
         </div>
         
         <div className="pain-content-wrapper">
           <div className="pain-list">
             {weekPainData.length > 0 ? (
               weekPainData.map((item, index) => (
-                <div key={index} className="pain-list-item">
+                <div
+                  key={index}
+                  className={`pain-list-item ${showWeather && isBadWeatherDay(weatherByDay, item.date) ? 'weather-bad-day' : ''}`}
+                >
                   <div className="pain-item-info">
                     <div className="pain-item-date">
                       {new Date(item.date).toLocaleDateString('en-US', { 
@@ -363,7 +404,13 @@ const PainChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patien
         <div className="pain-line-chart-container">
           <h3 className="chart-title">Pain</h3>
           <h4 className="chart-subtitle">{nav.getCurrentMonthYear()}</h4>
-          <PainLineChart data={chartData} isExpanded={isExpanded} />
+          {weatherToggle}
+          <PainLineChart
+            data={chartData}
+            isExpanded={isExpanded}
+            annotations={weekAnnotations}
+            weatherByDay={showWeather ? weatherByDay : null}
+          />
         </div>
 
         <div className="pain-location-info">
@@ -416,6 +463,12 @@ const PainChart = ({ patientId, isExpanded = false, onExpand, viewMode = 'patien
               </div>
             </div>
           )}
+
+          <WeatherComparison
+            comparison={weatherComparison}
+            label="Average Pain"
+            formatValue={(level) => level.toFixed(1)}
+          />
         </div>
       </div>
   );
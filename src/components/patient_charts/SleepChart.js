@@ -35,6 +35,9 @@
  - Sleep consistency analysis
  - Summary statistics for physician view
  - Trend analysis over time periods
+ - Physician date annotations as markers under their nights
+ - Optional highlight of bad weather days; physicians also get sleep on good vs bad
+   weather days
  
  Component Structure:
  - Chart Container: Main SVG container with sizing
@@ -49,14 +52,19 @@
 
 import React, { useState, useMemo, useRef } from 'react';
 
-import usePatientData from '../../hooks/usePatientData';
+import { usePatientMetric } from '../../context/PatientDataContext';
 import useChartNavigation from '../../hooks/useChartNavigation';
 import Legend from '../Legend';
+import { getAnnotationsInRange, useChartAnnotations } from '../chart-utils/AnnotationMarkers';
+import { WeatherToggle } from '../chart-utils/WeatherBand';
+import WeatherComparison from '../chart-utils/WeatherComparison';
+import { buildDailySeries } from '../../analytics/dailySeries';
+import { groupWeatherByDay, compareByWeather, isBadWeatherDay } from '../../analytics/weather';
 import './SleepChart.css';
 
 
 const SleepChart = ({ patientId, isExpanded, onExpand, viewMode = 'patient', navigation }) => {
-  const { sleepData, loading, error } = usePatientData(patientId, 'sleep');
+  const { data: sleepData, loading, error } = usePatientMetric('sleep');
   
   // Use navigation from parent or fallback to internal navigation
   const useInternalNavigation = !navigation;
@@ -66,10 +74,24 @@ const SleepChart = ({ patientId, isExpanded, onExpand, viewMode = 'patient', nav
   const { start: startOfWeek, end: endOfWeek } = nav.getDateRange();
   const weekData = sleepData.filter(d => d.date >= startOfWeek && d.date <= endOfWeek);
 
+  const weekAnnotations = useChartAnnotations(patientId, 'sleep', viewMode, startOfWeek, endOfWeek);
+  const getDayAnnotations = (date) => getAnnotationsInRange(weekAnnotations, 'sleep', date, date);
+
   // Get 3-month data
   const { start: startOfThreeMonths, end: endOfThreeMonths } = nav.getThreeMonthRange();
   const threeMonthData = sleepData.filter(d => d.date >= startOfThreeMonths && d.date <= endOfThreeMonths);
 
+  // Bad weather highlight and the good vs bad weather comparison
+  const { data: weatherData } = usePatientMetric('weather');
+  const [showWeather, setShowWeather] = useState(false);
+  const weatherByDay = useMemo(() => groupWeatherByDay(weatherData), [weatherData]);
+  const weatherComparison = useMemo(() => compareByWeather(
+    buildDailySeries({ sleepData }, 'sleepHours'),
+    weatherByDay,
+    { start: startOfThreeMonths, end: endOfThreeMonths }
+  ), [sleepData, weatherByDay, startOfThreeMonths, endOfThreeMonths]);
+  const getWeatherClass = (day) => (showWeather && isBadWeatherDay(weatherByDay, new Date(day.date)) ? ' weather-bad-day' : '');
+
   const formatDateRange = (data) => {
     if (!data || data.length === 0) return '';
     const startDate = new Date(data[0].date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
@@ -184,11 +206,12 @@ const SleepChart = ({ patientId, isExpanded, onExpand, viewMode = 'patient', nav
       <div className="sleep-chart-content">
         <h3 className="chart-title">Sleep Quality & Duration</h3>
         <h4 className="chart-subtitle">{nav.getCurrentMonthYear()}</h4>
+        {weatherByDay.size > 0 && <WeatherToggle checked={showWeather} onChange={setShowWeather} />}
         <div className="sleep-chart">
           {/* Sleep Quality Indicators Row */}
           <div className="sleep-quality-row">
             {weekData.map((day, index) => (
-              <div key={`quality-${index}`} className="sleep-quality-item">
+              <div key={`quality-${index}`} className={`sleep-quality-item${getWeatherClass(day)}`}>
                 <div 
                   className="sleep-quality-indicator"
                   style={{ backgroundColor: getQualityColor(day.quality) }}
@@ -200,7 +223,7 @@ const SleepChart = ({ patientId, isExpanded, onExpand, viewMode = 'patient', nav
           {/* Bed Icons Row */}
           <div className="bed-icons-row">
             {weekData.map((day, index) => (
-              <div key={`bed-${index}`} className="bed-item">
+              <div key={`bed-${index}`} className={`bed-item${getWeatherClass(day)}`}>
                 <div className="bed-icon-wrapper">
                   <svg viewBox="0 0 486.5 225.1" className="bed-icon">
                     <path d="M471.9,68.9c-8,0-14.5,6.5-14.5,14.5v68.6H26.1l-.6-139.3c0-7-5.8-12.7-12.8-12.7h0C5.7,0,0,5.7,0,12.8v199.6c0,7,5.7,12.8,12.7,12.8s12.8-5.7,12.8-12.8v-37h431.9v35.2c0,8,6.5,14.5,14.5,14.5s14.5-6.5,14.5-14.5v-127.1c0-8-6.5-14.5-14.5-14.5ZM483.7,210.6c0,6.5-5.3,11.8-11.8,11.8s-11.8-5.3-11.8-11.8v-38H22.7v39.7c0,5.5-4.5,10-10,10s-10-4.5-10-10V12.8C2.8,7.3,7.3,2.8,12.7,2.8h0c5.5,0,9.9,4.5,10,9.9l.6,142.1h436.8v-71.4c0-6.5,5.3-11.7,11.8-11.7s11.8,5.3,11.8,11.7v127.1Z" fill="#D2B48C"/>
@@ -215,13 +238,22 @@ const SleepChart = ({ patientId, isExpanded, onExpand, viewMode = 'patient', nav
           
           {/* Sleep Information Row */}
           <div className="sleep-info-row">
-            {weekData.map((day, index) => (
-              <div key={`info-${index}`} className="sleep-info-item">
-                <div className="sleep-hours">{day.hours.toFixed(1)}h</div>
-                <div className="day-label">{['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][new Date(day.date).getDay()]}</div>
-                <div className="date-label">{new Date(day.date).getDate()}</div>
-              </div>
-            ))}
+            {weekData.map((day, index) => {
+              const dayAnnotations = getDayAnnotations(new Date(day.date));
+              return (
+                <div key={`info-${index}`} className={`sleep-info-item${getWeatherClass(day)}`}>
+                  <div className="sleep-hours">{day.hours.toFixed(1)}h</div>
+                  <div className="day-label">{['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][new Date(day.date).getDay()]}</div>
+                  <div className="date-label">{new Date(day.date).getDate()}</div>
+                  {dayAnnotations.length > 0 && (
+                    <span
+                      className="annotation-marker-dot"
+                      title={dayAnnotations.map(annotation => annotation.text).join('\n')}
+                    />
+                  )}
+                </div>
+              );
+            })}
           </div>
         </div>
         
@@ -295,6 +327,12 @@ const SleepChart = ({ patientId, isExpanded, onExpand, viewMode = 'patient', nav
                 </div>
               </div>
             )}
+
+            <WeatherComparison
+              comparison={weatherComparison}
+              label="Average Sleep"
+              formatValue={(hours) => `${hours.toFixed(1)} h`}
+            />
           </div>
         )}
       </div>
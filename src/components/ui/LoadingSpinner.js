@@ -5,6 +5,7 @@
  - Visual feedback during data loading operations
  - Multiple size variants (small, medium, large)
  - Customizable loading messages
+ - Optional progress bar for long-running work (e.g. parsing large patient files)
  - Consistent loading state presentation
  - PropTypes validation for component props
  
@@ -21,24 +22,42 @@ import './LoadingSpinner.css';
  @param {Object} props
  @param {string} props.message - Loading message to display
  @param {string} props.size - Size variant: 'small', 'medium', 'large'
+ @param {number} props.progress - Optional completed fraction (0-1); shows a progress bar when set
  */
 function LoadingSpinner({ 
   message = 'Loading...', 
-  size = 'medium' 
+  size = 'medium',
+  progress = null
 }) {
+  const percent = typeof progress === 'number'
+    ? Math.round(Math.min(1, Math.max(0, progress)) * 100)
+    : null;
+
   return (
     <div className={`loading-container ${size}`}>
       <div className="loading-spinner">
         <div className="spinner-circle"></div>
       </div>
       <p className="loading-message">{message}</p>
+      {percent !== null && (
+        <div
+          className="loading-progress"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={percent}
+        >
+          <div className="loading-progress-bar" style={{ width: `${percent}%` }}></div>
+        </div>
+      )}
     </div>
   );
 }
 
 LoadingSpinner.propTypes = {
   message: PropTypes.string,
-  size: PropTypes.oneOf(['small', 'medium', 'large'])
+  size: PropTypes.oneOf(['small', 'medium', 'large']),
+  progress: PropTypes.number
 };
 
 export default LoadingSpinner;
@@ -2,14 +2,14 @@
  constants/index.js - Application Configuration and Constants
  
  This file contains all application-wide constants and configurations including
- patient ID generation and management, chart color schemes and visual configurations,
+ patient data source configuration, chart color schemes and visual configurations,
  visualization component mappings, dashboard layout configurations, and application-wide
  settings and defaults.
  
  Architecture:
  - Centralized configuration management
  - Consistent color scheme across all visualizations
- - Scalable patient ID generation system
+ - Environment-driven data source selection
  - Flexible dashboard configuration system
  
  Color Scheme:
@@ -18,10 +18,10 @@
  - Semantic color associations (green for good, red for danger, etc.)
  - Accessibility-compliant contrast ratios
  
- Patient Management:
- - Supports 100 synthetic patients
- - Consistent ID formatting (Patient_001 to Patient_100)
- - Scalable for additional patient data
+ Data Sources:
+ - REACT_APP_DATA_SOURCE selects 'static' (default), 'rest' or 'memory'
+ - Static source reads the bundled synthetic_patients folder and its index.json
+ - REST source reads REACT_APP_DATA_API_URL
  
  Visualization Configuration:
  - Maps visualization types to display names and colors
@@ -29,13 +29,19 @@
  - Configurable chart limits and layouts
  */
 
-// Application constants
-export const PATIENT_COUNT = 100;
-
-// Generate patient IDs array
-export const PATIENTS = Array.from({ length: PATIENT_COUNT }, (_, i) => 
-  `Patient_${(i + 1).toString().padStart(3, '0')}`
-);
+// Patient data source configuration
+export const DATA_SOURCE_CONFIG = {
+  type: process.env.REACT_APP_DATA_SOURCE || 'static',
+  static: {
+    baseUrl: `${process.env.PUBLIC_URL}/synthetic_patients`
+  },
+  rest: {
+    baseUrl: process.env.REACT_APP_DATA_API_URL
+  },
+  memory: {
+    patients: {}
+  }
+};
 
 // Chart color scheme - Updated for colorblind accessibility
 // Note: Title colors are now hardcoded to black, these colors are used for chart elements
@@ -49,15 +55,85 @@ export const CHART_COLORS = {
   sleep: '#a6cee3' // Light blue - represents restful sleep
 };
 
+// Glucose target ranges in mmol/L by measurement type (see Data_details)
+export const GLUCOSE_MEAL_TARGETS = {
+  preMeal: { low: 4.0, high: 7.0 },
+  postMeal: { low: 5.0, high: 10.0 },
+  random: { low: 4.0, high: 10.0 }
+};
+
+// Consensus glucose range thresholds in mmol/L (International Consensus on Time in Range)
+// Below veryLow: level 2 hypoglycemia; above veryHigh: level 2 hyperglycemia
+export const GLUCOSE_RANGE_THRESHOLDS = {
+  veryLow: 3.0,
+  low: 3.9,
+  high: 10.0,
+  veryHigh: 13.9
+};
+
+// Blood pressure thresholds in mmHg
+// stages: ACC/AHA 2017 lower bounds (a reading takes the highest stage either value reaches);
+// the crisis bound also raises the hypertensive crisis alert
+// load: readings at or above these count towards BP load (stage 1 hypertension)
+// morning/evening: [start, end) hours of BP_Time_N used for morning vs evening averages
+export const BLOOD_PRESSURE_THRESHOLDS = {
+  stages: {
+    elevated: { systolic: 120, diastolic: null },
+    stage1: { systolic: 130, diastolic: 80 },
+    stage2: { systolic: 140, diastolic: 90 },
+    crisis: { systolic: 180, diastolic: 120 }
+  },
+  load: { systolic: 130, diastolic: 80 },
+  morning: [4, 12],
+  evening: [17, 24]
+};
+
+// Clinical alert rule thresholds (see analytics/clinicalAlerts.js)
+// lookbackDays: alerts only consider the days before each patient's latest record
+export const ALERT_THRESHOLDS = {
+  lookbackDays: 30,
+  bloodPressureCrisis: BLOOD_PRESSURE_THRESHOLDS.stages.crisis,
+  lowGlucose: { value: GLUCOSE_RANGE_THRESHOLDS.low, count: 2, windowDays: 7 },
+  severePain: { level: 8, days: 3 },
+  shortSleep: { hours: 5, nights: 4 },
+  inactivity: { days: 14 }
+};
+
+// Mood scale of the mood calendar and mood trends (see analytics/moodScale.js)
+// key: Mood value in the CSV (case-insensitive); colors are CSS variables from ChartStyles.css
+// valence: ordinal score, higher is better (averaged for trends and correlations)
+// Values missing from the scale are counted and shown as UNRECOGNISED_MOOD instead of being dropped
+export const MOOD_SCALE = [
+  { key: 'happy', label: 'Happy', emoji: '😊', color: 'var(--chart-color-mood-happy)', background: 'var(--chart-color-mood-happy-bg)', valence: 1 },
+  { key: 'sad', label: 'Sad', emoji: '😢', color: 'var(--chart-color-mood-sad)', background: 'var(--chart-color-mood-sad-bg)', valence: -1 },
+  { key: 'angry', label: 'Angry', emoji: '😠', color: 'var(--chart-color-mood-angry)', background: 'var(--chart-color-mood-angry-bg)', valence: -1 },
+  { key: 'contempt', label: 'Contempt', emoji: '😒', color: 'var(--chart-color-mood-contempt)', background: 'var(--chart-color-mood-contempt-bg)', valence: -1 }
+];
+
+export const UNRECOGNISED_MOOD = {
+  key: 'unrecognised',
+  label: 'Unrecognised',
+  emoji: '❔',
+  color: 'var(--chart-color-mood-unrecognised)',
+  background: 'var(--chart-color-mood-unrecognised-bg)',
+  valence: null
+};
+
 // Visualization configurations - Updated with consistent naming and no emojis
+// viewModes limits a visualization to some dashboards (all dashboards when omitted)
+// annotatable: false hides physician date annotations for charts without a date axis
 export const VISUALIZATION_CONFIG = {
   glucose: { name: 'Blood Glucose' },
+  agp: { name: 'Glucose Profile (AGP)', viewModes: ['physician'], annotatable: false },
   bloodPressure: { name: 'Blood Pressure' },
+  medications: { name: 'Medication Timeline', viewModes: ['physician'] },
   exercise: { name: 'Exercise' },
   mood: { name: 'Mood' },
   pain: { name: 'Pain' },
   mealContents: { name: 'Meal Contents' },
-  sleep: { name: 'Sleep' }
+  sleep: { name: 'Sleep' },
+  continence: { name: 'Continence' },
+  correlation: { name: 'Correlation Explorer', viewModes: ['physician'], annotatable: false }
 };
 
 // Shared dashboard configuration - now supports unlimited charts
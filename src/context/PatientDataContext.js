@@ -0,0 +1,153 @@
+/*
+ PatientDataContext.js - Shared Patient Data Context
+
+ Loads the selected patient once and shares it with the whole dashboard:
+ - PatientDataProvider calls usePatientData a single time per patient
+ - Dashboards read the full result with usePatientDataContext
+ - Charts read one metric with usePatientMetric, so loading and error states
+   are identical across every chart in the grid
+
+ Metric selectors map visualization types to their slice of the processed
+ patient data (e.g. 'mealContents' reads mealData).
+
+ usePatientAlerts evaluates the clinical alert rules (analytics/clinicalAlerts.js)
+ against the shared data, once per data change.
+
+ usePatientDateRange returns the first and last date with data, which bound the chart
+ navigation (useChartNavigation.js).
+ */
+
+import React, { createContext, useContext, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import usePatientData from '../hooks/usePatientData';
+import { evaluateAlerts, groupAlertsByChart } from '../analytics/clinicalAlerts';
+
+const PatientDataContext = createContext(null);
+
+const EMPTY_METRIC = [];
+
+// Selectors for each metric, keyed by visualization type
+export const METRIC_SELECTORS = {
+  glucose: data => data?.glucoseData,
+  agp: data => data?.glucoseData,
+  bloodPressure: data => data?.bloodPressureData,
+  exercise: data => data?.exerciseData,
+  mood: data => data?.moodData,
+  pain: data => data?.painData,
+  mealContents: data => data?.mealData,
+  sleep: data => data?.sleepData,
+  medications: data => data?.medicationData,
+  continence: data => data?.continenceData,
+  // Not a chart of its own: drawn as a background band on the mood, pain, sleep and exercise charts
+  weather: data => data?.weatherData
+};
+
+// Meal rows keep the CSV's Date column; every other record has a parsed date
+const getRecordDate = (record) => record.date || new Date(record.Date);
+
+/*
+ First and last date with data across every metric of a patient
+
+ - @param {Object} data - Processed patient data
+ - @returns {Object|null} { start, end } - Null when the patient has no dated records
+ */
+export const getPatientDateRange = (data) => {
+  let start = null;
+  let end = null;
+
+  new Set(Object.values(METRIC_SELECTORS).map(select => select(data))).forEach(records => {
+    (records || []).forEach(record => {
+      const date = getRecordDate(record);
+      if (Number.isNaN(date.getTime())) return;
+      if (!start || date < start) start = date;
+      if (!end || date > end) end = date;
+    });
+  });
+
+  return start ? { start, end } : null;
+};
+
+/*
+ Provides the selected patient's data to every component below it
+
+ @param {Object} props
+ @param {string} props.patientId - The selected patient identifier
+ @param {React.ReactNode} props.children - Dashboard content
+ */
+export const PatientDataProvider = ({ patientId, children }) => {
+  const patientData = usePatientData(patientId);
+
+  return (
+    <PatientDataContext.Provider value={patientData}>
+      {children}
+    </PatientDataContext.Provider>
+  );
+};
+
+PatientDataProvider.propTypes = {
+  patientId: PropTypes.string,
+  children: PropTypes.node
+};
+
+/*
+ Returns the full usePatientData result of the nearest PatientDataProvider
+
+ - @returns {Object} Patient data, loading/error state and actions
+ - @throws {Error} If used outside a PatientDataProvider
+ */
+export const usePatientDataContext = () => {
+  const context = useContext(PatientDataContext);
+  if (!context) {
+    throw new Error('usePatientDataContext must be used within a PatientDataProvider');
+  }
+  return context;
+};
+
+/*
+ Returns one metric of the shared patient data together with the shared state
+
+ - @param {string} metric - Visualization type (key of METRIC_SELECTORS)
+ - @returns {Object} { data, loading, error, patientInfo }
+ */
+export const usePatientMetric = (metric) => {
+  const { data, loading, error, patientInfo } = usePatientDataContext();
+  const selector = METRIC_SELECTORS[metric];
+
+  if (!selector) {
+    throw new Error(`Unknown patient metric: ${metric}`);
+  }
+
+  return {
+    data: selector(data) || EMPTY_METRIC,
+    loading,
+    error,
+    patientInfo
+  };
+};
+
+/*
+ Returns the clinical alerts of the shared patient data
+
+ - @returns {Object} { alerts, alertsByChart } with alerts sorted by severity
+ */
+export const usePatientAlerts = () => {
+  const { data } = usePatientDataContext();
+
+  return useMemo(() => {
+    const alerts = evaluateAlerts(data);
+    return { alerts, alertsByChart: groupAlertsByChart(alerts) };
+  }, [data]);
+};
+
+/*
+ Returns the date range of the shared patient data; also usable outside a
+ PatientDataProvider, where there is no range
+
+ - @returns {Object|null} { start, end } of getPatientDateRange
+ */
+export const usePatientDateRange = () => {
+  const data = useContext(PatientDataContext)?.data;
+  return useMemo(() => getPatientDateRange(data), [data]);
+};
+
+export default PatientDataContext;
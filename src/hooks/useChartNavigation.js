@@ -5,70 +5,133 @@
  week/month navigation based on chart type, date range calculations and formatting,
  navigation state management, previous/next navigation functions, and display
  formatting for current time periods.
+ The current period is also available as a date key (periodKey) so it can be kept in
+ the URL (see useDashboardRoute.js).
+
+ Navigation follows the loaded patient's data (usePatientDateRange): charts open on the
+ latest period with data, previous/next stop at the first and last period with data, and
+ the 3-month range is limited to the data's dates.
  
  Ensures consistent navigation behavior across all health metric visualizations.
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useMemo } from 'react';
+import { toDateKey } from '../analytics/dailySeries';
+import { usePatientDateRange } from '../context/PatientDataContext';
+
+// Chart types navigated month by month; all others move a week at a time
+const MONTHLY_CHART_TYPES = ['mood', 'continence', 'agp', 'correlation'];
+
+/*
+ Navigation type of a chart
+ 
+ - @param {string} chartType - The type of chart
+ - @returns {string} 'month' or 'week'
+ */
+export const getNavigationType = (chartType) => (MONTHLY_CHART_TYPES.includes(chartType) ? 'month' : 'week');
+
+// Moves a date by a number of navigation steps (months or weeks)
+const shiftDate = (date, navigationType, step) => {
+  const newDate = new Date(date);
+  if (navigationType === 'month') {
+    // Keep the day within the target month (Jul 31 -> Jun 30, not Jul 1)
+    const day = newDate.getDate();
+    newDate.setDate(1);
+    newDate.setMonth(newDate.getMonth() + step);
+    const daysInMonth = new Date(newDate.getFullYear(), newDate.getMonth() + 1, 0).getDate();
+    newDate.setDate(Math.min(day, daysInMonth));
+  } else {
+    newDate.setDate(newDate.getDate() + 7 * step);
+  }
+  return newDate;
+};
+
+// Key of the period containing a date: the week's Sunday for weekly charts, the date itself
+// for monthly charts (their 3-month range ends on it)
+const getPeriodKeyOf = (date, navigationType) => {
+  if (navigationType === 'month') return toDateKey(date);
+
+  const startOfWeek = new Date(date);
+  startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
+  return toDateKey(startOfWeek);
+};
+
+// Month or week (Sunday to Saturday) containing a date
+const getPeriodRange = (date, navigationType) => {
+  if (navigationType === 'month') {
+    const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+    const endOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+    return { start: startOfMonth, end: endOfMonth };
+  }
+
+  const startOfWeek = new Date(date);
+  startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
+  startOfWeek.setHours(0, 0, 0, 0);
+
+  const endOfWeek = new Date(startOfWeek);
+  endOfWeek.setDate(endOfWeek.getDate() + 6);
+  endOfWeek.setHours(23, 59, 59, 999);
+
+  return { start: startOfWeek, end: endOfWeek };
+};
 
 /*
  Universal navigation hook for chart components
  Provides navigation state and functions that can be used by any chart
  
  - @param {string} chartType - The type of chart (glucose, bloodPressure, etc.)
- - @param {Date} initialDate - Initial date for navigation (defaults to May 1, 2025)
+ - @param {Date} initialDate - Initial date for navigation (defaults to the patient's latest
+   date with data, or today without data)
  - @returns {Object} Navigation state and functions
  */
-const useChartNavigation = (chartType, initialDate = new Date(2025, 4, 1)) => {
-  const [currentDate, setCurrentDate] = useState(initialDate);
+const useChartNavigation = (chartType, initialDate = null) => {
+  const dataRange = usePatientDateRange();
+  // Null until the user navigates, so the chart follows the default date when the data loads
+  const [selectedDate, setSelectedDate] = useState(null);
+
+  const latestDate = dataRange?.end || null;
+  const defaultDate = initialDate || latestDate || new Date();
+  const currentDate = selectedDate || defaultDate;
 
   // Determine navigation type based on chart type
-  const navigationType = chartType === 'mood' ? 'month' : 'week';
-  const navigationLabel = chartType === 'mood' ? 'Month' : 'Week';
+  // (the glucose profile and correlations cover a 3-month period, so they move a month at a time)
+  const navigationType = getNavigationType(chartType);
+  const navigationLabel = navigationType === 'month' ? 'Month' : 'Week';
+
+  // Previous/next stay within the periods that contain data
+  const canGoPrevious = !dataRange
+    || getPeriodRange(shiftDate(currentDate, navigationType, -1), navigationType).end >= dataRange.start;
+  const canGoNext = !dataRange
+    || getPeriodRange(shiftDate(currentDate, navigationType, 1), navigationType).start <= dataRange.end;
 
   // Navigation functions
   const goToPrevious = useCallback(() => {
-    setCurrentDate(prev => {
-      const newDate = new Date(prev);
-      if (navigationType === 'month') {
-        newDate.setMonth(newDate.getMonth() - 1);
-      } else {
-        newDate.setDate(newDate.getDate() - 7);
-      }
-      return newDate;
-    });
-  }, [navigationType]);
+    if (canGoPrevious) setSelectedDate(shiftDate(currentDate, navigationType, -1));
+  }, [canGoPrevious, currentDate, navigationType]);
 
   const goToNext = useCallback(() => {
-    setCurrentDate(prev => {
-      const newDate = new Date(prev);
-      if (navigationType === 'month') {
-        newDate.setMonth(newDate.getMonth() + 1);
-      } else {
-        newDate.setDate(newDate.getDate() + 7);
-      }
-      return newDate;
-    });
-  }, [navigationType]);
+    if (canGoNext) setSelectedDate(shiftDate(currentDate, navigationType, 1));
+  }, [canGoNext, currentDate, navigationType]);
+
+  // A null date returns to the default date
+  const goToDate = useCallback((date) => {
+    setSelectedDate(date ? new Date(date) : null);
+  }, []);
+
+  const goToLatest = useCallback(() => {
+    if (latestDate) setSelectedDate(latestDate);
+  }, [latestDate]);
+
+  // Date one or more periods away from the current one (negative steps go back)
+  const getAdjacentDate = useCallback((step) => shiftDate(currentDate, navigationType, step), [currentDate, navigationType]);
+
+  const getPeriodKey = useCallback((date) => getPeriodKeyOf(date, navigationType), [navigationType]);
+
+  const periodKey = getPeriodKeyOf(currentDate, navigationType);
+  const isAtLatest = !latestDate || periodKey === getPeriodKeyOf(latestDate, navigationType);
 
   // Calculate date range based on navigation type
-  const getDateRange = useCallback(() => {
-    if (navigationType === 'month') {
-      const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
-      const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
-      return { start: startOfMonth, end: endOfMonth };
-    } else {
-      const startOfWeek = new Date(currentDate);
-      startOfWeek.setDate(startOfWeek.getDate() - startOfWeek.getDay());
-      startOfWeek.setHours(0, 0, 0, 0);
-      
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(endOfWeek.getDate() + 6);
-      endOfWeek.setHours(23, 59, 59, 999);
-      
-      return { start: startOfWeek, end: endOfWeek };
-    }
-  }, [currentDate, navigationType]);
+  const getDateRange = useCallback(() => getPeriodRange(currentDate, navigationType), [currentDate, navigationType]);
 
   // Get current month/year display
   const getCurrentMonthYear = useCallback(() => {
@@ -83,27 +146,27 @@ const useChartNavigation = (chartType, initialDate = new Date(2025, 4, 1)) => {
     return `${startStr} - ${endStr}`;
   }, [getDateRange]);
 
-  // Calculate 3-month date range dynamically based on current date
-  const getThreeMonthRange = useCallback(() => {
+  // Calculate 3-month date range dynamically based on current date; memoized on the
+  // date's time so charts can key their 3-month memos on the returned dates
+  const currentTime = currentDate.getTime();
+  const threeMonthRange = useMemo(() => {
     // Calculate 3 months back from the current date
-    const endOfThreeMonths = new Date(currentDate);
-    const startOfThreeMonths = new Date(currentDate);
+    const endOfThreeMonths = new Date(currentTime);
+    const startOfThreeMonths = new Date(currentTime);
     startOfThreeMonths.setMonth(startOfThreeMonths.getMonth() - 3);
     
-    // Ensure we don't go before the data start date (July 1, 2024)
-    const dataStartDate = new Date(2024, 6, 1); // July 1, 2024
-    if (startOfThreeMonths < dataStartDate) {
-      startOfThreeMonths.setTime(dataStartDate.getTime());
+    // Stay within the patient's data
+    if (dataRange && startOfThreeMonths < dataRange.start) {
+      startOfThreeMonths.setTime(dataRange.start.getTime());
     }
-    
-    // Ensure we don't go beyond the data end date (July 31, 2025)
-    const dataEndDate = new Date(2025, 6, 31); // July 31, 2025
-    if (endOfThreeMonths > dataEndDate) {
-      endOfThreeMonths.setTime(dataEndDate.getTime());
+    if (dataRange && endOfThreeMonths > dataRange.end) {
+      endOfThreeMonths.setTime(dataRange.end.getTime());
     }
     
     return { start: startOfThreeMonths, end: endOfThreeMonths };
-  }, [currentDate]);
+  }, [currentTime, dataRange]);
+
+  const getThreeMonthRange = useCallback(() => threeMonthRange, [threeMonthRange]);
 
   // Get 3-month display string dynamically
   const getThreeMonthDisplay = useCallback(() => {
@@ -115,10 +178,20 @@ const useChartNavigation = (chartType, initialDate = new Date(2025, 4, 1)) => {
 
   return {
     currentDate,
+    defaultDate,
+    latestDate,
+    periodKey,
     navigationType,
     navigationLabel,
+    canGoPrevious,
+    canGoNext,
+    isAtLatest,
     goToPrevious,
     goToNext,
+    goToDate,
+    goToLatest,
+    getAdjacentDate,
+    getPeriodKey,
     getDateRange,
     getThreeMonthRange,
     getCurrentMonthYear,
@@ -0,0 +1,103 @@
+/*
+ useCohort.js - Cohort Summary Hook
+
+ Loads every listed patient through the shared patient store and reduces each to
+ a cohort row (analytics/cohortSummary.js) for the physician cohort overview.
+
+ Architecture:
+ - Loads a few patients at a time, so the worker and the data source are never
+   flooded and rows appear as they are ready
+ - Keeps only the summary rows: patients are loaded without being retained in the
+   store, so the full data of the whole cohort is never held in memory
+ - Starts only once enabled, so the patient view never pays for the cohort load
+ - Subscribes to the store so refreshed or uploaded patients update their row
+ - Patients that fail to load are reported in errors instead of aborting the load
+
+ State Management:
+ - rows: Summary rows, in the order of the patient list
+ - loading: Boolean indicating patients are still being loaded
+ - progress: Share of the patients processed (0-1)
+ - errors: { patientId, message } for patients that could not be loaded
+ */
+
+import { useState, useEffect } from 'react';
+import { loadPatient, subscribeToPatients } from '../services/patientStore';
+import { summarizePatient } from '../analytics/cohortSummary';
+
+const EMPTY_STATE = { rows: [], loading: false, progress: 0, errors: [] };
+
+// Patients loaded at the same time
+const MAX_CONCURRENT_LOADS = 4;
+
+/*
+ Loads and summarizes the cohort
+
+ - @param {Array<string>} patientIds - Patients in the cohort
+ - @param {boolean} enabled - Whether the cohort should be loaded
+ - @returns {Object} { rows, loading, progress, errors }
+ */
+const useCohort = (patientIds, enabled) => {
+  const [state, setState] = useState(EMPTY_STATE);
+
+  useEffect(() => {
+    if (!enabled || patientIds.length === 0) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const rowsById = new Map();
+    const errors = [];
+
+    const publish = (loading, processed) => {
+      if (cancelled) return;
+      setState({
+        rows: patientIds.filter(id => rowsById.has(id)).map(id => rowsById.get(id)),
+        loading,
+        progress: processed / patientIds.length,
+        errors: [...errors]
+      });
+    };
+
+    // Keep rows in sync with refreshes triggered elsewhere
+    const unsubscribe = subscribeToPatients((patientId, entry) => {
+      if (patientIds.includes(patientId) && rowsById.has(patientId) && entry.patientData) {
+        rowsById.set(patientId, summarizePatient(entry.patientData));
+        setState(prev => (cancelled ? prev : {
+          ...prev,
+          rows: patientIds.filter(id => rowsById.has(id)).map(id => rowsById.get(id))
+        }));
+      }
+    });
+
+    let nextIndex = 0;
+    let processed = 0;
+
+    // Each loader takes the next unloaded patient until the list is done
+    const runLoader = async () => {
+      while (!cancelled && nextIndex < patientIds.length) {
+        const patientId = patientIds[nextIndex++];
+        try {
+          const entry = await loadPatient(patientId, { retain: false });
+          rowsById.set(patientId, summarizePatient(entry.patientData));
+        } catch (error) {
+          console.error(`Error loading ${patientId} for the cohort:`, error);
+          errors.push({ patientId, message: error.message });
+        }
+        processed++;
+        publish(processed < patientIds.length, processed);
+      }
+    };
+
+    setState({ ...EMPTY_STATE, loading: true });
+    Array.from({ length: Math.min(MAX_CONCURRENT_LOADS, patientIds.length) }, () => runLoader());
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [patientIds, enabled]);
+
+  return state;
+};
+
+export default useCohort;
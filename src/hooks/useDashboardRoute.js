@@ -0,0 +1,91 @@
+/*
+ useDashboardRoute.js - Dashboard State in the URL
+
+ Connects a dashboard's expanded chart and chart periods to the route (useHashRoute.js).
+ The route is the source of truth: previous/next and expand/collapse change the route,
+ and route changes (including back/forward and shared links) are applied to the charts.
+ */
+
+import { useEffect, useRef } from 'react';
+
+// --- Helper Functions ---
+
+const fromDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/*
+ Routes a dashboard's chart navigation and expanded chart
+
+ - @param {Object} options
+ - @param {Object} options.route - Current route ({ chart, periods, ... })
+ - @param {Function} options.onRouteChange - Called with the new route
+ - @param {Object} options.chartNavigation - Navigation of each chart type (useChartNavigation)
+ - @param {Object} options.selectedVisualizations - Chart type of each chart ID
+ - @param {string|null} options.expandedItem - Currently expanded chart ID
+ - @param {Function} options.setExpandedItem - Sets the expanded chart ID
+ - @returns {Object} { chartNavigation, handleExpand } - Navigation and expand handler that update the route
+ */
+const useDashboardRoute = ({
+  route,
+  onRouteChange,
+  chartNavigation,
+  selectedVisualizations,
+  expandedItem,
+  setExpandedItem
+}) => {
+  // The navigation changes with every period; the effect below reads the latest one
+  // but only runs when the route changes
+  const navigationRef = useRef(chartNavigation);
+  navigationRef.current = chartNavigation;
+
+  // Apply the route to the charts (chart IDs are only known once the data is loaded)
+  useEffect(() => {
+    Object.entries(navigationRef.current).forEach(([chartType, navigation]) => {
+      const periodKey = route.periods[chartType];
+      if (!periodKey) {
+        // Back to the default period (the latest data), also after the patient changed
+        navigation.goToDate(null);
+      } else if (periodKey !== navigation.periodKey) {
+        navigation.goToDate(fromDateKey(periodKey));
+      }
+    });
+
+    const chartId = Object.keys(selectedVisualizations)
+      .find(id => selectedVisualizations[id] === route.chart);
+    setExpandedItem(chartId || null);
+  }, [route, selectedVisualizations, setExpandedItem]);
+
+  // Periods on the chart's default are left out of the URL
+  const setPeriod = (chartType, date) => {
+    const navigation = chartNavigation[chartType];
+    const { [chartType]: previousKey, ...periods } = route.periods;
+    const periodKey = navigation.getPeriodKey(date);
+    if (periodKey !== navigation.getPeriodKey(navigation.defaultDate)) {
+      periods[chartType] = periodKey;
+    }
+    onRouteChange({ ...route, periods });
+  };
+
+  const routedNavigation = Object.fromEntries(
+    Object.entries(chartNavigation).map(([chartType, navigation]) => [chartType, {
+      ...navigation,
+      goToPrevious: () => navigation.canGoPrevious && setPeriod(chartType, navigation.getAdjacentDate(-1)),
+      goToNext: () => navigation.canGoNext && setPeriod(chartType, navigation.getAdjacentDate(1)),
+      goToLatest: () => navigation.latestDate && setPeriod(chartType, navigation.latestDate),
+      goToDate: (date) => setPeriod(chartType, date)
+    }])
+  );
+
+  const handleExpand = (chartId) => {
+    onRouteChange({
+      ...route,
+      chart: expandedItem === chartId ? null : selectedVisualizations[chartId] || null
+    });
+  };
+
+  return { chartNavigation: routedNavigation, handleExpand };
+};
+
+export default useDashboardRoute;
@@ -0,0 +1,142 @@
+/*
+ useHashRoute.js - URL Hash Routing Hook
+
+ Keeps the app's location in the URL hash so views can be bookmarked, shared and
+ reloaded, and browser back/forward work. Hash routes need no server configuration,
+ so they also work on GitHub Pages.
+
+ Routes:
+ - #/<role>/<patientId>: dashboard of a patient ('patient' or 'physician' view)
+ - #/<role>/<patientId>/<chartType>: the same with one chart expanded
+ - #/cohort?patient=<patientId>: physician cohort overview
+
+ The query holds the period of each chart that is not on its default period, keyed by
+ chart type (?bloodPressure=2025-05-04&mood=2025-05-01); the expanded chart uses
+ 'week' or 'month' instead (#/physician/Patient_042/glucose?week=2025-05-04).
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getNavigationType } from './useChartNavigation';
+
+const ROLES = ['patient', 'physician'];
+const PERIOD_PARAMS = ['week', 'month'];
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_ROUTE = {
+  view: 'dashboard',
+  role: 'patient',
+  patientId: 'Patient_001',
+  chart: null,
+  periods: {}
+};
+
+// --- Helper Functions ---
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+/*
+ Parses a URL hash into a route
+
+ - @param {string} hash - URL hash (e.g. '#/physician/Patient_042/glucose?week=2025-05-04')
+ - @returns {Object} { view, role, patientId, chart, periods } - Unknown routes give DEFAULT_ROUTE
+ */
+export const parseHashRoute = (hash) => {
+  const [path, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+  const segments = path.split('/').filter(Boolean).map(decodeSegment);
+  const params = new URLSearchParams(query);
+
+  if (segments[0] === 'cohort') {
+    return {
+      ...DEFAULT_ROUTE,
+      view: 'cohort',
+      role: 'physician',
+      patientId: params.get('patient') || DEFAULT_ROUTE.patientId
+    };
+  }
+
+  const [role, patientId, chart = null] = segments;
+  if (!ROLES.includes(role)) {
+    return DEFAULT_ROUTE;
+  }
+
+  const periods = {};
+  params.forEach((value, key) => {
+    if (!DATE_KEY_PATTERN.test(value)) return;
+    if (PERIOD_PARAMS.includes(key)) {
+      if (chart) periods[chart] = value;
+    } else {
+      periods[key] = value;
+    }
+  });
+
+  return {
+    view: 'dashboard',
+    role,
+    patientId: patientId || DEFAULT_ROUTE.patientId,
+    chart,
+    periods
+  };
+};
+
+/*
+ Builds the URL hash of a route
+
+ - @param {Object} route - { view, role, patientId, chart, periods }
+ - @returns {string} URL hash starting with '#/'
+ */
+export const buildHashRoute = ({ view, role, patientId, chart, periods = {} }) => {
+  if (view === 'cohort') {
+    return `#/cohort${patientId ? `?patient=${encodeURIComponent(patientId)}` : ''}`;
+  }
+
+  const path = [role, patientId, chart].filter(Boolean).map(encodeURIComponent).join('/');
+  const params = new URLSearchParams();
+  if (chart && periods[chart]) {
+    params.set(getNavigationType(chart), periods[chart]);
+  }
+  Object.entries(periods)
+    .filter(([chartType]) => chartType !== chart)
+    .forEach(([chartType, periodKey]) => params.set(chartType, periodKey));
+
+  const query = params.toString();
+  return `#/${path}${query ? `?${query}` : ''}`;
+};
+
+/*
+ Current route of the app, kept in sync with the URL hash
+
+ - @returns {Array} [route, navigate] - navigate(route, { replace }) adds a history entry
+   (or replaces the current one) and updates the route
+ */
+const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseHashRoute(window.location.hash));
+
+  // Back/forward and hand-edited URLs
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseHashRoute(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const navigate = useCallback((nextRoute, { replace = false } = {}) => {
+    const hash = buildHashRoute(nextRoute);
+    if (hash === window.location.hash) return;
+
+    if (replace) {
+      window.history.replaceState(null, '', hash);
+    } else {
+      window.history.pushState(null, '', hash);
+    }
+    setRoute(parseHashRoute(hash));
+  }, []);
+
+  return [route, navigate];
+};
+
+export default useHashRoute;
@@ -0,0 +1,50 @@
+/*
+ useHealthGoals.js - Patient Health Goals Hook
+
+ Reads a patient's health goals from the goals store (services/goalsStore.js) and
+ keeps them in sync with changes made by any other component, e.g. a goal added on
+ the patient dashboard shows up on the physician dashboard right away.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getPatientGoals,
+  addGoal,
+  removeGoal,
+  subscribeToGoals
+} from '../services/goalsStore';
+
+/*
+ Custom hook for a patient's health goals
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Object} { goals, addGoal, removeGoal }
+ */
+const useHealthGoals = (patientId) => {
+  const [goals, setGoals] = useState(() => getPatientGoals(patientId));
+
+  useEffect(() => {
+    setGoals(getPatientGoals(patientId));
+
+    return subscribeToGoals((changedId, changedGoals) => {
+      if (changedId === patientId) setGoals(changedGoals);
+    });
+  }, [patientId]);
+
+  const handleAddGoal = useCallback(
+    (goal) => addGoal(patientId, goal),
+    [patientId]
+  );
+  const handleRemoveGoal = useCallback(
+    (goalId) => removeGoal(patientId, goalId),
+    [patientId]
+  );
+
+  return {
+    goals,
+    addGoal: handleAddGoal,
+    removeGoal: handleRemoveGoal
+  };
+};
+
+export default useHealthGoals;
@@ -8,7 +8,11 @@
  
  Architecture:
  - Uses React hooks for state management (useState, useEffect, useCallback)
- - Implements data caching to optimize performance
+ - Reads through the shared patient store (services/patientStore.js), so every
+   component asking for the same patient shares one load and one parsed copy
+ - Subscribes to the store so a refresh anywhere updates every component
+ - Called once per dashboard by PatientDataProvider (context/PatientDataContext.js);
+   components read the shared result from the context
  - Provides comprehensive error handling and recovery
  - Offers convenient data access patterns for components
  
@@ -16,7 +20,9 @@
  - data: The complete patient data object
  - loading: Boolean indicating if data is being fetched
  - error: Error message if data fetching failed
- - lastFetchedId: Tracks the last patient ID to prevent unnecessary re-fetching
+ - fromCache: Boolean indicating the data was served from the offline cache
+ - progress: Load progress ({ stage, fraction, overall }) while loading; overall
+   spans both stages (parsing up to 0.3, then processing)
  
  Data Structure:
  - patientInfo: Patient demographics and medical information
@@ -27,17 +33,44 @@
  - painData: Pain reports with location and intensity
  - sleepData: Sleep duration and quality measurements
  - mealData: Nutritional intake tracking
+ - weatherData: Daily weather (Good/Bad)
+ - continenceData: Daily urinary and fecal continence
+ - healthGoalData: Days the patient reported meeting their health goals (or not)
  
  Utility Functions:
- - refetch: Forces a fresh data fetch for the current patient
- - clearData: Clears all cached data and resets state
+ - refetch: Reloads the current patient, bypassing every cache layer
+ - clearData: Clears the component's data and resets state
  - hasData: Boolean indicating if data is available
  - isEmpty: Boolean indicating if no data is available and not loading
  - isError: Boolean indicating if an error occurred
  */
 
 import { useState, useEffect, useCallback } from 'react';
-import DataService from '../services/dataService';
+import {
+  loadPatient,
+  refreshPatient,
+  peekPatient,
+  subscribeToPatients,
+  subscribeToLoadProgress
+} from '../services/patientStore';
+
+const EMPTY_STATE = { data: null, loading: false, error: null, fromCache: false, progress: null };
+
+// Share of the overall progress bar given to parsing; processing (the slower stage
+// for large files) takes the rest
+const PARSING_SHARE = 0.3;
+
+const getErrorMessage = (err) => (err instanceof Error ? err.message : 'Unknown error occurred');
+
+// Initial state for a patient, using data already in the store when available
+const getInitialState = (patientId) => {
+  if (!patientId || typeof patientId !== 'string') return EMPTY_STATE;
+
+  const entry = peekPatient(patientId);
+  return entry
+    ? { ...EMPTY_STATE, data: entry.patientData, fromCache: entry.fromCache }
+    : { ...EMPTY_STATE, loading: true };
+};
 
 /*
  Enhanced custom hook for loading and managing patient data
@@ -46,69 +79,71 @@ import DataService from '../services/dataService';
  - @returns {Object} Object containing data, loading state, error state, and utility functions
  */
 const usePatientData = (patientId) => {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [lastFetchedId, setLastFetchedId] = useState(null);
-
-  const loadData = useCallback(async (id) => {
-    // Don't reload if we already have data for this patient
-    if (id === lastFetchedId && data && !error) {
-      return;
-    }
+  const [state, setState] = useState(() => getInitialState(patientId));
+  const { data, loading, error, fromCache, progress } = state;
 
-    if (!id || typeof id !== 'string') {
-      setLoading(false);
-      setData(null);
-      setError(null);
-      return;
+  useEffect(() => {
+    let cancelled = false;
+    setState(getInitialState(patientId));
+
+    if (!patientId || typeof patientId !== 'string') {
+      return undefined;
     }
 
-    try {
-      setLoading(true);
-      setError(null);
-      
-      const patientData = await DataService.getPatientData(id);
-      
-      if (patientData && patientData.patientInfo) {
-        setData(patientData);
-        setLastFetchedId(id);
+    const applyEntry = (entry) => {
+      if (cancelled) return;
+      if (entry.patientData && entry.patientData.patientInfo) {
+        setState({ ...EMPTY_STATE, data: entry.patientData, fromCache: entry.fromCache });
       } else {
-        throw new Error('Invalid data structure received');
+        setState({ ...EMPTY_STATE, error: 'Invalid data structure received' });
       }
-    } catch (err) {
-      const errorMessage = err instanceof Error ? err.message : 'Unknown error occurred';
-      setError(errorMessage);
-      setData(null);
-      console.error('Error loading patient data:', err);
-    } finally {
-      setLoading(false);
-    }
-  }, [lastFetchedId, data, error]);
+    };
 
-  useEffect(() => {
-    if (patientId) {
-      loadData(patientId);
-    } else {
-      setData(null);
-      setError(null);
-      setLastFetchedId(null);
-      setLoading(false);
+    // Keep in sync with loads and refreshes triggered elsewhere
+    const unsubscribe = subscribeToPatients((loadedId, entry) => {
+      if (loadedId === patientId) applyEntry(entry);
+    });
+    const unsubscribeProgress = subscribeToLoadProgress((loadingId, loadProgress) => {
+      if (loadingId === patientId && !cancelled) {
+        const overall = loadProgress.stage === 'parsing'
+          ? loadProgress.fraction * PARSING_SHARE
+          : PARSING_SHARE + loadProgress.fraction * (1 - PARSING_SHARE);
+        setState(prev => (prev.loading ? { ...prev, progress: { ...loadProgress, overall } } : prev));
+      }
+    });
+
+    if (!peekPatient(patientId)) {
+      loadPatient(patientId)
+        .then(applyEntry)
+        .catch(err => {
+          if (cancelled) return;
+          setState({ ...EMPTY_STATE, error: getErrorMessage(err) });
+          console.error('Error loading patient data:', err);
+        });
     }
-  }, [patientId, loadData]);
 
-  const refetch = useCallback(() => {
-    if (patientId) {
-      setLastFetchedId(null); // Force reload
-      loadData(patientId);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      unsubscribeProgress();
+    };
+  }, [patientId]);
+
+  const refetch = useCallback(async () => {
+    if (!patientId) return;
+
+    setState(prev => ({ ...prev, loading: true, error: null, progress: null }));
+    try {
+      // Subscribers (including this hook) receive the fresh entry
+      await refreshPatient(patientId);
+    } catch (err) {
+      setState(prev => ({ ...prev, loading: false, error: getErrorMessage(err) }));
+      console.error('Error refreshing patient data:', err);
     }
-  }, [patientId, loadData]);
+  }, [patientId]);
 
   const clearData = useCallback(() => {
-    setData(null);
-    setError(null);
-    setLastFetchedId(null);
-    setLoading(false);
+    setState(EMPTY_STATE);
   }, []);
 
   return {
@@ -116,6 +151,8 @@ const usePatientData = (patientId) => {
     data,
     loading,
     error,
+    fromCache,
+    progress,
     
     // Patient info
     patientInfo: data?.patientInfo || null,
@@ -128,6 +165,9 @@ const usePatientData = (patientId) => {
     painData: data?.painData || [],
     mealData: data?.mealData || [],
     sleepData: data?.sleepData || [],
+    weatherData: data?.weatherData || [],
+    continenceData: data?.continenceData || [],
+    healthGoalData: data?.healthGoalData || [],
     
     // Actions
     refetch,
@@ -145,7 +185,8 @@ const usePatientData = (patientId) => {
     hasMoodData: (data?.moodData || []).length > 0,
     hasPainData: (data?.painData || []).length > 0,
     hasSleepData: (data?.sleepData || []).length > 0,
-    hasMealData: (data?.mealData || []).length > 0
+    hasMealData: (data?.mealData || []).length > 0,
+    hasContinenceData: (data?.continenceData || []).length > 0
   };
 };
 
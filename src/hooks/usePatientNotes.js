@@ -0,0 +1,58 @@
+/*
+ usePatientNotes.js - Physician Notes Hook
+
+ Reads a patient's chart notes and date annotations from the notes store
+ (services/notesStore.js) and keeps them in sync with changes made by any
+ other component, e.g. an annotation added below a chart shows up as a
+ marker on that chart right away.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getPatientNotes,
+  setChartNote,
+  addAnnotation,
+  removeAnnotation,
+  subscribeToNotes
+} from '../services/notesStore';
+
+/*
+ Custom hook for a patient's physician notes
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Object} { chartNotes, annotations, setChartNote, addAnnotation, removeAnnotation }
+ */
+const usePatientNotes = (patientId) => {
+  const [notes, setNotes] = useState(() => getPatientNotes(patientId));
+
+  useEffect(() => {
+    setNotes(getPatientNotes(patientId));
+
+    return subscribeToNotes((changedId, changedNotes) => {
+      if (changedId === patientId) setNotes(changedNotes);
+    });
+  }, [patientId]);
+
+  const handleChartNote = useCallback(
+    (chartType, text) => setChartNote(patientId, chartType, text),
+    [patientId]
+  );
+  const handleAddAnnotation = useCallback(
+    (annotation) => addAnnotation(patientId, annotation),
+    [patientId]
+  );
+  const handleRemoveAnnotation = useCallback(
+    (annotationId) => removeAnnotation(patientId, annotationId),
+    [patientId]
+  );
+
+  return {
+    chartNotes: notes.chartNotes,
+    annotations: notes.annotations,
+    setChartNote: handleChartNote,
+    addAnnotation: handleAddAnnotation,
+    removeAnnotation: handleRemoveAnnotation
+  };
+};
+
+export default usePatientNotes;
@@ -48,6 +48,7 @@ const useVisualizationHelpers = (patientId, allVisualizations, selectedVisualiza
 
   return {
     expandedItem,
+    setExpandedItem,
     handleExpand,
     renderVisualization
   };
@@ -14,12 +14,16 @@
  
  Visualization Types:
  - glucose: Blood glucose monitoring charts
+ - agp: Ambulatory glucose profile over the 3-month period (physician view)
  - bloodPressure: Blood pressure tracking charts
+ - medications: Medication timeline with start/stop and dose changes (physician view)
  - exercise: Physical activity visualization
  - mood: Mood calendar and tracking
  - pain: Pain reporting with body mapping
  - mealContents: Nutritional intake tracking
  - sleep: Sleep pattern analysis
+ - continence: Urinary and fecal continence grid with episode counts and streaks
+ - correlation: Correlation between two daily series (physician view)
  
  Component Registry:
  - Maps visualization types to React components
@@ -39,12 +43,19 @@ import { VISUALIZATION_CONFIG, DASHBOARD_CONFIG } from '../constants';
 
 // Import all chart components
 import GlucoseChart from '../components/patient_charts/GlucoseChart';
+import AgpChart from '../components/patient_charts/AgpChart';
 import BloodPressureChart from '../components/patient_charts/BloodPressureChart';
 import ExerciseChart from '../components/patient_charts/ExerciseChart';
 import MoodCalendar from '../components/patient_charts/MoodCalendar';
 import PainChart from '../components/patient_charts/PainChart';
 import MealContentsChart from '../components/patient_charts/MealContentsChart';
 import SleepChart from '../components/patient_charts/SleepChart';
+import CorrelationExplorer from '../components/patient_charts/CorrelationExplorer';
+import MedicationTimeline from '../components/patient_charts/MedicationTimeline';
+import ContinenceChart from '../components/patient_charts/ContinenceChart';
+
+// Processed data the correlation explorer derives its daily series from
+const CORRELATION_SOURCES = ['sleepData', 'painData', 'exerciseData', 'glucoseData', 'bloodPressureData', 'moodData', 'mealData'];
 
 /*
  Shared hook for managing visualizations across different dashboard types
@@ -61,10 +72,14 @@ const useVisualizations = (viewMode, data) => {
     pain: { ...VISUALIZATION_CONFIG.pain, component: PainChart },
     bloodPressure: { ...VISUALIZATION_CONFIG.bloodPressure, component: BloodPressureChart },
     glucose: { ...VISUALIZATION_CONFIG.glucose, component: GlucoseChart },
+    agp: { ...VISUALIZATION_CONFIG.agp, component: AgpChart },
+    medications: { ...VISUALIZATION_CONFIG.medications, component: MedicationTimeline },
     exercise: { ...VISUALIZATION_CONFIG.exercise, component: ExerciseChart },
     mealContents: { ...VISUALIZATION_CONFIG.mealContents, component: MealContentsChart },
     mood: { ...VISUALIZATION_CONFIG.mood, component: MoodCalendar },
     sleep: { ...VISUALIZATION_CONFIG.sleep, component: SleepChart },
+    continence: { ...VISUALIZATION_CONFIG.continence, component: ContinenceChart },
+    correlation: { ...VISUALIZATION_CONFIG.correlation, component: CorrelationExplorer },
   }), []);
 
   // Determine available visualizations based on data
@@ -72,16 +87,29 @@ const useVisualizations = (viewMode, data) => {
     if (!data) return {};
 
     return Object.entries(allVisualizations).reduce((acc, [key, viz]) => {
+      if (viz.viewModes && !viz.viewModes.includes(viewMode)) {
+        return acc;
+      }
+
       const dataKey = `${key}Data`;
       // Special case for meal contents
       if (key === 'mealContents' && data['mealData'] && data['mealData'].length > 0) {
         acc[key] = viz;
+      } else if (key === 'agp' && data['glucoseData'] && data['glucoseData'].length > 0) {
+        // The glucose profile is built from the glucose readings
+        acc[key] = viz;
+      } else if (key === 'medications' && data['medicationData']?.some(day => day.medications.length > 0)) {
+        // The timeline is built from the daily medication lists
+        acc[key] = viz;
+      } else if (key === 'correlation' && CORRELATION_SOURCES.filter(source => data[source]?.length > 0).length >= 2) {
+        // Correlations need at least two metrics to compare
+        acc[key] = viz;
       } else if (data[dataKey] && data[dataKey].length > 0) {
         acc[key] = viz;
       }
       return acc;
     }, {});
-  }, [data, allVisualizations]);
+  }, [data, allVisualizations, viewMode]);
 
   // Create dynamic selected visualizations based on available ones
   const selectedVisualizations = useMemo(() => {
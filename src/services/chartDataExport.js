@@ -0,0 +1,204 @@
+/*
+ chartDataExport.js - CSV Export of the Data Shown in a Chart
+
+ Selects exactly the data points a chart displays for its current navigation
+ period and turns them into CSV (via PapaParse):
+ - Weekly charts: the readings or days of the week (getDateRange)
+ - Mood calendar: the mood entries of the displayed month
+ - Continence grid: the days of the displayed month
+ - Glucose profile (AGP): the readings of the 3-month range (getThreeMonthRange)
+ - Correlation explorer: every daily series it can compare, over the 3-month range
+ - Medication timeline: the medication list of each day of the week
+
+ Physician date annotations in the period are added as an "Annotation" column
+ (days with an annotation but no data get a row of their own).
+ */
+
+import Papa from 'papaparse';
+import { METRIC_SELECTORS } from '../context/PatientDataContext';
+import { DAILY_SERIES, buildDailySeries, toDateKey } from '../analytics/dailySeries';
+import { MEAL_PREFIXES, MEAL_COMPONENTS } from './csvSchema';
+
+const EXERCISE_ACTIVITIES = ['walking', 'swimming', 'running', 'resistance/weights', 'biking', 'balance/stretching', 'other'];
+
+// --- Helper Functions ---
+
+const formatTime = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const inRange = (date, { start, end }) => date >= start && date <= end;
+
+const formatYesNo = (value) => {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  return '';
+};
+
+const getMonthRange = (navigation) => {
+  const { currentDate } = navigation;
+  return {
+    start: new Date(currentDate.getFullYear(), currentDate.getMonth(), 1),
+    end: new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0, 23, 59, 59, 999)
+  };
+};
+
+// Period and rows of each chart type; rows start with a 'Date' ('YYYY-MM-DD') column
+const CHART_EXPORTS = {
+  glucose: {
+    getRange: (navigation) => navigation.getDateRange(),
+    columns: ['Date', 'Time', 'Glucose (mmol/L)', 'Measurement type', 'Range'],
+    toRows: (readings) => readings.map(reading => [
+      toDateKey(reading.date), formatTime(reading.date), reading.value, reading.measurementType, reading.range
+    ])
+  },
+  agp: {
+    getRange: (navigation) => navigation.getThreeMonthRange(),
+    columns: ['Date', 'Time', 'Glucose (mmol/L)', 'Measurement type', 'Range'],
+    toRows: (readings) => readings.filter(reading => reading.value > 0).map(reading => [
+      toDateKey(reading.date), formatTime(reading.date), reading.value, reading.measurementType, reading.range
+    ])
+  },
+  bloodPressure: {
+    getRange: (navigation) => navigation.getDateRange(),
+    columns: ['Date', 'Time', 'Systolic (mmHg)', 'Diastolic (mmHg)'],
+    toRows: (readings) => readings.map(reading => [
+      toDateKey(reading.date), formatTime(reading.date), reading.systolic, reading.diastolic
+    ])
+  },
+  exercise: {
+    getRange: (navigation) => navigation.getDateRange(),
+    columns: ['Date', ...EXERCISE_ACTIVITIES.map(activity => `${activity} (min)`), 'Total (min)'],
+    toRows: (days) => days.map(day => [
+      toDateKey(day.date), ...EXERCISE_ACTIVITIES.map(activity => day[activity] || 0), day.totalMinutes
+    ])
+  },
+  mood: {
+    getRange: getMonthRange,
+    columns: ['Date', 'Time', 'Mood'],
+    toRows: (entries) => entries.map(entry => [toDateKey(entry.date), entry.time || '', entry.mood])
+  },
+  continence: {
+    getRange: getMonthRange,
+    columns: ['Date', 'Urinary continence', 'Fecal continence'],
+    toRows: (days) => days.map(day => [toDateKey(day.date), formatYesNo(day.urinary), formatYesNo(day.fecal)])
+  },
+  pain: {
+    getRange: (navigation) => navigation.getDateRange(),
+    columns: ['Date', 'Location', 'Pain level'],
+    toRows: (reports) => reports.map(report => [toDateKey(report.date), report.location, report.level])
+  },
+  sleep: {
+    getRange: (navigation) => navigation.getDateRange(),
+    columns: ['Date', 'Sleep hours', 'Sleep quality'],
+    toRows: (nights) => nights.map(night => [toDateKey(night.date), night.hours, night.quality])
+  },
+  mealContents: {
+    getRange: (navigation) => navigation.getDateRange(),
+    getDate: (row) => new Date(row.Date),
+    columns: ['Date', 'Meal', 'Time', ...MEAL_COMPONENTS, 'Added sugar'],
+    toRows: (rows) => rows.flatMap(row => MEAL_PREFIXES
+      .filter(meal => row[`${meal}_Time`])
+      .map(meal => [
+        toDateKey(new Date(row.Date)),
+        meal.replace(/_/g, ' '),
+        row[`${meal}_Time`],
+        ...MEAL_COMPONENTS.map(component => row[`${meal}_${component}`] ?? ''),
+        row[`${meal}_Added_Sugar`] || ''
+      ]))
+  },
+  medications: {
+    getRange: (navigation) => navigation.getDateRange(),
+    columns: ['Date', 'Medication', 'Type', 'Category', 'Dosage'],
+    toRows: (days) => days.flatMap(day => day.medications.map(medication => [
+      toDateKey(day.date), medication.name, medication.type, medication.category, medication.dosage
+    ]))
+  },
+  correlation: {
+    getRange: (navigation) => navigation.getThreeMonthRange(),
+    columns: ['Date', ...Object.values(DAILY_SERIES).map(series => `${series.label} (${series.unit})`)],
+    // Daily series are keyed by day rather than listed as records
+    buildRows: (data, { start, end }) => {
+      const startKey = toDateKey(start);
+      const endKey = toDateKey(end);
+      const seriesList = Object.keys(DAILY_SERIES).map(key => buildDailySeries(data, key));
+      const days = new Set(seriesList.flatMap(series => Array.from(series.keys())));
+      return Array.from(days)
+        .filter(day => day >= startKey && day <= endKey)
+        .sort()
+        .map(day => [day, ...seriesList.map(series => (series.has(day) ? series.get(day) : ''))]);
+    }
+  }
+};
+
+// Adds the annotations of the period as a last column
+const addAnnotations = (columns, rows, annotations) => {
+  if (annotations.length === 0) return { columns, rows };
+
+  const textByDay = annotations.reduce((days, annotation) => {
+    days.set(annotation.date, [...(days.get(annotation.date) || []), annotation.text]);
+    return days;
+  }, new Map());
+
+  const annotatedRows = rows.map(row => [...row, (textByDay.get(row[0]) || []).join('; ')]);
+  const daysWithRows = new Set(rows.map(row => row[0]));
+  textByDay.forEach((texts, day) => {
+    if (!daysWithRows.has(day)) {
+      annotatedRows.push([day, ...columns.slice(1).map(() => ''), texts.join('; ')]);
+    }
+  });
+
+  annotatedRows.sort((a, b) => a[0].localeCompare(b[0]));
+  return { columns: [...columns, 'Annotation'], rows: annotatedRows };
+};
+
+/*
+ Checks whether a chart type supports CSV export
+
+ - @param {string} chartType - Visualization type
+ - @returns {boolean} True for chart types with a CSV export
+ */
+export const hasChartDataExport = (chartType) => Boolean(CHART_EXPORTS[chartType]);
+
+/*
+ Selects the data points a chart shows for its navigation period
+
+ - @param {string} chartType - Visualization type
+ - @param {Object} patientData - Processed patient data
+ - @param {Object} navigation - The chart's navigation (useChartNavigation)
+ - @param {Object} options
+ - @param {Array} options.annotations - Physician annotations of the chart ({ date, text })
+ - @returns {Object} { columns, rows, start, end } - Rows are arrays in column order
+ - @throws {Error} If the chart type has no CSV export
+ */
+export const getChartExportData = (chartType, patientData, navigation, { annotations = [] } = {}) => {
+  const chartExport = CHART_EXPORTS[chartType];
+  if (!chartExport) {
+    throw new Error(`No data export for chart type: ${chartType}`);
+  }
+
+  const range = chartExport.getRange(navigation);
+  let rows;
+  if (chartExport.buildRows) {
+    rows = chartExport.buildRows(patientData, range);
+  } else {
+    const getDate = chartExport.getDate || (record => record.date);
+    const records = (METRIC_SELECTORS[chartType](patientData) || [])
+      .filter(record => inRange(getDate(record), range))
+      .sort((a, b) => getDate(a) - getDate(b));
+    rows = chartExport.toRows(records);
+  }
+
+  const startKey = toDateKey(range.start);
+  const endKey = toDateKey(range.end);
+  const periodAnnotations = annotations.filter(annotation => annotation.date >= startKey && annotation.date <= endKey);
+
+  return { ...addAnnotations(chartExport.columns, rows, periodAnnotations), start: range.start, end: range.end };
+};
+
+/*
+ Serializes export data as CSV
+
+ - @param {Object} exportData - { columns, rows } of getChartExportData
+ - @returns {string} CSV text with a header row
+ */
+export const toCsv = ({ columns, rows }) => Papa.unparse({ fields: columns, data: rows });
@@ -0,0 +1,116 @@
+/*
+ csvSchema.js - Wide-Format Patient CSV Schema
+
+ Declarative description of every column in the wide patient CSV export
+ (one row per day). dataValidator.js checks parsed rows against this schema.
+
+ Column definition fields:
+ - name: Column header
+ - type: 'date' | 'time' | 'number' | 'integer' | 'enum' | 'flag' | 'list' | 'text'
+ - required: The value must be present on every row
+ - min / max: Inclusive plausible range for numeric columns
+ - values: Allowed values for enum columns ('' is always allowed unless required)
+ - keepUnknown: Unknown enum values are reported as warnings and kept (e.g. moods outside the mood scale)
+ - emptyValues: Values meaning "no reading" (e.g. 0 for an unused BP slot)
+ - rowLevel: An invalid value makes the whole row unusable
+ */
+
+import { MOOD_SCALE } from '../constants';
+
+export const MOOD_VALUES = MOOD_SCALE.map(mood => mood.key);
+export const WEATHER_VALUES = ['Good', 'Bad'];
+export const SLEEP_QUALITY_VALUES = ['Very good', 'Fairly good', 'Fairly bad', 'Very bad'];
+export const YES_NO_VALUES = ['Yes', 'No'];
+export const ADDED_SUGAR_VALUES = ['1-20g', '20-40g', '40-60g', '60g+'];
+export const GLUCOSE_MEASUREMENT_TYPES = ['Pre meal', '2-hour post meal'];
+export const GLUCOSE_RANGE_VALUES = ['in range', 'above range', 'below range'];
+export const BLOOD_PRESSURE_TYPES = [
+  'Low blood pressure',
+  'Ideal',
+  'Pre-high blood pressure',
+  'High blood pressure'
+];
+
+export const MEAL_PREFIXES = ['Breakfast', 'Lunch', 'Dinner', 'Late_Night_Snack'];
+export const MEAL_COMPONENTS = ['Protein', 'Vegetables', 'Fruit', 'Alcohol', 'Carbohydrates'];
+
+// Semicolon-separated medication columns that must list the same number of entries
+export const MEDICATION_LIST_COLUMNS = [
+  'Medication_Names',
+  'Medication_Types',
+  'Medication_Categories',
+  'Medication_Dosages'
+];
+
+// Intraday mood entries (Mood_1..Mood_N with Mood_Time_1..Mood_Time_N) per row
+export const MAX_MOOD_ENTRIES = 6;
+
+const range = (count) => Array.from({ length: count }, (_, i) => i + 1);
+
+const moodEntryColumns = range(MAX_MOOD_ENTRIES).flatMap(i => [
+  { name: `Mood_${i}`, type: 'enum', values: MOOD_VALUES, keepUnknown: true },
+  { name: `Mood_Time_${i}`, type: 'time' }
+]);
+
+const exerciseColumns = range(3).flatMap(i => [
+  { name: `Exercise_Type_${i}`, type: 'text' },
+  { name: `Exercise_Minutes_${i}`, type: 'number', min: 0, max: 600 }
+]);
+
+const mealColumns = [
+  ...MEAL_PREFIXES.map(meal => ({ name: `${meal}_Time`, type: 'time' })),
+  ...MEAL_PREFIXES.flatMap(meal => [
+    ...MEAL_COMPONENTS.map(component => ({ name: `${meal}_${component}`, type: 'flag' })),
+    { name: `${meal}_Added_Sugar`, type: 'enum', values: ADDED_SUGAR_VALUES }
+  ])
+];
+
+const bloodPressureColumns = range(4).flatMap(i => [
+  { name: `Systolic_${i}`, type: 'integer', min: 50, max: 260, emptyValues: ['0'] },
+  { name: `Diastolic_${i}`, type: 'integer', min: 30, max: 160, emptyValues: ['0'] },
+  { name: `Systolic_Type_${i}`, type: 'enum', values: BLOOD_PRESSURE_TYPES },
+  { name: `Diastolic_Type_${i}`, type: 'enum', values: BLOOD_PRESSURE_TYPES },
+  { name: `BP_Time_${i}`, type: 'time' }
+]);
+
+const glucoseColumns = range(4).flatMap(i => [
+  { name: `Glucose_${i}`, type: 'number', min: 1, max: 35, emptyValues: ['0'] },
+  { name: `Glucose_Measurement_Type_${i}`, type: 'enum', values: GLUCOSE_MEASUREMENT_TYPES },
+  { name: `Glucose_Range_${i}`, type: 'enum', values: GLUCOSE_RANGE_VALUES },
+  { name: `Glucose_Time_${i}`, type: 'time' }
+]);
+
+export const PATIENT_CSV_SCHEMA = [
+  { name: 'Date', type: 'date', required: true, rowLevel: true },
+  { name: 'Mood', type: 'enum', values: MOOD_VALUES, keepUnknown: true },
+  ...moodEntryColumns,
+  { name: 'Weather', type: 'enum', values: WEATHER_VALUES },
+  { name: 'Sleep_Quality', type: 'enum', values: SLEEP_QUALITY_VALUES },
+  { name: 'Sleep_Quality_Code', type: 'integer', min: 0, max: 3 },
+  { name: 'Sleep_Hours', type: 'number', min: 0, max: 24 },
+  ...exerciseColumns,
+  { name: 'Pain_Location', type: 'text' },
+  { name: 'Pain_Level', type: 'integer', min: 0, max: 10 },
+  ...mealColumns,
+  { name: 'Urinary_Continence', type: 'enum', values: YES_NO_VALUES },
+  { name: 'Fecal_Continence', type: 'enum', values: YES_NO_VALUES },
+  { name: 'Health_Goal_Met', type: 'enum', values: YES_NO_VALUES },
+  ...bloodPressureColumns,
+  ...glucoseColumns,
+  ...MEDICATION_LIST_COLUMNS.map(name => ({ name, type: 'list' })),
+  { name: 'Medication_Count', type: 'integer', min: 0, max: 50 },
+  { name: 'Age', type: 'integer', min: 0, max: 120 },
+  { name: 'Gender', type: 'text' },
+  { name: 'Name', type: 'text' },
+  { name: 'Chronic_Conditions', type: 'list' }
+];
+
+const SCHEMA_BY_NAME = new Map(PATIENT_CSV_SCHEMA.map(column => [column.name, column]));
+
+/*
+ Looks up the schema definition of a column
+
+ - @param {string} name - Column header
+ - @returns {Object|undefined} Column definition
+ */
+export const getColumnSchema = (name) => SCHEMA_BY_NAME.get(name);
@@ -2,21 +2,27 @@
  dataService.js - Patient Data Service
  
  This service handles all data operations for the health dashboard:
- - Fetches patient CSV data from the server
- - Parses and processes CSV data using PapaParse
+ - Fetches patient data through a configurable data source (static CSV folder, REST, in-memory)
+ - Registers patient CSV files uploaded from the browser for the session
+ - Imports FHIR R4 Bundles (services/fhir) into the same processed shape
+ - Parses and processes CSV data using PapaParse; patientStore.js runs this off the
+   main thread in a Web Worker (workers/patientData.worker.js) with progress reporting
  - Transforms raw data into structured health metrics
- - Provides data validation and error handling
- - Manages patient information, medications, and health tracking data
+ - Validates rows against the CSV column schema and reports data quality issues
+ - Manages patient information, daily medication lists, and health tracking data
  - Supports all health metric types (glucose, BP, exercise, mood, pain, sleep, meals)
  
  Architecture:
- - Uses PapaParse library for CSV parsing
+ - Uses PapaParse library for CSV parsing (chunked for large files)
+ - Delegates patient listing and retrieval to pluggable data sources (services/dataSources)
  - Implements service class pattern for data operations
  - Provides comprehensive error handling and validation
  - Supports multiple data formats and structures
  
  Data Processing:
  - CSV parsing with header validation
+ - Schema validation (services/csvSchema.js, services/dataValidator.js); invalid rows
+   and values are excluded before processing and listed in `dataQuality`
  - Data transformation and normalization
  - Type conversion and validation
  - Error recovery and fallback mechanisms
@@ -25,9 +31,12 @@
  - Blood glucose monitoring with meal context
  - Blood pressure tracking with risk categorization
  - Exercise activity tracking and categorization
- - Mood assessment and tracking
+ - Mood assessment and tracking, with several timestamped moods per day
  - Pain reporting with anatomical mapping
  - Sleep quality and duration analysis
+ - Daily weather (good/bad), shown alongside mood, pain, sleep and exercise
+ - Urinary and fecal continence per day
+ - Self-reported daily health goal flag, compared with the goals evaluated from the data
  - Nutritional intake and meal composition
  
  Error Handling:
@@ -40,6 +49,11 @@
  */
 
 import Papa from 'papaparse';
+import { createDataSource, InMemoryDataSource } from './dataSources';
+import { importFhirBundle } from './fhir/fhirImporter';
+import { validatePatientRows, excludeInvalidValues, createDataQualityReport } from './dataValidator';
+import { MAX_MOOD_ENTRIES } from './csvSchema';
+import { DATA_SOURCE_CONFIG } from '../constants';
 
 // Configuration for CSV parsing
 const CSV_CONFIG = {
@@ -49,40 +63,52 @@ const CSV_CONFIG = {
   transform: (value) => value?.trim(),
 };
 
+// Files larger than this are parsed chunk by chunk so progress can be reported
+const CSV_CHUNK_SIZE = 256 * 1024;
+
+// Steps of processPatientData reported as processing progress: validation, the daily
+// medication lists and the 10 health metrics
+const PROCESSING_STEPS = 12;
+
+// Patients uploaded from local CSV files, kept in memory for the session
+const uploadSource = new InMemoryDataSource();
+
+// Configured data source, created on first use
+let dataSource = null;
+
 /*
- Fetches and parses CSV data for a specific patient
+ Parses raw CSV text into row objects using the shared CSV configuration
  
- - @param {string} patientId - The patient identifier
- - @returns {Promise<Array>} Parsed CSV data as array of objects
- - @throws {Error} If CSV fetch or parsing fails
+ - @param {string} csvText - Raw CSV file contents
+ - @param {string} patientId - The patient identifier (used in error messages)
+ - @param {Function} onProgress - Optional callback receiving { stage: 'parsing', fraction }
+ - @returns {Object} { rows, errors } - Parsed rows and PapaParse errors (reported as data quality issues)
+ - @throws {Error} If the CSV text is empty
  */
-const fetchPatientCsvData = async (patientId) => {
-  try {
-    // Add cache busting to ensure fresh data
-    const response = await fetch(`/MCC_health_data_dashboard_public/synthetic_patients/${patientId}.csv?v=${Date.now()}`);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch CSV for ${patientId}: ${response.status} ${response.statusText}`);
-    }
-    
-    const csvText = await response.text();
-    
-    if (!csvText || csvText.trim().length === 0) {
-      throw new Error(`Empty CSV file for patient ${patientId}`);
-    }
-    
+const parseCsvText = (csvText, patientId, onProgress) => {
+  if (!csvText || csvText.trim().length === 0) {
+    throw new Error(`Empty CSV file for patient ${patientId}`);
+  }
+  
+  if (csvText.length <= CSV_CHUNK_SIZE) {
     const parsed = Papa.parse(csvText, CSV_CONFIG);
-    
-    if (parsed.errors.length > 0) {
-      // Log parsing errors for debugging but don't throw
-      console.error(`CSV parsing errors for ${patientId}:`, parsed.errors);
-    }
-    
-    return parsed.data;
-  } catch (error) {
-    console.error(`Error fetching or parsing CSV for ${patientId}:`, error);
-    throw error;
+    onProgress?.({ stage: 'parsing', fraction: 1 });
+    return { rows: parsed.data, errors: parsed.errors };
   }
+
+  // Chunk mode: parsing a string is synchronous, and row indices in errors stay absolute
+  const rows = [];
+  const errors = [];
+  Papa.parse(csvText, {
+    ...CSV_CONFIG,
+    chunkSize: CSV_CHUNK_SIZE,
+    chunk: (results) => {
+      rows.push(...results.data);
+      errors.push(...results.errors);
+      onProgress?.({ stage: 'parsing', fraction: Math.min(1, results.meta.cursor / csvText.length) });
+    }
+  });
+  return { rows, errors };
 };
 
 /*
@@ -90,6 +116,38 @@ const fetchPatientCsvData = async (patientId) => {
  Provides methods for fetching and processing patient health data from CSV files
  */
 class DataService {
+  /*
+   Returns the data source chosen by the app configuration
+   
+   - @returns {Object} Data source implementing listPatients/getPatient
+   */
+  static getDataSource() {
+    if (!dataSource) {
+      dataSource = createDataSource(DATA_SOURCE_CONFIG);
+    }
+    return dataSource;
+  }
+
+  /*
+   Replaces the configured data source (e.g. with an InMemoryDataSource in tests)
+   
+   - @param {Object} source - Data source implementing listPatients/getPatient
+   */
+  static setDataSource(source) {
+    dataSource = source;
+  }
+
+  /*
+   Lists all available patients: uploaded patients first, then the data source's patients
+   
+   - @returns {Promise<Array<string>>} Patient identifiers
+   */
+  static async listPatients() {
+    const uploadedIds = uploadSource.getPatientIds();
+    const sourceIds = await this.getDataSource().listPatients();
+    return [...uploadedIds, ...sourceIds.filter(id => !uploadedIds.includes(id))];
+  }
+
   /*
    Retrieves and processes all data for a specific patient
    
@@ -103,33 +161,168 @@ class DataService {
     }
 
     try {
-      const patientRows = await fetchPatientCsvData(patientId);
+      const record = await this.fetchPatientRecord(patientId);
 
-      if (!Array.isArray(patientRows) || patientRows.length === 0) {
-        throw new Error(`No data found for patient ${patientId}`);
-      }
-
-      return this.processPatientData(patientRows, patientId);
+      return this.processPatientRecord(record, patientId);
     } catch (error) {
       console.error(`Error fetching patient data for ${patientId}:`, error);
       throw error;
     }
   }
 
+  /*
+   Fetches the unprocessed record for a patient from the uploads or the data source
+   
+   - @param {string} patientId - The patient identifier
+   - @param {Object} options
+   - @param {boolean} options.refresh - Ask the data source to bypass the HTTP cache
+   - @returns {Promise<Object>} Patient record ({ csvText }, { rows } or { patientData })
+   - @throws {Error} If the record cannot be retrieved
+   */
+  static async fetchPatientRecord(patientId, { refresh = false } = {}) {
+    if (!patientId) {
+      throw new Error('Patient ID is required');
+    }
+
+    const source = uploadSource.hasPatient(patientId) ? uploadSource : this.getDataSource();
+    return source.getPatient(patientId, { refresh });
+  }
+
+  /*
+   Converts a data source record into the processed patient data shape
+   
+   - @param {Object} record - Patient record ({ csvText }, { rows } or { patientData })
+   - @param {string} patientId - The patient identifier
+   - @param {Object} options
+   - @param {Function} options.onProgress - Receives { stage: 'parsing' | 'processing', fraction }
+   - @returns {Object} Processed patient data
+   - @throws {Error} If the record is empty or has an unknown shape
+   */
+  static processPatientRecord(record, patientId, { onProgress } = {}) {
+    if (record?.patientData) {
+      return record.patientData;
+    }
+
+    let patientRows;
+    let parseErrors = [];
+    if (typeof record?.csvText === 'string') {
+      ({ rows: patientRows, errors: parseErrors } = parseCsvText(record.csvText, patientId, onProgress));
+    } else if (Array.isArray(record?.rows)) {
+      patientRows = record.rows;
+    } else {
+      throw new Error(`Unsupported data format for patient ${patientId}`);
+    }
+
+    if (patientRows.length === 0) {
+      throw new Error(`No data found for patient ${patientId}`);
+    }
+
+    onProgress?.({ stage: 'processing', fraction: 0 });
+    return this.processPatientData(patientRows, patientId, parseErrors, onProgress);
+  }
+
+  /*
+   Registers an uploaded CSV file as a patient for the rest of the session. The file is
+   parsed and processed when the patient is loaded (in the worker, see patientStore.js).
+   
+   - @param {string} patientId - The patient identifier to register the data under
+   - @param {string} csvText - Raw CSV file contents
+   - @throws {Error} If the patient ID is missing or the file is empty
+   */
+  static registerUploadedPatient(patientId, csvText) {
+    if (!patientId) {
+      throw new Error('Patient ID is required');
+    }
+    if (!csvText || csvText.trim().length === 0) {
+      throw new Error(`Empty CSV file for patient ${patientId}`);
+    }
+
+    uploadSource.setPatient(patientId, { csvText });
+  }
+
+  /*
+   Returns the record registered for an uploaded patient
+   
+   - @param {string} patientId - The patient identifier
+   - @returns {Promise<Object|null>} The uploaded record, or null if the patient was not uploaded
+   */
+  static async getUploadedPatientRecord(patientId) {
+    return uploadSource.hasPatient(patientId) ? uploadSource.getPatient(patientId) : null;
+  }
+
+  /*
+   Puts back the record an uploaded patient had before a new file replaced it (e.g. when
+   the new file could not be processed); without an earlier record the patient is removed
+   
+   - @param {string} patientId - The patient identifier
+   - @param {Object|null} record - Result of getUploadedPatientRecord before the new upload
+   */
+  static restoreUploadedPatient(patientId, record) {
+    if (record) {
+      uploadSource.setPatient(patientId, record);
+    } else {
+      uploadSource.deletePatient(patientId);
+    }
+  }
+
+  /*
+   Converts an uploaded FHIR R4 Bundle and registers it as a patient for the rest of the session
+
+   - @param {string} patientId - The patient identifier to register the data under
+   - @param {Object} bundle - Parsed FHIR R4 Bundle resource
+   - @returns {Object} Processed patient data for the bundle
+   - @throws {Error} If the bundle is not a valid FHIR Bundle with a Patient resource
+   */
+  static registerFhirBundle(patientId, bundle) {
+    if (!patientId) {
+      throw new Error('Patient ID is required');
+    }
+
+    const patientData = importFhirBundle(bundle, { patientId });
+    uploadSource.setPatient(patientId, { patientData });
+    return patientData;
+  }
+
+  /*
+   Lists the patients uploaded during this session
+   
+   - @returns {Array<string>} Uploaded patient identifiers in upload order
+   */
+  static getUploadedPatientIds() {
+    return uploadSource.getPatientIds();
+  }
+
   /**
    Processes raw CSV data into structured patient information and health metrics
    
    - @param {Array} rows - Raw CSV data rows
    - @param {string} patientId - The patient identifier
+   - @param {Array} parseErrors - PapaParse errors for the rows, if parsed from CSV text
+   - @param {Function} onProgress - Optional callback receiving { stage: 'processing', fraction }
+     after each processing step
    - @returns {Object} Structured patient data object
    -  @throws {Error} If data structure is invalid or processing fails
    */
-  static processPatientData(rows, patientId) {
+  static processPatientData(rows, patientId, parseErrors = [], onProgress) {
     if (!Array.isArray(rows) || rows.length === 0) {
       throw new Error(`Invalid data structure for patient ${patientId}`);
     }
 
-    const firstRowData = rows[0];
+    // Runs one processing step and reports the share of steps done
+    let completedSteps = 0;
+    const step = (process) => {
+      const result = process();
+      completedSteps++;
+      onProgress?.({ stage: 'processing', fraction: completedSteps / PROCESSING_STEPS });
+      return result;
+    };
+
+    // Validate against the CSV schema; charts only ever see rows and values that passed
+    const validation = step(() => validatePatientRows(rows, { parseErrors }));
+    const validRows = excludeInvalidValues(rows, validation);
+
+    // Patient details come from the first usable row (a shifted row would garble medications)
+    const firstRowData = validRows[0] || rows[0];
     if (!firstRowData) {
       throw new Error(`No valid data rows found for patient ${patientId}`);
     }
@@ -143,56 +336,37 @@ class DataService {
       dataAvailable: 'May 2025'
     };
 
-    // Process medications using the cleaner individual medication fields
-    const detailedMedications = [];
-    
-    // Get medication data from the first row (should be consistent across all rows for a patient)
-    const medicationNamesStr = firstRowData['Medication_Names'] || '';
-    const medicationTypesStr = firstRowData['Medication_Types'] || '';
-    const medicationCategoriesStr = firstRowData['Medication_Categories'] || '';
-    const medicationDosagesStr = firstRowData['Medication_Dosages'] || '';
-    
-    // Split the semicolon-separated strings into arrays
-    const medicationNames = medicationNamesStr ? medicationNamesStr.split('; ').filter(Boolean) : [];
-    const medicationTypes = medicationTypesStr ? medicationTypesStr.split('; ').filter(Boolean) : [];
-    const medicationCategories = medicationCategoriesStr ? medicationCategoriesStr.split('; ').filter(Boolean) : [];
-    const medicationDosages = medicationDosagesStr ? medicationDosagesStr.split('; ').filter(Boolean) : [];
-    
-    // Process each medication
-    for (let i = 0; i < Math.max(medicationNames.length, medicationTypes.length, medicationCategories.length, medicationDosages.length); i++) {
-        const name = medicationNames[i] || '';
-        const type = medicationTypes[i] || '';
-        const category = medicationCategories[i] || '';
-        const dosage = medicationDosages[i] || '';
-        
-        if (name && name.trim() && 
-            !name.includes('Dose not specified') && 
-            name.length < 100 && // Filter out extremely long medication names
-            !name.includes('Folic Acid Iron Magnesium Calcium Pain and Inflammation')) {
-            detailedMedications.push({
-                name: name.trim(),
-                schedule: dosage.trim(), // Use dosage as schedule
-                category: '', // Don't include category in visualization
-                dosage: ''
-            });
-        }
-    }
+    // Medications are parsed per day so changes over time are kept; the patient card
+    // lists the regimen of the most recent day
+    const medicationData = step(() => this.processMedicationData(validRows));
+    const detailedMedications = medicationData.length > 0
+      ? medicationData[medicationData.length - 1].medications.map(medication => ({
+          name: medication.name,
+          schedule: medication.dosage, // Use dosage as schedule
+          type: medication.type,
+          category: medication.category,
+          dosage: ''
+        }))
+      : [];
 
     // Process conditions
     const conditionsSet = new Set();
-    const conditionsRaw = [...new Set(rows.map(row => row['Chronic_Conditions'] || row['Conditions']).filter(Boolean))];
+    const conditionsRaw = [...new Set(validRows.map(row => row['Chronic_Conditions'] || row['Conditions']).filter(Boolean))];
     conditionsRaw.forEach(conditionString => {
         conditionString.split(';').forEach(c => conditionsSet.add(c.trim()));
     });
 
     // Process all data types
-    const glucoseData = this.processGlucoseData(rows);
-    const bloodPressureData = this.processBloodPressureData(rows);
-    const exerciseData = this.processExerciseData(rows);
-    const moodData = this.processMoodData(rows);
-    const painData = this.processPainData(rows);
-    const sleepData = this.processSleepData(rows);
-    const mealData = this.processMealData(rows);
+    const glucoseData = step(() => this.processGlucoseData(validRows));
+    const bloodPressureData = step(() => this.processBloodPressureData(validRows));
+    const exerciseData = step(() => this.processExerciseData(validRows));
+    const moodData = step(() => this.processMoodData(validRows));
+    const painData = step(() => this.processPainData(validRows));
+    const sleepData = step(() => this.processSleepData(validRows));
+    const mealData = step(() => this.processMealData(validRows));
+    const weatherData = step(() => this.processWeatherData(validRows));
+    const continenceData = step(() => this.processContinenceData(validRows));
+    const healthGoalData = step(() => this.processHealthGoalData(validRows));
 
     return {
       patientInfo: { 
@@ -207,10 +381,66 @@ class DataService {
       painData,
       mealData,
       sleepData,
+      weatherData,
+      continenceData,
+      healthGoalData,
+      medicationData,
+      dataQuality: createDataQualityReport(rows, validation),
       rawData: rows
     };
   }
 
+  /**
+   Parses the medication columns of one CSV row
+   
+   - @param {Object} row - CSV data row
+   - @returns {Array} Medications with name, type, category and dosage
+   */
+  static parseMedications(row) {
+    // Split the semicolon-separated strings into arrays
+    const splitList = (value) => (value ? value.split('; ').filter(Boolean) : []);
+    const medicationNames = splitList(row['Medication_Names']);
+    const medicationTypes = splitList(row['Medication_Types']);
+    const medicationCategories = splitList(row['Medication_Categories']);
+    const medicationDosages = splitList(row['Medication_Dosages']);
+
+    const medications = [];
+    for (let i = 0; i < Math.max(medicationNames.length, medicationTypes.length, medicationCategories.length, medicationDosages.length); i++) {
+        const name = medicationNames[i] || '';
+        
+        if (name && name.trim() && 
+            !name.includes('Dose not specified') && 
+            name.length < 100 && // Filter out extremely long medication names
+            !name.includes('Folic Acid Iron Magnesium Calcium Pain and Inflammation')) {
+            medications.push({
+                name: name.trim(),
+                type: (medicationTypes[i] || '').trim(),
+                category: (medicationCategories[i] || '').trim(),
+                dosage: (medicationDosages[i] || '').trim()
+            });
+        }
+    }
+    return medications;
+  }
+
+  /**
+   Processes the daily medication lists from CSV rows
+   
+   - @param {Array} rows - CSV data rows
+   - @returns {Array} One entry per day ({ date, medications }), sorted by date
+   */
+  static processMedicationData(rows) {
+    // A blank medication list only counts as "no medications" when the count says so
+    return rows
+      .filter(row => row['Date'] && (row['Medication_Names'] || row['Medication_Count'] === '0'))
+      .map(row => ({
+        date: new Date(row['Date']),
+        medications: this.parseMedications(row)
+      }))
+      .filter(day => !isNaN(day.date.getTime()))
+      .sort((a, b) => a.date - b.date);
+  }
+
   /**
    Processes blood glucose data from CSV rows
    
@@ -391,17 +621,93 @@ class DataService {
   /**
    Processes mood data from CSV rows
    
+   Intraday entries (Mood_1..Mood_N with Mood_Time_1..Mood_Time_N) take precedence;
+   rows without them fall back to the daily Mood column.
+   
    - @param {Array} rows - CSV data rows
-   - @returns {Array} Processed mood data with categories
+   - @returns {Array} Processed mood entries with categories and times ('HH:MM', null if
+     untimed), in time order within each day
    */
   static processMoodData(rows) {
-    return rows.filter(row => row['Mood']).map(row => ({
+    return rows.flatMap(row => {
+      const baseDate = new Date(row['Date']);
+      const entries = [];
+
+      for (let i = 1; i <= MAX_MOOD_ENTRIES; i++) {
+        const mood = row[`Mood_${i}`];
+        if (!mood) continue;
+
+        const time = row[`Mood_Time_${i}`] || null;
+        const date = new Date(baseDate);
+        if (time) {
+          const [hours, minutes] = time.split(':').map(Number);
+          date.setHours(hours, minutes);
+        }
+        entries.push({ date, time, mood, category: mood });
+      }
+
+      if (entries.length === 0 && row['Mood']) {
+        entries.push({ date: baseDate, time: null, mood: row['Mood'], category: row['Mood'] });
+      }
+
+      return entries.sort((a, b) => a.date - b.date);
+    });
+  }
+
+  /**
+   Processes weather data from CSV rows
+   
+   - @param {Array} rows - CSV data rows
+   - @returns {Array} Daily weather ('Good' or 'Bad')
+   */
+  static processWeatherData(rows) {
+    return rows.filter(row => row['Weather']).map(row => ({
+        date: new Date(row['Date']),
+        weather: row['Weather']
+    }));
+  }
+
+  /**
+   Processes continence data from CSV rows
+   
+   - @param {Array} rows - CSV data rows
+   - @returns {Array} Continence per day: urinary and fecal are true when continent,
+     false for an incontinence episode and null without an entry
+   */
+  static processContinenceData(rows) {
+    return rows.filter(row => row['Urinary_Continence'] || row['Fecal_Continence']).map(row => ({
+        date: new Date(row['Date']),
+        urinary: this.parseYesNo(row['Urinary_Continence']),
+        fecal: this.parseYesNo(row['Fecal_Continence'])
+    }));
+  }
+
+  /**
+   Processes the self-reported daily health goal flag from CSV rows
+   
+   - @param {Array} rows - CSV data rows
+   - @returns {Array} Days with a report: met is true when the patient reported meeting
+     their health goals
+   */
+  static processHealthGoalData(rows) {
+    return rows.filter(row => this.parseYesNo(row['Health_Goal_Met']) !== null).map(row => ({
         date: new Date(row['Date']),
-        mood: row['Mood'],
-        category: row['Mood'] || 'neutral'
+        met: this.parseYesNo(row['Health_Goal_Met'])
     }));
   }
 
+  /**
+   Converts a Yes/No CSV value
+   
+   - @param {string} value - 'Yes', 'No' or empty
+   - @returns {boolean|null} True for 'Yes', false for 'No', null otherwise
+   */
+  static parseYesNo(value) {
+    if (value === 'Yes') return true;
+    if (value === 'No') return false;
+    return null;
+  }
+
   /**
    Processes pain data from CSV rows
    
@@ -0,0 +1,65 @@
+/*
+ InMemoryDataSource.js - In-Memory Data Source
+
+ Holds patient records in memory. Used for patients uploaded during the session
+ and as a drop-in source for tests, where records can be supplied directly
+ without any network access.
+ */
+
+class InMemoryDataSource {
+  /*
+   - @param {Object} options
+   - @param {Object} options.patients - Map of patient ID to patient record
+     ({ csvText }, { rows } or { patientData })
+   */
+  constructor({ patients = {} } = {}) {
+    this.patients = new Map(Object.entries(patients));
+  }
+
+  /*
+   Lists the stored patients in insertion order
+
+   - @returns {Promise<Array<string>>} Patient identifiers
+   */
+  async listPatients() {
+    return this.getPatientIds();
+  }
+
+  /*
+   Returns the stored record for a patient
+
+   - @param {string} patientId - The patient identifier
+   - @returns {Promise<Object>} The stored patient record
+   - @throws {Error} If no record is stored for the patient
+   */
+  async getPatient(patientId) {
+    if (!this.patients.has(patientId)) {
+      throw new Error(`No data found for patient ${patientId}`);
+    }
+    return this.patients.get(patientId);
+  }
+
+  /*
+   Adds or replaces the record for a patient
+
+   - @param {string} patientId - The patient identifier
+   - @param {Object} record - Patient record ({ csvText }, { rows } or { patientData })
+   */
+  setPatient(patientId, record) {
+    this.patients.set(patientId, record);
+  }
+
+  deletePatient(patientId) {
+    this.patients.delete(patientId);
+  }
+
+  hasPatient(patientId) {
+    return this.patients.has(patientId);
+  }
+
+  getPatientIds() {
+    return Array.from(this.patients.keys());
+  }
+}
+
+export default InMemoryDataSource;
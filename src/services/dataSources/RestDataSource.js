@@ -0,0 +1,76 @@
+/*
+ RestDataSource.js - REST Endpoint Data Source
+
+ Reads patient data from a configurable REST API:
+ - GET `${baseUrl}/patients` returns a JSON array of patient IDs
+   (or of objects with an `id` field)
+ - GET `${baseUrl}/patients/:id` returns either the wide CSV export
+   (text/csv) or a JSON array of rows using the same column names
+ */
+
+class RestDataSource {
+  /*
+   - @param {Object} options
+   - @param {string} options.baseUrl - Root URL of the API
+   - @param {Object} options.headers - Extra request headers (e.g. Authorization)
+   */
+  constructor({ baseUrl, headers = {} }) {
+    if (!baseUrl) {
+      throw new Error('RestDataSource requires a baseUrl');
+    }
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.headers = headers;
+  }
+
+  async request(path, { refresh = false } = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      headers: this.headers,
+      cache: refresh ? 'no-cache' : 'default'
+    });
+
+    if (!response.ok) {
+      throw new Error(`Request to ${path} failed: ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+
+  /*
+   Lists the patients available from the API
+
+   - @returns {Promise<Array<string>>} Patient identifiers
+   - @throws {Error} If the request fails or the response is malformed
+   */
+  async listPatients() {
+    const response = await this.request('/patients');
+    const patients = await response.json();
+
+    if (!Array.isArray(patients)) {
+      throw new Error('Patient list response must be an array');
+    }
+
+    return patients.map(patient => (typeof patient === 'string' ? patient : patient.id));
+  }
+
+  /*
+   Fetches the record for a specific patient
+
+   - @param {string} patientId - The patient identifier
+   - @param {Object} options
+   - @param {boolean} options.refresh - Revalidate with the server instead of using the HTTP cache
+   - @returns {Promise<Object>} Patient record ({ csvText } or { rows })
+   - @throws {Error} If the request fails
+   */
+  async getPatient(patientId, { refresh = false } = {}) {
+    const response = await this.request(`/patients/${encodeURIComponent(patientId)}`, { refresh });
+    const contentType = response.headers.get('Content-Type') || '';
+
+    if (contentType.includes('application/json')) {
+      return { rows: await response.json() };
+    }
+
+    return { csvText: await response.text() };
+  }
+}
+
+export default RestDataSource;
@@ -0,0 +1,65 @@
+/*
+ StaticCsvDataSource.js - Static CSV Folder Data Source
+
+ Reads patient data from a folder of wide-format CSV files served alongside the
+ app (the bundled synthetic_patients folder by default). The folder must contain
+ an index.json manifest listing the available patient IDs; each patient is then
+ read from `${baseUrl}/${patientId}.csv`.
+ */
+
+class StaticCsvDataSource {
+  /*
+   - @param {Object} options
+   - @param {string} options.baseUrl - URL of the folder holding the CSV files and index.json
+   */
+  constructor({ baseUrl }) {
+    if (!baseUrl) {
+      throw new Error('StaticCsvDataSource requires a baseUrl');
+    }
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /*
+   Lists the patients in the folder manifest
+
+   - @returns {Promise<Array<string>>} Patient identifiers
+   - @throws {Error} If the manifest cannot be fetched or is malformed
+   */
+  async listPatients() {
+    const response = await fetch(`${this.baseUrl}/index.json`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch patient list: ${response.status} ${response.statusText}`);
+    }
+
+    const patientIds = await response.json();
+    if (!Array.isArray(patientIds)) {
+      throw new Error('Patient list manifest must be an array of patient IDs');
+    }
+
+    return patientIds;
+  }
+
+  /*
+   Fetches the raw CSV text for a specific patient
+
+   - @param {string} patientId - The patient identifier
+   - @param {Object} options
+   - @param {boolean} options.refresh - Revalidate with the server instead of using the HTTP cache
+   - @returns {Promise<Object>} Patient record of the form { csvText }
+   - @throws {Error} If the CSV fetch fails
+   */
+  async getPatient(patientId, { refresh = false } = {}) {
+    const response = await fetch(`${this.baseUrl}/${encodeURIComponent(patientId)}.csv`, {
+      cache: refresh ? 'no-cache' : 'default'
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch CSV for ${patientId}: ${response.status} ${response.statusText}`);
+    }
+
+    return { csvText: await response.text() };
+  }
+}
+
+export default StaticCsvDataSource;
@@ -0,0 +1,39 @@
+/*
+ dataSources/index.js - Patient Data Source Factory
+
+ Every data source implements the same interface:
+ - listPatients(): Promise<Array<string>> of patient IDs
+ - getPatient(patientId, { refresh }): Promise<Object> patient record, one of
+   { csvText } - raw wide-format CSV text
+   { rows }    - already parsed wide-format rows
+   { patientData } - a fully processed patient object (e.g. from an importer)
+
+ `refresh` asks the source to bypass the HTTP cache. DataService turns any of
+ these records into the processed patient shape.
+ */
+
+import StaticCsvDataSource from './StaticCsvDataSource';
+import InMemoryDataSource from './InMemoryDataSource';
+import RestDataSource from './RestDataSource';
+
+/*
+ Creates the data source described by the app configuration
+
+ - @param {Object} config - Data source configuration (see DATA_SOURCE_CONFIG)
+ - @returns {Object} Data source instance
+ - @throws {Error} If the configured type is unknown
+ */
+export const createDataSource = (config) => {
+  switch (config.type) {
+    case 'static':
+      return new StaticCsvDataSource(config.static);
+    case 'memory':
+      return new InMemoryDataSource(config.memory);
+    case 'rest':
+      return new RestDataSource(config.rest);
+    default:
+      throw new Error(`Unknown data source type: ${config.type}`);
+  }
+};
+
+export { StaticCsvDataSource, InMemoryDataSource, RestDataSource };
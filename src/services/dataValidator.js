@@ -0,0 +1,209 @@
+/*
+ dataValidator.js - Patient CSV Validation
+
+ Checks parsed wide-format CSV rows against the column schema (csvSchema.js)
+ and reports every problem as a per-row, per-column issue:
+ - missing-date / invalid-date: the row cannot be placed on a chart axis
+ - invalid-time: times such as 24:39 or 9.30
+ - invalid-number: non-numeric values such as NaN
+ - out-of-range: implausible vitals (e.g. systolic 400, pain level 14)
+ - unknown-value: values outside an enumerated vocabulary (e.g. an unknown weather value);
+   a warning for keepUnknown columns such as Mood, whose chart shows unknown values
+ - column-shift: rows with more or fewer fields than the header, typically
+   caused by unquoted commas inside medication names
+ - medication-mismatch: medication lists of different lengths
+
+ Issues with severity 'error' are excluded before processing: rows with a
+ row-level error are skipped entirely, other errors blank the affected cell so
+ the charts skip that reading. 'warning' issues are reported but kept.
+ */
+
+import { PATIENT_CSV_SCHEMA, MEDICATION_LIST_COLUMNS } from './csvSchema';
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+// --- Helper Functions ---
+const createIssue = (rowIndex, row, column, value, type, message, severity = 'error') => ({
+  row: rowIndex,
+  line: rowIndex + 2, // 1-based file line, after the header
+  date: row?.Date || '',
+  column,
+  value: value ?? '',
+  type,
+  severity,
+  message
+});
+
+const splitList = (value) => (value ? value.split('; ').filter(Boolean) : []);
+
+const checkValue = (column, value) => {
+  const isEmpty = value === undefined || value === null || value === '';
+
+  if (isEmpty) {
+    if (!column.required) return null;
+    return column.type === 'date'
+      ? { type: 'missing-date', message: 'Missing date' }
+      : { type: 'missing-value', message: `Missing ${column.name}` };
+  }
+
+  if (column.emptyValues?.includes(value)) return null;
+
+  switch (column.type) {
+    case 'date':
+      return isNaN(new Date(value))
+        ? { type: 'invalid-date', message: `Invalid date "${value}"` }
+        : null;
+
+    case 'time': {
+      const match = TIME_PATTERN.exec(value);
+      const valid = match && Number(match[1]) < 24 && Number(match[2]) < 60;
+      return valid ? null : { type: 'invalid-time', message: `Invalid time "${value}"` };
+    }
+
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (!Number.isFinite(number) || (column.type === 'integer' && !Number.isInteger(number))) {
+        return { type: 'invalid-number', message: `Invalid ${column.type} "${value}"` };
+      }
+      if ((column.min !== undefined && number < column.min) ||
+          (column.max !== undefined && number > column.max)) {
+        return {
+          type: 'out-of-range',
+          message: `${value} is outside the plausible range ${column.min}-${column.max}`
+        };
+      }
+      return null;
+    }
+
+    case 'enum':
+      return column.values.includes(value)
+        ? null
+        : { type: 'unknown-value', message: `Unknown value "${value}"` };
+
+    case 'flag':
+      return value === '0' || value === '1'
+        ? null
+        : { type: 'unknown-value', message: `Expected 0 or 1, got "${value}"` };
+
+    default:
+      return null;
+  }
+};
+
+const checkMedicationLists = (row) => {
+  const present = MEDICATION_LIST_COLUMNS.filter(name => row[name] !== undefined);
+  if (present.length === 0) return null;
+
+  const counts = present.map(name => splitList(row[name]).length);
+  const declaredCount = parseInt(row['Medication_Count'], 10);
+  const listsDisagree = counts.some(count => count !== counts[0]);
+  const countDisagrees = !isNaN(declaredCount) && counts[0] !== declaredCount;
+
+  if (!listsDisagree && !countDisagrees) return null;
+  return `Medication columns list ${counts.join('/')} entries` +
+    (isNaN(declaredCount) ? '' : ` (Medication_Count is ${declaredCount})`);
+};
+
+const describeParseError = (error) => {
+  if (error.type === 'FieldMismatch') {
+    return { type: 'column-shift', message: `${error.message} - values after the shift are unreliable` };
+  }
+  return { type: 'parse-error', message: error.message };
+};
+
+/*
+ Validates parsed patient CSV rows against the column schema
+
+ - @param {Array} rows - Parsed CSV rows (objects keyed by column header)
+ - @param {Object} options
+ - @param {Array} options.parseErrors - PapaParse errors for the same rows
+ - @returns {Object} { issues, invalidRows: Set<number>, invalidCells: Map<number, Set<string>> }
+ */
+export const validatePatientRows = (rows, { parseErrors = [] } = {}) => {
+  const issues = [];
+  const invalidRows = new Set();
+  const invalidCells = new Map();
+
+  const markCell = (rowIndex, columnName) => {
+    if (!invalidCells.has(rowIndex)) invalidCells.set(rowIndex, new Set());
+    invalidCells.get(rowIndex).add(columnName);
+  };
+
+  parseErrors
+    .filter(error => typeof error.row === 'number')
+    .forEach(error => {
+      const { type, message } = describeParseError(error);
+      issues.push(createIssue(error.row, rows[error.row], '', '', type, message));
+      invalidRows.add(error.row);
+    });
+
+  const headers = new Set(rows.length > 0 ? Object.keys(rows[0]) : []);
+  const columns = PATIENT_CSV_SCHEMA.filter(column => headers.has(column.name));
+
+  rows.forEach((row, rowIndex) => {
+    columns.forEach(column => {
+      const value = row[column.name];
+      const problem = checkValue(column, value);
+      if (!problem) return;
+
+      if (column.keepUnknown && problem.type === 'unknown-value') {
+        issues.push(createIssue(rowIndex, row, column.name, value, problem.type, problem.message, 'warning'));
+        return;
+      }
+
+      issues.push(createIssue(rowIndex, row, column.name, value, problem.type, problem.message));
+      if (column.rowLevel) {
+        invalidRows.add(rowIndex);
+      } else {
+        markCell(rowIndex, column.name);
+      }
+    });
+
+    const medicationProblem = checkMedicationLists(row);
+    if (medicationProblem) {
+      issues.push(createIssue(
+        rowIndex, row, 'Medication_Names', row['Medication_Names'],
+        'medication-mismatch', medicationProblem, 'warning'
+      ));
+    }
+  });
+
+  issues.sort((a, b) => a.row - b.row);
+  return { issues, invalidRows, invalidCells };
+};
+
+/*
+ Removes everything the validator rejected so processing never sees it:
+ rows with row-level errors are dropped and invalid cells are blanked
+
+ - @param {Array} rows - Parsed CSV rows
+ - @param {Object} validation - Result of validatePatientRows
+ - @returns {Array} Rows safe to process
+ */
+export const excludeInvalidValues = (rows, { invalidRows, invalidCells }) =>
+  rows
+    .map((row, rowIndex) => {
+      if (invalidRows.has(rowIndex)) return null;
+      const cells = invalidCells.get(rowIndex);
+      if (!cells) return row;
+
+      const cleaned = { ...row };
+      cells.forEach(columnName => { cleaned[columnName] = ''; });
+      return cleaned;
+    })
+    .filter(Boolean);
+
+/*
+ Builds the data quality report stored with the processed patient data
+
+ - @param {Array} rows - Parsed CSV rows
+ - @param {Object} validation - Result of validatePatientRows
+ - @returns {Object} { rowsChecked, rowsWithIssues, rowsSkipped, issues }
+ */
+export const createDataQualityReport = (rows, { issues, invalidRows }) => ({
+  rowsChecked: rows.length,
+  rowsWithIssues: new Set(issues.map(issue => issue.row)).size,
+  rowsSkipped: invalidRows.size,
+  issues
+});
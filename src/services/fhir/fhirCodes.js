@@ -0,0 +1,113 @@
+/*
+ fhirCodes.js - FHIR Terminology Shared by Import and Export
+
+ LOINC codes, code systems and unit helpers used to map between FHIR R4
+ resources and the dashboard's processed patient data.
+ */
+
+export const LOINC_SYSTEM = 'http://loinc.org';
+export const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+export const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+export const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+export const CONDITION_CLINICAL_SYSTEM = 'http://terminology.hl7.org/CodeSystem/condition-clinical';
+
+// Identifier system carrying the dashboard's own patient ID (e.g. "Patient_042")
+export const PATIENT_IDENTIFIER_SYSTEM = 'urn:mcc-health-dashboard:patient-id';
+
+// MedicationStatement extension carrying the medication type (e.g. "Prescribed", "Supplement")
+export const MEDICATION_TYPE_EXTENSION = 'urn:mcc-health-dashboard:medication-type';
+
+// Glucose conversion factor between mg/dL and mmol/L
+export const GLUCOSE_MGDL_PER_MMOLL = 18.016;
+
+export const LOINC = {
+  // Blood glucose
+  glucoseMassBlood: '2339-0',
+  glucoseMassSerumPlasma: '2345-7',
+  glucoseMassCapillaryGlucometer: '41653-7',
+  glucoseMolesBlood: '15074-8',
+  glucoseMolesCapillaryGlucometer: '14743-9',
+  glucoseMolesSerumPlasma: '14749-6',
+  glucoseFastingMassSerumPlasma: '1558-6',
+  glucosePostMealMassSerumPlasma: '1521-4',
+
+  // Blood pressure
+  bloodPressurePanel: '85354-9',
+  bloodPressurePanelLegacy: '55284-4',
+  systolic: '8480-6',
+  diastolic: '8462-4',
+
+  // Other vitals
+  age: '30525-0',
+  sleepDuration: '93832-4',
+  painSeverity: '72514-3',
+  exerciseDuration: '55411-3',
+  exerciseActivity: '73985-4'
+};
+
+export const GLUCOSE_CODES = [
+  LOINC.glucoseMassBlood,
+  LOINC.glucoseMassSerumPlasma,
+  LOINC.glucoseMassCapillaryGlucometer,
+  LOINC.glucoseMolesBlood,
+  LOINC.glucoseMolesCapillaryGlucometer,
+  LOINC.glucoseMolesSerumPlasma,
+  LOINC.glucoseFastingMassSerumPlasma,
+  LOINC.glucosePostMealMassSerumPlasma
+];
+
+export const BLOOD_PRESSURE_PANEL_CODES = [LOINC.bloodPressurePanel, LOINC.bloodPressurePanelLegacy];
+
+// FHIR EventTiming codes (Timing.repeat.when) relative to meals
+export const PRE_MEAL_TIMING_CODES = ['AC', 'ACM', 'ACD', 'ACV'];
+export const POST_MEAL_TIMING_CODES = ['PC', 'PCM', 'PCD', 'PCV'];
+
+// Glucose range <-> Observation.interpretation codes
+export const GLUCOSE_RANGE_INTERPRETATIONS = {
+  'below range': { code: 'L', display: 'Low' },
+  'in range': { code: 'N', display: 'Normal' },
+  'above range': { code: 'H', display: 'High' }
+};
+
+/*
+ Returns the LOINC codes of a CodeableConcept
+
+ - @param {Object} codeableConcept - FHIR CodeableConcept
+ - @returns {Array<string>} LOINC codes present in the concept
+ */
+export const getLoincCodes = (codeableConcept) =>
+  (codeableConcept?.coding || [])
+    .filter(coding => !coding.system || coding.system === LOINC_SYSTEM)
+    .map(coding => coding.code);
+
+/*
+ Converts a FHIR Quantity holding a glucose value to mmol/L
+
+ - @param {Object} quantity - FHIR Quantity
+ - @returns {number|null} Glucose in mmol/L, or null if the unit is not supported
+ */
+export const glucoseQuantityToMmol = (quantity) => {
+  if (!quantity || typeof quantity.value !== 'number') return null;
+  const unit = (quantity.code || quantity.unit || '').toLowerCase();
+
+  if (unit === 'mmol/l') return quantity.value;
+  if (unit === 'mg/dl') return quantity.value / GLUCOSE_MGDL_PER_MMOLL;
+  return null;
+};
+
+/*
+ Converts a FHIR Quantity holding a duration to the requested unit
+
+ - @param {Object} quantity - FHIR Quantity
+ - @param {string} targetUnit - 'h' or 'min'
+ - @returns {number|null} Duration in the target unit, or null if the unit is not supported
+ */
+export const durationQuantityTo = (quantity, targetUnit) => {
+  if (!quantity || typeof quantity.value !== 'number') return null;
+  const unit = (quantity.code || quantity.unit || '').toLowerCase();
+  const minutesPerUnit = { min: 1, minutes: 1, h: 60, hr: 60, hours: 60, d: 1440 };
+
+  if (!minutesPerUnit[unit]) return null;
+  const minutes = quantity.value * minutesPerUnit[unit];
+  return targetUnit === 'h' ? minutes / 60 : minutes;
+};
@@ -0,0 +1,358 @@
+/*
+ fhirExporter.js - FHIR R4 Bundle Exporter
+
+ Converts the processed patient object returned by DataService (and
+ usePatientData) into a FHIR R4 collection Bundle for downstream EHR tooling.
+
+ Exported resources:
+ - Patient (with the dashboard patient ID as an identifier) and an age Observation
+ - Observations using LOINC codes: blood glucose (mmol/L, measurement type in
+   Observation.method, range in Observation.interpretation), blood pressure
+   panels, sleep duration, pain severity and exercise duration per activity
+ - One MedicationStatement per medication period (start to stop or dose change),
+   with the dosage, category and medication type; periods still running on the
+   last recorded day are active, earlier ones stopped
+ - Condition resources
+ - Optionally, physician notes as one ClinicalImpression per chart: the chart
+   note in summary and its date annotations in note (services/notesStore.js)
+
+ The output is the inverse of fhirImporter.js: importing an exported Bundle
+ yields the same values the dashboard shows (physician notes are export-only).
+ */
+
+import {
+  LOINC,
+  LOINC_SYSTEM,
+  UCUM_SYSTEM,
+  OBSERVATION_CATEGORY_SYSTEM,
+  INTERPRETATION_SYSTEM,
+  CONDITION_CLINICAL_SYSTEM,
+  PATIENT_IDENTIFIER_SYSTEM,
+  MEDICATION_TYPE_EXTENSION,
+  GLUCOSE_RANGE_INTERPRETATIONS
+} from './fhirCodes';
+import { VISUALIZATION_CONFIG } from '../../constants';
+import { buildMedicationTimeline, UNCATEGORIZED_MEDICATIONS } from '../../analytics/medicationTimeline';
+
+const FHIR_GENDERS = ['male', 'female', 'other', 'unknown'];
+
+const EXERCISE_ACTIVITIES = [
+  'walking',
+  'swimming',
+  'running',
+  'resistance/weights',
+  'biking',
+  'balance/stretching',
+  'other'
+];
+
+// --- Helper Functions ---
+
+// FHIR resource ids only allow letters, digits, '-' and '.' (max 64 characters)
+const toFhirId = (value) => String(value).replace(/[^A-Za-z0-9\-.]/g, '-').slice(0, 64);
+
+const isValidDate = (date) => date instanceof Date && !isNaN(date);
+
+const loincConcept = (code, display) => ({
+  coding: [{ system: LOINC_SYSTEM, code, display }],
+  text: display
+});
+
+const categoryConcept = (code) => [{
+  coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code }]
+}];
+
+const quantity = (value, unit) => ({ value, unit, system: UCUM_SYSTEM, code: unit });
+
+const createObservation = (id, patientRef, { category, code, display, date, ...rest }) => ({
+  resourceType: 'Observation',
+  id,
+  status: 'final',
+  category: categoryConcept(category),
+  code: loincConcept(code, display),
+  subject: { reference: patientRef },
+  effectiveDateTime: date.toISOString(),
+  ...rest
+});
+
+// --- Resource Builders ---
+const buildPatient = (patientInfo, fhirId) => {
+  const patient = {
+    resourceType: 'Patient',
+    id: fhirId,
+    identifier: [{ system: PATIENT_IDENTIFIER_SYSTEM, value: String(patientInfo.patientId) }]
+  };
+
+  if (patientInfo.name && patientInfo.name !== 'Not specified') {
+    patient.name = [{ text: patientInfo.name }];
+  }
+
+  const gender = String(patientInfo.gender || '').toLowerCase();
+  if (FHIR_GENDERS.includes(gender)) {
+    patient.gender = gender;
+  }
+
+  return patient;
+};
+
+const buildAgeObservation = (patientInfo, fhirId, patientRef) => {
+  const age = parseInt(patientInfo.age, 10);
+  if (isNaN(age)) return [];
+
+  return [createObservation(`${fhirId}-age`, patientRef, {
+    category: 'survey',
+    code: LOINC.age,
+    display: 'Age',
+    date: new Date(),
+    valueQuantity: quantity(age, 'a')
+  })];
+};
+
+const buildGlucoseObservations = (glucoseData, fhirId, patientRef) =>
+  glucoseData
+    .filter(reading => isValidDate(reading.date) && reading.value > 0)
+    .map((reading, index) => {
+      const observation = createObservation(`${fhirId}-glucose-${index}`, patientRef, {
+        category: 'laboratory',
+        code: LOINC.glucoseMolesBlood,
+        display: 'Glucose [Moles/volume] in Blood',
+        date: reading.date,
+        valueQuantity: quantity(reading.value, 'mmol/L')
+      });
+
+      if (reading.measurementType && reading.measurementType !== 'Random') {
+        observation.method = { text: reading.measurementType };
+      }
+
+      const interpretation = GLUCOSE_RANGE_INTERPRETATIONS[reading.range];
+      if (interpretation) {
+        observation.interpretation = [{
+          coding: [{ system: INTERPRETATION_SYSTEM, ...interpretation }],
+          text: reading.range
+        }];
+      }
+
+      return observation;
+    });
+
+const buildBloodPressureObservations = (bloodPressureData, fhirId, patientRef) =>
+  bloodPressureData
+    .filter(reading => isValidDate(reading.date) && reading.systolic > 0 && reading.diastolic > 0)
+    .map((reading, index) => createObservation(`${fhirId}-bp-${index}`, patientRef, {
+      category: 'vital-signs',
+      code: LOINC.bloodPressurePanel,
+      display: 'Blood pressure panel with all children optional',
+      date: reading.date,
+      component: [
+        {
+          code: loincConcept(LOINC.systolic, 'Systolic blood pressure'),
+          valueQuantity: quantity(reading.systolic, 'mm[Hg]')
+        },
+        {
+          code: loincConcept(LOINC.diastolic, 'Diastolic blood pressure'),
+          valueQuantity: quantity(reading.diastolic, 'mm[Hg]')
+        }
+      ]
+    }));
+
+const buildSleepObservations = (sleepData, fhirId, patientRef) =>
+  sleepData
+    .filter(entry => isValidDate(entry.date) && entry.hours > 0)
+    .map((entry, index) => {
+      const observation = createObservation(`${fhirId}-sleep-${index}`, patientRef, {
+        category: 'activity',
+        code: LOINC.sleepDuration,
+        display: 'Sleep duration',
+        date: entry.date,
+        valueQuantity: quantity(entry.hours, 'h')
+      });
+
+      // Sleep quality has no LOINC code, so it travels as text-coded components
+      const component = [];
+      if (entry.quality) {
+        component.push({ code: { text: 'Sleep quality' }, valueCodeableConcept: { text: entry.quality } });
+      }
+      if (Number.isFinite(entry.qualityCode)) {
+        component.push({ code: { text: 'Sleep quality code' }, valueInteger: entry.qualityCode });
+      }
+      if (component.length > 0) {
+        observation.component = component;
+      }
+
+      return observation;
+    });
+
+const buildPainObservations = (painData, fhirId, patientRef) =>
+  painData
+    .filter(entry => isValidDate(entry.date) && Number.isFinite(entry.level))
+    .map((entry, index) => {
+      const observation = createObservation(`${fhirId}-pain-${index}`, patientRef, {
+        category: 'survey',
+        code: LOINC.painSeverity,
+        display: 'Pain severity - 0-10 verbal numeric rating [Score] - Reported',
+        date: entry.date,
+        valueInteger: entry.level
+      });
+
+      if (entry.location) {
+        observation.bodySite = { text: entry.location };
+      }
+
+      return observation;
+    });
+
+const buildExerciseObservations = (exerciseData, fhirId, patientRef) =>
+  exerciseData
+    .filter(day => isValidDate(day.date))
+    .flatMap(day => EXERCISE_ACTIVITIES
+      .filter(activity => day[activity] > 0)
+      .map(activity => ({ date: day.date, activity, minutes: day[activity] })))
+    .map((entry, index) => createObservation(`${fhirId}-exercise-${index}`, patientRef, {
+      category: 'activity',
+      code: LOINC.exerciseDuration,
+      display: 'Exercise duration',
+      date: entry.date,
+      valueQuantity: quantity(entry.minutes, 'min'),
+      component: [{
+        code: loincConcept(LOINC.exerciseActivity, 'Exercise activity'),
+        valueCodeableConcept: { text: entry.activity }
+      }]
+    }));
+
+const createMedicationStatement = (id, patientRef, { name, type, category, dosage, status, period }) => {
+  const statement = {
+    resourceType: 'MedicationStatement',
+    id,
+    status,
+    medicationCodeableConcept: { text: name },
+    subject: { reference: patientRef }
+  };
+
+  if (type) {
+    statement.extension = [{ url: MEDICATION_TYPE_EXTENSION, valueString: type }];
+  }
+  if (category) {
+    statement.category = { text: category };
+  }
+  if (period) {
+    statement.effectivePeriod = period;
+  }
+  if (dosage) {
+    statement.dosage = [{ text: dosage }];
+  }
+
+  return statement;
+};
+
+// One statement per period of the daily medication lists; without them (e.g. a
+// source with only a current list), one active statement per current medication
+const buildMedicationStatements = (patientData, fhirId, patientRef) => {
+  const { lastDay, medications } = buildMedicationTimeline(patientData.medicationData || []);
+
+  if (medications.length === 0) {
+    return (patientData.patientInfo.detailedMedications || [])
+      .filter(medication => medication.name)
+      .map((medication, index) => createMedicationStatement(`${fhirId}-medication-${index}`, patientRef, {
+        ...medication,
+        dosage: medication.schedule,
+        status: 'active'
+      }));
+  }
+
+  return medications
+    .flatMap(medication => medication.periods.map(period => ({ medication, period })))
+    .map(({ medication, period }, index) => {
+      const active = period.end === lastDay;
+      return createMedicationStatement(`${fhirId}-medication-${index}`, patientRef, {
+        name: medication.name,
+        type: medication.type,
+        // The timeline files medications without a category under 'Other'
+        category: medication.category === UNCATEGORIZED_MEDICATIONS ? '' : medication.category,
+        dosage: period.dosage,
+        status: active ? 'active' : 'stopped',
+        period: active ? { start: period.start } : { start: period.start, end: period.end }
+      });
+    });
+};
+
+const buildConditions = (conditions, fhirId, patientRef) =>
+  conditions
+    .filter(Boolean)
+    .map((condition, index) => ({
+      resourceType: 'Condition',
+      id: `${fhirId}-condition-${index}`,
+      clinicalStatus: {
+        coding: [{ system: CONDITION_CLINICAL_SYSTEM, code: 'active' }]
+      },
+      code: { text: condition },
+      subject: { reference: patientRef }
+    }));
+
+const buildClinicalImpressions = ({ chartNotes = {}, annotations = [] }, fhirId, patientRef) => {
+  const chartTypes = Array.from(new Set([
+    ...Object.keys(chartNotes),
+    ...annotations.map(annotation => annotation.chartType)
+  ]));
+
+  return chartTypes.map(chartType => {
+    const impression = {
+      resourceType: 'ClinicalImpression',
+      id: toFhirId(`${fhirId}-notes-${chartType}`),
+      status: 'completed',
+      description: VISUALIZATION_CONFIG[chartType]?.name || chartType,
+      subject: { reference: patientRef }
+    };
+
+    if (chartNotes[chartType]) {
+      impression.summary = chartNotes[chartType];
+    }
+
+    const chartAnnotations = annotations.filter(annotation => annotation.chartType === chartType);
+    if (chartAnnotations.length > 0) {
+      impression.note = chartAnnotations.map(annotation => ({ time: annotation.date, text: annotation.text }));
+    }
+
+    return impression;
+  });
+};
+
+/*
+ Converts processed patient data into a FHIR R4 collection Bundle
+
+ - @param {Object} patientData - Processed patient data (as returned by usePatientData)
+ - @param {Object} options
+ - @param {Object} options.notes - Physician notes to include ({ chartNotes, annotations })
+ - @returns {Object} FHIR R4 Bundle resource
+ - @throws {Error} If the patient data has no patient information
+ */
+export const exportFhirBundle = (patientData, { notes } = {}) => {
+  const patientInfo = patientData?.patientInfo;
+  if (!patientInfo?.patientId) {
+    throw new Error('FHIR export requires loaded patient data');
+  }
+
+  const fhirId = toFhirId(patientInfo.patientId);
+  const patientRef = `Patient/${fhirId}`;
+
+  const resources = [
+    buildPatient(patientInfo, fhirId),
+    ...buildAgeObservation(patientInfo, fhirId, patientRef),
+    ...buildGlucoseObservations(patientData.glucoseData || [], fhirId, patientRef),
+    ...buildBloodPressureObservations(patientData.bloodPressureData || [], fhirId, patientRef),
+    ...buildSleepObservations(patientData.sleepData || [], fhirId, patientRef),
+    ...buildPainObservations(patientData.painData || [], fhirId, patientRef),
+    ...buildExerciseObservations(patientData.exerciseData || [], fhirId, patientRef),
+    ...buildMedicationStatements(patientData, fhirId, patientRef),
+    ...buildConditions(patientInfo.conditions || [], fhirId, patientRef),
+    ...(notes ? buildClinicalImpressions(notes, fhirId, patientRef) : [])
+  ];
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: resources.map(resource => ({ resource }))
+  };
+};
+
+export default exportFhirBundle;
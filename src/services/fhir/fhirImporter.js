@@ -0,0 +1,450 @@
+/*
+ fhirImporter.js - FHIR R4 Bundle Importer
+
+ Converts a FHIR R4 Bundle (Patient, Observation, MedicationStatement, Condition)
+ into the same processed patient object that DataService.processPatientData
+ returns, so every chart works unchanged on FHIR data.
+
+ Supported Observations:
+ - Blood glucose (mg/dL or mmol/L; stored as mmol/L). The measurement type is
+   derived from Timing.repeat.when meal codes, fasting/post-meal LOINC codes,
+   or fasting/post-meal wording in the specimen, method or code text
+ - Blood pressure panels with systolic/diastolic components, and standalone
+   systolic/diastolic Observations paired by effective time
+ - Sleep duration (with optional sleep quality components)
+ - Pain severity (body site as the pain location)
+ - Exercise duration, grouped per day by exercise activity
+
+ MedicationStatements give the current medication list and, through their
+ effectivePeriod, the daily medication lists of the medication timeline (with the
+ medication type from the dashboard's type extension, when present).
+
+ Bundles written by fhirExporter.js round-trip to the same values.
+ */
+
+import {
+  LOINC,
+  GLUCOSE_CODES,
+  BLOOD_PRESSURE_PANEL_CODES,
+  PRE_MEAL_TIMING_CODES,
+  POST_MEAL_TIMING_CODES,
+  PATIENT_IDENTIFIER_SYSTEM,
+  MEDICATION_TYPE_EXTENSION,
+  GLUCOSE_RANGE_INTERPRETATIONS,
+  getLoincCodes,
+  glucoseQuantityToMmol,
+  durationQuantityTo
+} from './fhirCodes';
+import { GLUCOSE_MEAL_TARGETS } from '../../constants';
+import { toDateKey, shiftDateKey } from '../../analytics/dailySeries';
+
+const PRE_MEAL = 'Pre meal';
+const POST_MEAL = '2-hour post meal';
+const RANDOM = 'Random';
+
+const EXCLUDED_STATUSES = ['entered-in-error', 'cancelled'];
+const EXCLUDED_MEDICATION_STATUSES = ['entered-in-error', 'stopped', 'not-taken'];
+const INACTIVE_CONDITION_STATUSES = ['inactive', 'resolved', 'remission'];
+
+const EXERCISE_ACTIVITIES = [
+  'walking',
+  'swimming',
+  'running',
+  'resistance/weights',
+  'biking',
+  'balance/stretching'
+];
+
+// --- Helper Functions ---
+const getResources = (bundle, resourceType) =>
+  (bundle.entry || [])
+    .map(entry => entry.resource)
+    .filter(resource => resource && resource.resourceType === resourceType);
+
+const getConceptText = (concept) =>
+  concept?.text || concept?.coding?.find(coding => coding.display)?.display || '';
+
+const hasCode = (concept, codes) => getLoincCodes(concept).some(code => codes.includes(code));
+
+const getEffectiveDate = (resource) => {
+  const value = resource.effectiveDateTime ||
+    resource.effectivePeriod?.start ||
+    resource.effectiveTiming?.event?.[0] ||
+    resource.issued;
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+};
+
+const getPatientName = (patient) => {
+  const name = patient?.name?.find(n => n.use === 'official') || patient?.name?.[0];
+  if (!name) return 'Not specified';
+  if (name.text) return name.text;
+  return [...(name.given || []), name.family].filter(Boolean).join(' ') || 'Not specified';
+};
+
+const getPatientAge = (patient, observations) => {
+  if (!patient?.birthDate) {
+    // Fall back to a reported age Observation (as written by the exporter)
+    const ageObservation = observations.find(observation => hasCode(observation.code, [LOINC.age]));
+    const age = ageObservation?.valueQuantity?.value;
+    return typeof age === 'number' ? String(Math.floor(age)) : 'Not specified';
+  }
+  const birthDate = new Date(patient.birthDate);
+  const today = new Date();
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const beforeBirthday = today.getMonth() < birthDate.getMonth() ||
+    (today.getMonth() === birthDate.getMonth() && today.getDate() < birthDate.getDate());
+  if (beforeBirthday) age--;
+  return String(age);
+};
+
+const getPatientGender = (patient) => {
+  if (!patient?.gender) return 'Not specified';
+  return patient.gender.charAt(0).toUpperCase() + patient.gender.slice(1);
+};
+
+const getGlucoseMeasurementType = (observation) => {
+  const when = observation.effectiveTiming?.repeat?.when || [];
+  if (when.some(code => PRE_MEAL_TIMING_CODES.includes(code))) return PRE_MEAL;
+  if (when.some(code => POST_MEAL_TIMING_CODES.includes(code))) return POST_MEAL;
+
+  if (hasCode(observation.code, [LOINC.glucoseFastingMassSerumPlasma])) return PRE_MEAL;
+  if (hasCode(observation.code, [LOINC.glucosePostMealMassSerumPlasma])) return POST_MEAL;
+
+  const description = [
+    observation.specimen?.display,
+    getConceptText(observation.method),
+    getConceptText(observation.code)
+  ].join(' ').toLowerCase();
+
+  if (/fasting|pre[- ]?meal|before meal|pre-?prandial/.test(description)) return PRE_MEAL;
+  if (/post[- ]?meal|after meal|post-?prandial/.test(description)) return POST_MEAL;
+  return RANDOM;
+};
+
+const getGlucoseRange = (observation, value, measurementType) => {
+  const interpretationCodes = (observation.interpretation || [])
+    .flatMap(concept => concept.coding || [])
+    .map(coding => coding.code);
+  const interpretedRange = Object.keys(GLUCOSE_RANGE_INTERPRETATIONS)
+    .find(range => interpretationCodes.includes(GLUCOSE_RANGE_INTERPRETATIONS[range].code));
+  if (interpretedRange) return interpretedRange;
+
+  const targets = measurementType === PRE_MEAL
+    ? GLUCOSE_MEAL_TARGETS.preMeal
+    : measurementType === POST_MEAL
+      ? GLUCOSE_MEAL_TARGETS.postMeal
+      : GLUCOSE_MEAL_TARGETS.random;
+
+  if (value < targets.low) return 'below range';
+  if (value > targets.high) return 'above range';
+  return 'in range';
+};
+
+// Blood pressure categories using the same vocabulary as the CSV export
+const getSystolicType = (value) => {
+  if (value < 90) return 'Low blood pressure';
+  if (value <= 120) return 'Ideal';
+  if (value <= 140) return 'Pre-high blood pressure';
+  return 'High blood pressure';
+};
+
+const getDiastolicType = (value) => {
+  if (value < 60) return 'Low blood pressure';
+  if (value <= 80) return 'Ideal';
+  if (value <= 90) return 'Pre-high blood pressure';
+  return 'High blood pressure';
+};
+
+const createBloodPressureReading = (date, systolic, diastolic) => ({
+  date,
+  systolic,
+  diastolic,
+  systolicType: getSystolicType(systolic),
+  diastolicType: getDiastolicType(diastolic)
+});
+
+// --- Resource Converters ---
+const importGlucose = (observations) =>
+  observations
+    .filter(observation => hasCode(observation.code, GLUCOSE_CODES))
+    .map(observation => {
+      const date = getEffectiveDate(observation);
+      const mmol = glucoseQuantityToMmol(observation.valueQuantity);
+      if (!date || mmol === null || mmol <= 0) return null;
+
+      const value = Math.round(mmol * 10) / 10;
+      const measurementType = getGlucoseMeasurementType(observation);
+      return {
+        date,
+        value,
+        range: getGlucoseRange(observation, value, measurementType),
+        measurementType
+      };
+    })
+    .filter(Boolean);
+
+const importBloodPressure = (observations) => {
+  const readings = [];
+
+  // Panels carrying both components
+  observations
+    .filter(observation => hasCode(observation.code, BLOOD_PRESSURE_PANEL_CODES))
+    .forEach(observation => {
+      const date = getEffectiveDate(observation);
+      const component = (code) => (observation.component || [])
+        .find(c => hasCode(c.code, [code]))?.valueQuantity?.value;
+      const systolic = Math.round(component(LOINC.systolic));
+      const diastolic = Math.round(component(LOINC.diastolic));
+      if (date && systolic > 0 && diastolic > 0) {
+        readings.push(createBloodPressureReading(date, systolic, diastolic));
+      }
+    });
+
+  // Standalone systolic/diastolic observations taken at the same time
+  const diastolicByTime = new Map();
+  observations
+    .filter(observation => hasCode(observation.code, [LOINC.diastolic]))
+    .forEach(observation => {
+      const date = getEffectiveDate(observation);
+      if (date) diastolicByTime.set(date.getTime(), observation.valueQuantity?.value);
+    });
+
+  observations
+    .filter(observation => hasCode(observation.code, [LOINC.systolic]))
+    .forEach(observation => {
+      const date = getEffectiveDate(observation);
+      if (!date) return;
+      const systolic = Math.round(observation.valueQuantity?.value);
+      const diastolic = Math.round(diastolicByTime.get(date.getTime()));
+      if (systolic > 0 && diastolic > 0) {
+        readings.push(createBloodPressureReading(date, systolic, diastolic));
+      }
+    });
+
+  return readings;
+};
+
+const importSleep = (observations) =>
+  observations
+    .filter(observation => hasCode(observation.code, [LOINC.sleepDuration]))
+    .map(observation => {
+      const date = getEffectiveDate(observation);
+      const hours = durationQuantityTo(observation.valueQuantity, 'h');
+      if (!date || hours === null || hours <= 0) return null;
+
+      // Sleep quality has no standard LOINC code; accept components labelled "quality"
+      const qualityComponents = (observation.component || [])
+        .filter(c => /quality/i.test(getConceptText(c.code)));
+      const qualityComponent = qualityComponents
+        .find(c => c.valueString || c.valueCodeableConcept);
+      const qualityCodeComponent = qualityComponents
+        .find(c => typeof c.valueInteger === 'number');
+
+      return {
+        date,
+        hours: Math.round(hours * 10) / 10,
+        quality: qualityComponent
+          ? qualityComponent.valueString || getConceptText(qualityComponent.valueCodeableConcept)
+          : '',
+        qualityCode: qualityCodeComponent ? qualityCodeComponent.valueInteger : NaN
+      };
+    })
+    .filter(Boolean);
+
+const importPain = (observations) =>
+  observations
+    .filter(observation => hasCode(observation.code, [LOINC.painSeverity]))
+    .map(observation => {
+      const date = getEffectiveDate(observation);
+      const level = observation.valueInteger ?? observation.valueQuantity?.value;
+      if (!date || typeof level !== 'number') return null;
+
+      return {
+        date,
+        location: getConceptText(observation.bodySite).toLowerCase(),
+        level: Math.round(level)
+      };
+    })
+    .filter(Boolean);
+
+const importExercise = (observations) => {
+  const exerciseByDate = new Map();
+
+  observations
+    .filter(observation => hasCode(observation.code, [LOINC.exerciseDuration]))
+    .forEach(observation => {
+      const date = getEffectiveDate(observation);
+      const minutes = durationQuantityTo(observation.valueQuantity, 'min');
+      if (!date || minutes === null || minutes <= 0) return;
+
+      const activityComponent = (observation.component || [])
+        .find(c => hasCode(c.code, [LOINC.exerciseActivity]));
+      const activityText = (
+        getConceptText(activityComponent?.valueCodeableConcept) ||
+        activityComponent?.valueString ||
+        ''
+      ).toLowerCase();
+      const activity = EXERCISE_ACTIVITIES.find(key =>
+        key.split('/').some(part => activityText.includes(part))) || 'other';
+
+      // One entry per local day, like DataService.processExerciseData
+      const dateKey = toDateKey(date);
+      if (!exerciseByDate.has(dateKey)) {
+        exerciseByDate.set(dateKey, {
+          date: new Date(date.getFullYear(), date.getMonth(), date.getDate()),
+          ...Object.fromEntries(EXERCISE_ACTIVITIES.map(key => [key, 0])),
+          other: 0,
+          totalMinutes: 0
+        });
+      }
+
+      const day = exerciseByDate.get(dateKey);
+      day[activity] += minutes;
+      day.totalMinutes += minutes;
+    });
+
+  return Array.from(exerciseByDate.values());
+};
+
+// Statuses that only end the current regimen; the timeline still shows their period
+const HISTORICAL_MEDICATION_STATUSES = ['stopped'];
+
+// Local 'YYYY-MM-DD' key of a FHIR date or dateTime (date-only values are not shifted by time zone)
+const toFhirDayKey = (value) => {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  return isNaN(date) ? null : toDateKey(date);
+};
+
+const readMedicationStatements = (bundle) => {
+  const medicationsById = new Map(
+    getResources(bundle, 'Medication').map(medication => [`Medication/${medication.id}`, medication])
+  );
+
+  return getResources(bundle, 'MedicationStatement')
+    .filter(statement => !EXCLUDED_MEDICATION_STATUSES.includes(statement.status) ||
+      HISTORICAL_MEDICATION_STATUSES.includes(statement.status))
+    .map(statement => {
+      const referenced = medicationsById.get(statement.medicationReference?.reference);
+      const name = getConceptText(statement.medicationCodeableConcept) ||
+        getConceptText(referenced?.code) ||
+        statement.medicationReference?.display ||
+        '';
+      return {
+        name: name.trim(),
+        type: statement.extension?.find(extension => extension.url === MEDICATION_TYPE_EXTENSION)
+          ?.valueString || '',
+        schedule: statement.dosage?.[0]?.text || '',
+        category: getConceptText(statement.category),
+        current: !EXCLUDED_MEDICATION_STATUSES.includes(statement.status),
+        start: toFhirDayKey(statement.effectivePeriod?.start || statement.effectiveDateTime),
+        end: toFhirDayKey(statement.effectivePeriod?.end)
+      };
+    })
+    .filter(statement => statement.name);
+};
+
+const importMedications = (statements) =>
+  statements
+    .filter(statement => statement.current)
+    .map(({ name, type, schedule, category }) => ({ name, schedule, type, category, dosage: '' }));
+
+/*
+ Daily medication lists (as DataService.processMedicationData returns them) from the
+ MedicationStatement periods, over the days of the imported Observations. Statements
+ without a start or end are taken for the whole range on that side.
+ */
+const importMedicationData = (statements, dataDays) => {
+  const keys = [
+    ...dataDays,
+    ...statements.flatMap(statement => [statement.start, statement.end])
+  ].filter(Boolean).sort();
+  if (statements.length === 0 || keys.length === 0) return [];
+
+  const days = [];
+  for (let day = keys[0]; day <= keys[keys.length - 1]; day = shiftDateKey(day, 1)) {
+    const [year, month, dayOfMonth] = day.split('-').map(Number);
+    days.push({
+      date: new Date(year, month - 1, dayOfMonth),
+      medications: statements
+        .filter(statement => (!statement.start || statement.start <= day) && (!statement.end || day <= statement.end))
+        .map(({ name, type, schedule, category }) => ({ name, type, category, dosage: schedule }))
+    });
+  }
+  return days;
+};
+
+const importConditions = (bundle) => {
+  const conditions = getResources(bundle, 'Condition')
+    .filter(condition => {
+      const status = condition.clinicalStatus?.coding?.[0]?.code;
+      return !status || !INACTIVE_CONDITION_STATUSES.includes(status);
+    })
+    .map(condition => getConceptText(condition.code).trim())
+    .filter(Boolean);
+
+  return Array.from(new Set(conditions));
+};
+
+/*
+ Converts a FHIR R4 Bundle into the processed patient data shape
+
+ - @param {Object} bundle - FHIR R4 Bundle resource
+ - @param {Object} options
+ - @param {string} options.patientId - Patient identifier to use (defaults to the Patient identifier or resource id)
+ - @returns {Object} Processed patient data (same shape as DataService.processPatientData)
+ - @throws {Error} If the input is not a Bundle or contains no Patient resource
+ */
+export const importFhirBundle = (bundle, { patientId } = {}) => {
+  if (!bundle || bundle.resourceType !== 'Bundle') {
+    throw new Error('FHIR import requires a Bundle resource');
+  }
+
+  const patient = getResources(bundle, 'Patient')[0];
+  if (!patient) {
+    throw new Error('FHIR Bundle does not contain a Patient resource');
+  }
+
+  const identifier = patient.identifier?.find(i => i.system === PATIENT_IDENTIFIER_SYSTEM)?.value;
+  const id = patientId || identifier || patient.id;
+  const observations = getResources(bundle, 'Observation')
+    .filter(observation => !EXCLUDED_STATUSES.includes(observation.status));
+  const medicationStatements = readMedicationStatements(bundle);
+
+  const glucoseData = importGlucose(observations);
+  const bloodPressureData = importBloodPressure(observations);
+  const exerciseData = importExercise(observations);
+  const painData = importPain(observations);
+  const sleepData = importSleep(observations);
+  const dataDays = [glucoseData, bloodPressureData, exerciseData, painData, sleepData]
+    .flatMap(entries => entries.map(entry => toDateKey(entry.date)));
+
+  return {
+    patientInfo: {
+      patientId: id,
+      patientNumber: id,
+      name: getPatientName(patient),
+      age: getPatientAge(patient, observations),
+      gender: getPatientGender(patient),
+      dataAvailable: 'FHIR import',
+      detailedMedications: importMedications(medicationStatements),
+      conditions: importConditions(bundle)
+    },
+    glucoseData,
+    bloodPressureData,
+    exerciseData,
+    moodData: [],
+    painData,
+    mealData: [],
+    sleepData,
+    weatherData: [],
+    continenceData: [],
+    healthGoalData: [],
+    medicationData: importMedicationData(medicationStatements, dataDays),
+    rawData: []
+  };
+};
+
+export default importFhirBundle;
@@ -0,0 +1,83 @@
+/*
+ goalsStore.js - Patient Health Goals
+
+ Keeps the health goals each patient defines in localStorage, keyed by patient ID
+ (e.g. { type: 'exercise', target: 30, daysPerWeek: 5 } for "walk 30 minutes 5 days
+ a week"). Goal types and their evaluation live in analytics/healthGoals.js.
+
+ Built on localStore.js like the physician notes, so a goal added in the patient view
+ shows up in the physician view right away.
+
+ Stored shape: [{ id, type, target, daysPerWeek, createdAt }]
+ */
+
+import { GOAL_TYPES } from '../analytics/healthGoals';
+import { createLocalStore, createId } from './localStore';
+
+const EMPTY_GOALS = [];
+
+const store = createLocalStore({
+  prefix: 'health-dashboard-goals:',
+  label: 'goals',
+  normalize: (stored) => (Array.isArray(stored) ? stored : EMPTY_GOALS)
+});
+
+/*
+ Returns a patient's goals
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Array} Goals in the order they were added
+ */
+export const getPatientGoals = (patientId) => store.get(patientId);
+
+/*
+ Adds a goal
+
+ - @param {string} patientId - The patient identifier
+ - @param {Object} goal - { type, target, daysPerWeek }; target is ignored by goal types
+   without one
+ - @returns {Array} Updated goals
+ - @throws {Error} If the type is unknown, the target is missing or days per week is not 1-7
+ */
+export const addGoal = (patientId, { type, target, daysPerWeek }) => {
+  const goalType = GOAL_TYPES[type];
+  if (!goalType) {
+    throw new Error(`Unknown goal type: ${type}`);
+  }
+  const needsTarget = goalType.defaultTarget !== null;
+  if (needsTarget && !(Number(target) > 0)) {
+    throw new Error('Goals need a target above 0');
+  }
+  if (!Number.isInteger(Number(daysPerWeek)) || daysPerWeek < 1 || daysPerWeek > 7) {
+    throw new Error('Goals need 1 to 7 days a week');
+  }
+
+  const goal = {
+    id: createId(),
+    type,
+    target: needsTarget ? Number(target) : null,
+    daysPerWeek: Number(daysPerWeek),
+    createdAt: Date.now()
+  };
+  return store.set(patientId, [...getPatientGoals(patientId), goal]);
+};
+
+/*
+ Removes a goal
+
+ - @param {string} patientId - The patient identifier
+ - @param {string} goalId - ID of the goal
+ - @returns {Array} Updated goals
+ */
+export const removeGoal = (patientId, goalId) => store.set(
+  patientId,
+  getPatientGoals(patientId).filter(goal => goal.id !== goalId)
+);
+
+/*
+ Subscribes to goal changes
+
+ - @param {Function} listener - Called with (patientId, goals) after every change
+ - @returns {Function} Unsubscribe function
+ */
+export const subscribeToGoals = (listener) => store.subscribe(listener);
@@ -0,0 +1,92 @@
+/*
+ localStore.js - Per-Patient localStorage Store
+
+ Shared base of the stores that keep user-entered data per patient in localStorage
+ (physician notes in notesStore.js, health goals in goalsStore.js). Each store keeps
+ its entries under its own key prefix and normalises what it reads back, so older or
+ hand-edited entries still have the expected shape.
+
+ Entries stay in memory for the session when localStorage is unavailable (private
+ browsing, storage full). Subscribers are notified of every change so all components
+ showing the patient update together.
+ */
+
+// --- Helper Functions ---
+
+const getStorage = () => {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch (error) {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+};
+
+/*
+ Creates a unique ID for a stored item
+
+ - @returns {string} Time-based ID with a random suffix
+ */
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/*
+ Creates a per-patient localStorage store
+
+ - @param {Object} options
+ - @param {string} options.prefix - localStorage key prefix; the patient ID is appended
+ - @param {string} options.label - What the store holds, used in error messages (e.g. 'notes')
+ - @param {Function} options.normalize - Turns a parsed stored value (null when nothing is
+   stored) into the store's shape
+ - @returns {Object} { get(patientId), set(patientId, value), subscribe(listener) }; get
+   returns normalize(null) without a patient ID, set returns the value it stored, and
+   subscribe returns an unsubscribe function (listeners get (patientId, value))
+ */
+export const createLocalStore = ({ prefix, label, normalize }) => {
+  // Values read or written this session, keyed by patient ID
+  const sessionValues = new Map();
+  const listeners = new Set();
+
+  const read = (patientId) => {
+    const storage = getStorage();
+    if (!storage) return normalize(null);
+
+    try {
+      return normalize(JSON.parse(storage.getItem(`${prefix}${patientId}`)));
+    } catch (error) {
+      console.error(`Unable to read ${label} for ${patientId}:`, error);
+      return normalize(null);
+    }
+  };
+
+  const get = (patientId) => {
+    if (!patientId) return normalize(null);
+
+    if (!sessionValues.has(patientId)) {
+      sessionValues.set(patientId, read(patientId));
+    }
+    return sessionValues.get(patientId);
+  };
+
+  const set = (patientId, value) => {
+    sessionValues.set(patientId, value);
+
+    const storage = getStorage();
+    if (storage) {
+      try {
+        storage.setItem(`${prefix}${patientId}`, JSON.stringify(value));
+      } catch (error) {
+        console.error(`Unable to save ${label} for ${patientId}:`, error);
+      }
+    }
+
+    listeners.forEach(listener => listener(patientId, value));
+    return value;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { get, set, subscribe };
+};
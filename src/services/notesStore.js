@@ -0,0 +1,100 @@
+/*
+ notesStore.js - Physician Notes and Date Annotations
+
+ Keeps the physician's notes for each patient in localStorage, keyed by patient ID:
+ - chartNotes: free-text note per chart type (e.g. { glucose: '...' })
+ - annotations: notes pinned to a date of one chart, shown as markers on its
+   time axis (e.g. { chartType: 'glucose', date: '2025-05-04', text: 'Started Metformin' })
+
+ Storage, the session fallback and change notifications come from localStore.js, so
+ all charts of the patient update together.
+
+ Stored shape: { chartNotes: { [chartType]: string }, annotations: [{ id, chartType, date, text, createdAt }] }
+ */
+
+import { createLocalStore, createId } from './localStore';
+
+const EMPTY_NOTES = { chartNotes: {}, annotations: [] };
+
+const store = createLocalStore({
+  prefix: 'health-dashboard-notes:',
+  label: 'notes',
+  normalize: (stored) => (stored
+    ? { chartNotes: stored.chartNotes || {}, annotations: stored.annotations || [] }
+    : EMPTY_NOTES)
+});
+
+// --- Helper Functions ---
+
+const byDate = (a, b) => a.date.localeCompare(b.date) || a.createdAt - b.createdAt;
+
+/*
+ Returns a patient's notes
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Object} { chartNotes, annotations } (annotations sorted by date)
+ */
+export const getPatientNotes = (patientId) => store.get(patientId);
+
+/*
+ Sets the free-text note of one chart
+
+ - @param {string} patientId - The patient identifier
+ - @param {string} chartType - Visualization type
+ - @param {string} text - Note text; an empty note is removed
+ - @returns {Object} Updated notes
+ */
+export const setChartNote = (patientId, chartType, text) => {
+  const notes = getPatientNotes(patientId);
+  const chartNotes = { ...notes.chartNotes };
+  if (text) {
+    chartNotes[chartType] = text;
+  } else {
+    delete chartNotes[chartType];
+  }
+  return store.set(patientId, { ...notes, chartNotes });
+};
+
+/*
+ Pins an annotation to a date of one chart
+
+ - @param {string} patientId - The patient identifier
+ - @param {Object} annotation - { chartType, date ('YYYY-MM-DD'), text }
+ - @returns {Object} Updated notes
+ - @throws {Error} If the date or text is missing
+ */
+export const addAnnotation = (patientId, { chartType, date, text }) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !text?.trim()) {
+    throw new Error('Annotations need a date and a text');
+  }
+
+  const notes = getPatientNotes(patientId);
+  const annotation = { id: createId(), chartType, date, text: text.trim(), createdAt: Date.now() };
+  return store.set(patientId, {
+    ...notes,
+    annotations: [...notes.annotations, annotation].sort(byDate)
+  });
+};
+
+/*
+ Removes an annotation
+
+ - @param {string} patientId - The patient identifier
+ - @param {string} annotationId - ID of the annotation
+ - @returns {Object} Updated notes
+ */
+export const removeAnnotation = (patientId, annotationId) => {
+  const notes = getPatientNotes(patientId);
+  return store.set(patientId, {
+    ...notes,
+    annotations: notes.annotations.filter(annotation => annotation.id !== annotationId)
+  });
+};
+
+/*
+ Subscribes to note changes
+
+ - @param {Function} listener - Called with (patientId, notes) after every change
+ - @returns {Function} Unsubscribe function
+ */
+export const subscribeToNotes = (listener) => store.subscribe(listener);
@@ -0,0 +1,102 @@
+/*
+ patientCache.js - IndexedDB Patient Cache
+
+ Persists processed patient data between sessions so patients open instantly
+ and stay available offline. Entries are keyed by patient ID and carry the
+ content hash of the source record they were processed from, letting the
+ patient store skip re-processing when the source has not changed.
+
+ Entry shape: { patientId, hash, patientData, cachedAt }
+
+ All functions resolve quietly (null / no-op) when IndexedDB is unavailable,
+ e.g. in private browsing or test environments.
+ */
+
+const DB_NAME = 'health-dashboard';
+const DB_VERSION = 1;
+const STORE_NAME = 'patients';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'patientId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Unable to open patient cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+// Runs a single request against the patient object store
+const runRequest = async (mode, createRequest) => {
+  const db = await openDatabase();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = createRequest(transaction.objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => {
+        console.error('Patient cache request failed:', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.error('Patient cache request failed:', error);
+      resolve(null);
+    }
+  });
+};
+
+/*
+ Reads the cached entry for a patient
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Promise<Object|null>} Cached entry, or null if none is stored
+ */
+export const getCachedPatient = (patientId) =>
+  runRequest('readonly', store => store.get(patientId));
+
+/*
+ Stores processed patient data together with the hash of its source record
+
+ - @param {string} patientId - The patient identifier
+ - @param {string} hash - Content hash of the source record
+ - @param {Object} patientData - Processed patient data
+ - @returns {Promise<void>}
+ */
+export const putCachedPatient = async (patientId, hash, patientData) => {
+  await runRequest('readwrite', store => store.put({
+    patientId,
+    hash,
+    patientData,
+    cachedAt: new Date().toISOString()
+  }));
+};
+
+/*
+ Removes a patient from the cache
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Promise<void>}
+ */
+export const deleteCachedPatient = async (patientId) => {
+  await runRequest('readwrite', store => store.delete(patientId));
+};
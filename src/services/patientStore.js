@@ -0,0 +1,215 @@
+/*
+ patientStore.js - Shared Patient Data Store
+
+ Single place every component loads patient data from (through usePatientData):
+ - Keeps processed patients in memory for the session, so switching back to a
+   patient or mounting another chart never re-fetches or re-parses (one-off
+   reads such as the cohort summaries opt out with { retain: false })
+ - De-duplicates concurrent requests: the dashboards and every chart asking for
+   the same patient share one in-flight load
+ - Persists processed patients in IndexedDB (patientCache.js) keyed by patient
+   ID and the content hash of the source record; unchanged records are not
+   processed again
+ - Serves the IndexedDB copy when the data source cannot be reached (offline)
+ - Parses and processes records in a Web Worker (workers/patientDataWorkerClient.js)
+   and reports progress of running loads to progress subscribers
+ - refreshPatient() bypasses the memory cache, the HTTP cache and the stored
+   hash, and notifies every subscriber with the fresh data
+
+ Store entries have the shape { patientData, hash, fromCache } where fromCache
+ is true when the data came from IndexedDB because the source was unavailable.
+ */
+
+import DataService from './dataService';
+import { getCachedPatient, putCachedPatient, deleteCachedPatient } from './patientCache';
+import { processPatientRecordAsync } from '../workers/patientDataWorkerClient';
+
+// Part of every stored hash; bump when the processed data shape changes so
+// entries cached by an older version are processed again
+const PROCESSED_DATA_VERSION = 6;
+
+// Processed patients loaded this session, keyed by patient ID
+const loadedPatients = new Map();
+
+// Pending loads ({ promise, refresh, retain }), keyed by patient ID
+const inFlightLoads = new Map();
+
+// Bumped when a patient is invalidated or a refresh supersedes a running load, so
+// loads started before then don't store or announce their (stale) result
+const generations = new Map();
+
+const listeners = new Set();
+const progressListeners = new Set();
+
+// --- Helper Functions ---
+
+// 32-bit FNV-1a hash, enough to detect changed source records
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const hashRecord = (record) => {
+  const content = typeof record.csvText === 'string'
+    ? record.csvText
+    : JSON.stringify(record.rows || record.patientData || record);
+  return `v${PROCESSED_DATA_VERSION}-${content.length.toString(16)}-${hashString(content)}`;
+};
+
+const getGeneration = (patientId) => generations.get(patientId) || 0;
+
+const notify = (patientId, entry) => {
+  listeners.forEach(listener => listener(patientId, entry));
+};
+
+const notifyProgress = (patientId, progress) => {
+  progressListeners.forEach(listener => listener(patientId, progress));
+};
+
+const fetchAndProcess = async (patientId, refresh, generation) => {
+  let record;
+  try {
+    record = await DataService.fetchPatientRecord(patientId, { refresh });
+  } catch (error) {
+    // Source unavailable (e.g. offline): fall back to the persisted copy
+    const cached = await getCachedPatient(patientId);
+    if (cached) {
+      console.warn(`Serving cached data for ${patientId}:`, error.message);
+      return { patientData: cached.patientData, hash: cached.hash, fromCache: true };
+    }
+    throw error;
+  }
+
+  const hash = hashRecord(record);
+  if (!refresh) {
+    const cached = await getCachedPatient(patientId);
+    if (cached && cached.hash === hash) {
+      return { patientData: cached.patientData, hash, fromCache: false };
+    }
+  }
+
+  const patientData = await processPatientRecordAsync(record, patientId, {
+    onProgress: (progress) => notifyProgress(patientId, progress)
+  });
+  if (getGeneration(patientId) === generation) {
+    await putCachedPatient(patientId, hash, patientData);
+  }
+  return { patientData, hash, fromCache: false };
+};
+
+/*
+ Loads a patient, sharing in-flight requests and cached results
+
+ - @param {string} patientId - The patient identifier
+ - @param {Object} options
+ - @param {boolean} options.refresh - Bypass every cache layer
+ - @param {boolean} options.retain - Keep the patient in memory and notify subscribers;
+   false for one-off reads such as the cohort summaries, which would otherwise hold
+   every patient's full data for the session
+ - @returns {Promise<Object>} Store entry { patientData, hash, fromCache }
+ - @throws {Error} If the patient cannot be loaded and nothing is cached
+ */
+export const loadPatient = (patientId, { refresh = false, retain = true } = {}) => {
+  if (!patientId) {
+    return Promise.reject(new Error('Patient ID is required'));
+  }
+
+  if (!refresh && loadedPatients.has(patientId)) {
+    return Promise.resolve(loadedPatients.get(patientId));
+  }
+
+  const pending = inFlightLoads.get(patientId);
+  if (pending && !(refresh && !pending.refresh)) {
+    // A one-off load that's also wanted by a retaining caller is kept after all
+    pending.retain = pending.retain || retain;
+    return pending.promise;
+  }
+
+  if (pending) {
+    // A refresh supersedes the running load, which then resolves to the refreshed entry
+    generations.set(patientId, getGeneration(patientId) + 1);
+  }
+
+  const generation = getGeneration(patientId);
+  const load = { refresh, retain: retain || Boolean(pending?.retain) };
+  load.promise = fetchAndProcess(patientId, refresh, generation)
+    .then(entry => {
+      // Invalidated or superseded while loading: the result may be stale, so join the
+      // newest load (or load the current record) instead
+      if (getGeneration(patientId) !== generation) {
+        return loadPatient(patientId, {
+          refresh: refresh && !inFlightLoads.has(patientId),
+          retain: load.retain
+        });
+      }
+      if (load.retain) {
+        loadedPatients.set(patientId, entry);
+        notify(patientId, entry);
+      }
+      return entry;
+    })
+    .finally(() => {
+      if (inFlightLoads.get(patientId) === load) {
+        inFlightLoads.delete(patientId);
+      }
+    });
+
+  inFlightLoads.set(patientId, load);
+  return load.promise;
+};
+
+/*
+ Reloads a patient from its source, bypassing all caches
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Promise<Object>} Fresh store entry
+ */
+export const refreshPatient = (patientId) => loadPatient(patientId, { refresh: true });
+
+/*
+ Returns the entry already loaded this session without triggering a load
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Object|null} Store entry, or null if the patient is not loaded
+ */
+export const peekPatient = (patientId) => loadedPatients.get(patientId) || null;
+
+/*
+ Forgets a patient (e.g. after a new file was uploaded under the same ID); loads
+ still running for it are discarded when they finish
+
+ - @param {string} patientId - The patient identifier
+ - @returns {Promise<void>}
+ */
+export const invalidatePatient = async (patientId) => {
+  generations.set(patientId, getGeneration(patientId) + 1);
+  loadedPatients.delete(patientId);
+  inFlightLoads.delete(patientId);
+  await deleteCachedPatient(patientId);
+};
+
+/*
+ Subscribes to patient loads and refreshes
+
+ - @param {Function} listener - Called with (patientId, entry) whenever a patient is loaded
+ - @returns {Function} Unsubscribe function
+ */
+export const subscribeToPatients = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/*
+ Subscribes to progress of running patient loads
+
+ - @param {Function} listener - Called with (patientId, { stage: 'parsing' | 'processing', fraction })
+ - @returns {Function} Unsubscribe function
+ */
+export const subscribeToLoadProgress = (listener) => {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+};
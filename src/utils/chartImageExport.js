@@ -0,0 +1,185 @@
+/*
+ chartImageExport.js - Chart Snapshot as Standalone SVG or PNG
+
+ Builds one self-contained SVG document from a rendered chart so it can be saved
+ without the app's stylesheets (ChartStyles.css and the per-chart CSS):
+ - Every chart SVG is copied at its on-screen position, with the computed styles
+   of its elements inlined (CSS variables and class rules are resolved)
+ - HTML parts of the chart (titles, legends, the sleep chart's rows) are redrawn
+   as SVG text and rectangles from their computed styles
+ - Physician summaries, info boxes and form controls are left out
+
+ The PNG is rasterized from that SVG on a canvas, so both work offline.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Parts of a chart that are not part of its image
+const EXCLUDED_SELECTOR = '.summary-container, .info-box, button, select, input, textarea, .custom-tooltip';
+
+// Computed properties inlined into the copied SVG elements
+const SVG_STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'opacity', 'font-family', 'font-size', 'font-weight',
+  'font-style', 'text-anchor', 'dominant-baseline', 'visibility', 'display'
+];
+
+const PNG_SCALE = 2;
+
+// --- Helper Functions ---
+
+const isTransparent = (color) => !color || color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+
+const isHidden = (style) => style.display === 'none' || style.visibility === 'hidden' || Number(style.opacity) === 0;
+
+// Text of the element itself, without the text of its child elements
+const getOwnText = (element) => Array.from(element.childNodes)
+  .filter(node => node.nodeType === Node.TEXT_NODE)
+  .map(node => node.textContent)
+  .join('')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const inlineSvgStyles = (original, copy) => {
+  const originals = [original, ...original.querySelectorAll('*')];
+  const copies = [copy, ...copy.querySelectorAll('*')];
+  originals.forEach((element, index) => {
+    const style = window.getComputedStyle(element);
+    const inlined = SVG_STYLE_PROPERTIES
+      .map(property => `${property}:${style.getPropertyValue(property)}`)
+      .join(';');
+    copies[index].setAttribute('style', inlined);
+    copies[index].removeAttribute('class');
+  });
+};
+
+const copySvg = (svg, rect, origin) => {
+  const copy = svg.cloneNode(true);
+  inlineSvgStyles(svg, copy);
+  copy.setAttribute('x', rect.left - origin.left);
+  copy.setAttribute('y', rect.top - origin.top);
+  copy.setAttribute('width', rect.width);
+  copy.setAttribute('height', rect.height);
+  return copy;
+};
+
+const createBox = (style, rect, origin) => {
+  const box = document.createElementNS(SVG_NS, 'rect');
+  box.setAttribute('x', rect.left - origin.left);
+  box.setAttribute('y', rect.top - origin.top);
+  box.setAttribute('width', rect.width);
+  box.setAttribute('height', rect.height);
+  box.setAttribute('rx', Math.min(parseFloat(style.borderTopLeftRadius) || 0, rect.width / 2, rect.height / 2));
+  box.setAttribute('fill', style.backgroundColor);
+  return box;
+};
+
+const createText = (text, style, rect, origin) => {
+  const element = document.createElementNS(SVG_NS, 'text');
+  const align = style.textAlign;
+  const anchor = align === 'center' ? 'middle' : (align === 'right' || align === 'end' ? 'end' : 'start');
+  const x = anchor === 'middle'
+    ? rect.left + rect.width / 2
+    : (anchor === 'end' ? rect.right - (parseFloat(style.paddingRight) || 0) : rect.left + (parseFloat(style.paddingLeft) || 0));
+
+  element.setAttribute('x', x - origin.left);
+  element.setAttribute('y', rect.top + rect.height / 2 - origin.top);
+  element.setAttribute('text-anchor', anchor);
+  element.setAttribute('dominant-baseline', 'central');
+  element.setAttribute('style', [
+    `fill:${style.color}`,
+    `font-family:${style.fontFamily}`,
+    `font-size:${style.fontSize}`,
+    `font-weight:${style.fontWeight}`,
+    `font-style:${style.fontStyle}`
+  ].join(';'));
+  element.textContent = text;
+  return element;
+};
+
+// Adds the SVG elements for an element and its descendants to the output
+const collectElements = (element, origin, output) => {
+  if (element.matches(EXCLUDED_SELECTOR)) return;
+
+  const style = window.getComputedStyle(element);
+  if (isHidden(style)) return;
+
+  const rect = element.getBoundingClientRect();
+  if (element instanceof SVGSVGElement) {
+    if (rect.width > 0 && rect.height > 0) {
+      output.push({ node: copySvg(element, rect, origin), rect });
+    }
+    return;
+  }
+
+  if (!isTransparent(style.backgroundColor) && rect.width > 0 && rect.height > 0) {
+    output.push({ node: createBox(style, rect, origin), rect });
+  }
+
+  const text = getOwnText(element);
+  if (text) {
+    output.push({ node: createText(text, style, rect, origin), rect });
+  }
+
+  Array.from(element.children).forEach(child => collectElements(child, origin, output));
+};
+
+/*
+ Builds a standalone SVG document of a rendered chart
+
+ - @param {Element} chartElement - Root element of the rendered chart
+ - @returns {Object} { svg, width, height } - Serialized SVG and its size in pixels
+ - @throws {Error} If the chart has nothing to draw
+ */
+export const createChartSvg = (chartElement) => {
+  const origin = chartElement.getBoundingClientRect();
+  const items = [];
+  Array.from(chartElement.children).forEach(child => collectElements(child, origin, items));
+
+  if (items.length === 0) {
+    throw new Error('The chart has nothing to export');
+  }
+
+  // Crop to the drawn parts (the chart's summaries are left out)
+  const bottom = Math.max(...items.map(item => item.rect.bottom)) - origin.top;
+  const width = Math.ceil(origin.width);
+  const height = Math.ceil(bottom);
+
+  const root = document.createElementNS(SVG_NS, 'svg');
+  root.setAttribute('xmlns', SVG_NS);
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', 'white');
+  root.appendChild(background);
+  items.forEach(item => root.appendChild(item.node));
+
+  return { svg: new XMLSerializer().serializeToString(root), width, height };
+};
+
+/*
+ Rasterizes an SVG document into a PNG image
+
+ - @param {string} svg - Serialized SVG document
+ - @param {number} width - Width of the SVG in pixels
+ - @param {number} height - Height of the SVG in pixels
+ - @returns {Promise<Blob>} PNG image at twice the SVG size
+ */
+export const svgToPng = (svg, width, height) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const context = canvas.getContext('2d');
+    context.scale(PNG_SCALE, PNG_SCALE);
+    context.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG conversion failed'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('The chart image could not be rendered'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
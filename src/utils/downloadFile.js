@@ -0,0 +1,30 @@
+/*
+ downloadFile.js - Browser File Download Helper
+
+ Saves generated content (JSON, CSV, images) as a file on the user's machine
+ by pointing a temporary link at an object URL.
+ */
+
+/*
+ Triggers a browser download for the given content
+
+ - @param {string|Blob} content - File contents
+ - @param {string} fileName - Suggested file name
+ - @param {string} mimeType - MIME type used when content is a string
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export default downloadFile;
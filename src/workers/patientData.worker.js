@@ -0,0 +1,27 @@
+/* eslint-env worker */
+/*
+ patientData.worker.js - Patient Data Processing Worker
+
+ Runs CSV parsing (PapaParse, chunked for large files) and metric processing
+ off the main thread. Used through patientDataWorkerClient.js.
+
+ Messages in:  { id, record, patientId }
+ Messages out: { id, type: 'progress', progress: { stage, fraction } }
+               { id, type: 'result', patientData }
+               { id, type: 'error', message }
+ */
+
+import DataService from '../services/dataService';
+
+onmessage = (event) => {
+  const { id, record, patientId } = event.data;
+
+  try {
+    const patientData = DataService.processPatientRecord(record, patientId, {
+      onProgress: (progress) => postMessage({ id, type: 'progress', progress })
+    });
+    postMessage({ id, type: 'result', patientData });
+  } catch (error) {
+    postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,110 @@
+/*
+ patientDataWorkerClient.js - Promise API for the Patient Data Worker
+
+ Owns a single shared patientData.worker.js instance and matches responses to
+ requests by ID, so several patients can be processed concurrently.
+
+ When Web Workers are unsupported, or the worker script fails to load,
+ processPatientRecordAsync falls back to DataService on the main thread.
+ */
+
+import DataService from '../services/dataService';
+
+let worker = null;
+let workerBroken = false;
+let nextRequestId = 1;
+
+// Pending requests keyed by request ID: { resolve, reject, onProgress }
+const pendingRequests = new Map();
+
+const createUnavailableError = (message) => {
+  const error = new Error(message);
+  error.workerUnavailable = true;
+  return error;
+};
+
+const handleMessage = (event) => {
+  const { id, type } = event.data;
+  const request = pendingRequests.get(id);
+  if (!request) return;
+
+  if (type === 'progress') {
+    request.onProgress?.(event.data.progress);
+    return;
+  }
+
+  pendingRequests.delete(id);
+  if (type === 'result') {
+    request.resolve(event.data.patientData);
+  } else {
+    request.reject(new Error(event.data.message));
+  }
+};
+
+// The worker crashed or could not be loaded: fail every pending request and stop using it
+const handleWorkerFailure = (event) => {
+  console.error('Patient data worker failed:', event.message || event);
+  workerBroken = true;
+  worker?.terminate();
+  worker = null;
+
+  pendingRequests.forEach(request => request.reject(createUnavailableError('Patient data worker failed')));
+  pendingRequests.clear();
+};
+
+const getWorker = () => {
+  if (workerBroken || typeof Worker === 'undefined') return null;
+
+  if (!worker) {
+    try {
+      worker = new Worker(new URL('./patientData.worker.js', import.meta.url));
+      worker.onmessage = handleMessage;
+      worker.onerror = handleWorkerFailure;
+    } catch (error) {
+      console.error('Unable to start patient data worker:', error);
+      workerBroken = true;
+      return null;
+    }
+  }
+
+  return worker;
+};
+
+// Parses and processes a record in the worker; rejects with `workerUnavailable` set if it cannot run
+const processRecordInWorker = (record, patientId, onProgress) => {
+  const activeWorker = getWorker();
+  if (!activeWorker) {
+    return Promise.reject(createUnavailableError('Web Workers are not available'));
+  }
+
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject, onProgress });
+    activeWorker.postMessage({ id, record, patientId });
+  });
+};
+
+/*
+ Converts a data source record into the processed patient data shape in the worker,
+ keeping the UI responsive
+
+ - @param {Object} record - Patient record ({ csvText }, { rows } or { patientData })
+ - @param {string} patientId - The patient identifier
+ - @param {Object} options
+ - @param {Function} options.onProgress - Receives { stage: 'parsing' | 'processing', fraction }
+ - @returns {Promise<Object>} Processed patient data
+ - @throws {Error} If the record is empty or has an unknown shape
+ */
+export const processPatientRecordAsync = async (record, patientId, { onProgress } = {}) => {
+  if (record?.patientData) {
+    return record.patientData;
+  }
+
+  try {
+    return await processRecordInWorker(record, patientId, onProgress);
+  } catch (error) {
+    if (!error.workerUnavailable) throw error;
+  }
+
+  return DataService.processPatientRecord(record, patientId, { onProgress });
+};